@@ -1,6 +1,7 @@
 import dotenv from 'dotenv'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { parseList } from '../utils/sources.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -8,6 +9,60 @@ const __dirname = path.dirname(__filename)
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') })
 
+const MIN_INTERVAL_MINUTES = 1
+const MAX_INTERVAL_MINUTES = 1440
+const MAX_JITTER_PERCENT = 50
+
+/**
+ * Whole number settings that end up in timers, with their bounds and default
+ * Out of range values would make timers fire right away or hammer providers
+ */
+const BOUNDED_SETTINGS = {
+	CHECK_INTERVAL_MINUTES: { min: MIN_INTERVAL_MINUTES, max: MAX_INTERVAL_MINUTES, fallback: 30 },
+	CHECK_TIMEOUT_SECONDS: { min: 5, max: 3600, fallback: 120 },
+	YOUTUBE_WEBSUB_FALLBACK_POLL_MINUTES: { min: MIN_INTERVAL_MINUTES, max: MAX_INTERVAL_MINUTES, fallback: 360 }
+}
+
+/**
+ * Read a bounded setting from the environment
+ * Values out of range are clamped, missing or unreadable ones get the default
+ * @param {string} name - Environment variable, a key of BOUNDED_SETTINGS
+ * @returns {number} Setting value
+ */
+function parseBounded(name) {
+	const { min, max, fallback } = BOUNDED_SETTINGS[name]
+	const value = parseInt(process.env[name])
+
+	return Number.isNaN(value) ? fallback : Math.min(Math.max(value, min), max)
+}
+
+/**
+ * Parse a platform or source interval entry
+ * The scope is split off at the last `=`, since feed URLs can contain one
+ * @param {string} entry - Entry like "instagram=120"
+ * @returns {Array|null} Scope and minutes, or null if the entry is invalid
+ */
+function parseIntervalEntry(entry) {
+	const separator = entry.lastIndexOf('=')
+	const scope = entry.substring(0, separator).trim()
+	const minutes = Number(entry.substring(separator + 1).trim())
+
+	if (separator < 1 || !scope || !Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+		return null
+	}
+
+	return [scope, minutes]
+}
+
+/**
+ * Parse the check intervals of platforms and sources
+ * @param {string} value - Raw value (e.g. "instagram=120, youtube:UCabc=10")
+ * @returns {Object} Minutes keyed by platform name or source id, invalid entries left out
+ */
+function parseIntervals(value) {
+	return Object.fromEntries(parseList(value).map(parseIntervalEntry).filter(Boolean))
+}
+
 /**
  * Configuration object containing all environment variables and settings
  */
@@ -34,16 +89,57 @@ const config = {
 		youtube: {
 			apiKey: process.env.YOUTUBE_API_KEY,
 			channelId: process.env.YOUTUBE_CHANNEL_ID,
-			channelHandle: process.env.YOUTUBE_CHANNEL_HANDLE
+			channelHandle: process.env.YOUTUBE_CHANNEL_HANDLE,
+			// Additional channels to monitor (comma separated IDs or @handles)
+			channels: parseList(process.env.YOUTUBE_CHANNELS),
+			// Push notifications through WebSub (PubSubHubbub)
+			websub: {
+				enabled: process.env.YOUTUBE_WEBSUB_ENABLED === 'true',
+				// Public base URL the hub can reach the callback server on
+				callbackUrl: process.env.YOUTUBE_WEBSUB_CALLBACK_URL,
+				port: parseInt(process.env.YOUTUBE_WEBSUB_PORT || process.env.PORT) || 3000,
+				hubUrl: process.env.YOUTUBE_WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe',
+				secret: process.env.YOUTUBE_WEBSUB_SECRET,
+				leaseSeconds: parseInt(process.env.YOUTUBE_WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60,
+				// Channels with an active lease are still polled this often in case a push is missed
+				fallbackPollMinutes: parseBounded('YOUTUBE_WEBSUB_FALLBACK_POLL_MINUTES')
+			}
+		},
+		twitch: {
+			clientId: process.env.TWITCH_CLIENT_ID,
+			clientSecret: process.env.TWITCH_CLIENT_SECRET,
+			// Channels to monitor (comma separated logins)
+			channels: parseList(process.env.TWITCH_CHANNELS),
+			apiUrl: process.env.TWITCH_API_URL || 'https://api.twitch.tv/helix',
+			authUrl: process.env.TWITCH_AUTH_URL || 'https://id.twitch.tv/oauth2/token'
+		},
+		feed: {
+			// RSS/Atom feeds to monitor (comma separated URLs)
+			urls: parseList(process.env.FEED_URLS)
 		}
 	},
 
 	// Bot Configuration
 	bot: {
-		checkIntervalMinutes: parseInt(process.env.CHECK_INTERVAL_MINUTES) || 30,
+		checkIntervalMinutes: parseBounded('CHECK_INTERVAL_MINUTES'),
+		// Intervals for some platforms or sources, e.g. 'instagram=120,youtube:UC...=10'
+		checkIntervals: parseIntervals(process.env.CHECK_INTERVALS),
+		// Random spread of each check around its interval, in percent
+		checkJitterPercent: Math.min(Math.max(parseInt(process.env.CHECK_JITTER_PERCENT) || 0, 0), MAX_JITTER_PERCENT),
+		// Time a single source check may take before it is given up on
+		checkTimeoutSeconds: parseBounded('CHECK_TIMEOUT_SECONDS'),
+		// Sources checked at the same time
+		checkConcurrency: Math.max(parseInt(process.env.CHECK_CONCURRENCY) || 4, 1),
 		logLevel: process.env.LOG_LEVEL || 'info',
 		databasePath: process.env.DATABASE_PATH || './data/bot.db',
-		mentionEveryone: process.env.MENTION_EVERYONE === 'true' || true // Default to true
+		pluginsDir: process.env.PLUGINS_DIR || './plugins',
+		mentionEveryone: process.env.MENTION_EVERYONE === 'true',
+		autoCrosspost: process.env.AUTO_CROSSPOST === 'true',
+		digest: {
+			// Cron expression for posting digests, e.g. '0 18 * * 1' for Mondays at 18:00
+			schedule: process.env.DIGEST_SCHEDULE || '0 18 * * *',
+			timezone: process.env.DIGEST_TIMEZONE || 'UTC'
+		}
 	},
 
 	// Validation flags
@@ -52,12 +148,11 @@ const config = {
 
 /**
  * Validates required configuration values
- * @returns {Object} Validation result with isValid flag and missing fields
+ * @returns {Object} Validation result with isValid flag, missing fields and warnings
  */
 function validateConfig() {
 	const required = [
-		'discord.token',
-		'discord.announcementChannelId'
+		'discord.token'
 	]
 
 	const missing = []
@@ -73,15 +168,43 @@ function validateConfig() {
 	const hasSocialMedia = 
 		config.socialMedia.instagram.username ||
 		config.socialMedia.linkedin.profileUrl ||
-		(config.socialMedia.youtube.apiKey && config.socialMedia.youtube.channelId)
+		config.socialMedia.youtube.channelId || config.socialMedia.youtube.channelHandle || config.socialMedia.youtube.channels.length > 0 ||
+		(config.socialMedia.twitch.clientId && config.socialMedia.twitch.clientSecret && config.socialMedia.twitch.channels.length > 0) ||
+		config.socialMedia.feed.urls.length > 0
 
+	// Accounts can also be added at runtime with /subscribe, so an empty
+	// platform configuration is only worth a warning
+	const warnings = []
 	if (!hasSocialMedia) {
-		missing.push('At least one social media platform (Instagram username, LinkedIn profile URL, or YouTube API key + channel ID)')
+		warnings.push('No social media platform configured in the environment (Instagram username, LinkedIn profile URL, YouTube channel ID/channels, Twitch credentials + channels, or feed URLs). Use /subscribe to add accounts.')
+	}
+
+	if (!config.discord.announcementChannelId) {
+		warnings.push('ANNOUNCEMENT_CHANNEL_ID is not set: every server needs to pick a channel with /settings, and bot status messages are not posted.')
+	}
+
+	for (const [name, { min, max }] of Object.entries(BOUNDED_SETTINGS)) {
+		const raw = process.env[name]
+		const value = Number(raw)
+
+		if (raw && (!Number.isInteger(value) || value < min || value > max)) {
+			warnings.push(`${name}=${raw} must be a whole number from ${min} to ${max}, using ${parseBounded(name)}.`)
+		}
+	}
+
+	const invalidIntervals = parseList(process.env.CHECK_INTERVALS).filter(entry => !parseIntervalEntry(entry))
+	if (invalidIntervals.length > 0) {
+		warnings.push(`Ignoring CHECK_INTERVALS entries ${invalidIntervals.join(', ')}: use platform=minutes or source=minutes with ${MIN_INTERVAL_MINUTES} to ${MAX_INTERVAL_MINUTES} minutes.`)
+	}
+
+	if (config.socialMedia.youtube.websub.enabled && !config.socialMedia.youtube.websub.callbackUrl) {
+		warnings.push('YOUTUBE_WEBSUB_ENABLED is set without YOUTUBE_WEBSUB_CALLBACK_URL, YouTube will only be polled.')
 	}
 
 	return {
 		isValid: missing.length === 0,
-		missing
+		missing,
+		warnings
 	}
 }
 
@@ -96,6 +219,28 @@ function getDatabasePath() {
 	return path.join(__dirname, '../../', config.bot.databasePath)
 }
 
+/**
+ * Gets the full plugins directory path
+ * @returns {string} Absolute path to the provider plugins directory
+ */
+function getPluginsPath() {
+	if (path.isAbsolute(config.bot.pluginsDir)) {
+		return config.bot.pluginsDir
+	}
+	return path.join(__dirname, '../../', config.bot.pluginsDir)
+}
+
+/**
+ * Gets the check interval of a source
+ * A source's own interval wins over its platform's, then the default applies
+ * @param {string} sourceId - Source identifier (or platform name)
+ * @param {string} platform - Platform name
+ * @returns {number} Interval in minutes
+ */
+function getCheckIntervalMinutes(sourceId, platform) {
+	return config.bot.checkIntervals[sourceId] ?? config.bot.checkIntervals[platform] ?? config.bot.checkIntervalMinutes
+}
+
 /**
  * Gets the logs directory path
  * @returns {string} Absolute path to logs directory
@@ -108,5 +253,10 @@ export {
 	config,
 	validateConfig,
 	getDatabasePath,
-	getLogsPath
+	getPluginsPath,
+	getLogsPath,
+	getCheckIntervalMinutes,
+	parseIntervalEntry,
+	MIN_INTERVAL_MINUTES,
+	MAX_INTERVAL_MINUTES
 } 
\ No newline at end of file
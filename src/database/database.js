@@ -1,12 +1,268 @@
 import sqlite3 from 'sqlite3'
 import path from 'path'
 import fs from 'fs'
+import { AsyncLocalStorage } from 'async_hooks'
 import { getDatabasePath } from '../config/config.js'
 import { logDatabaseOperation } from '../utils/logger.js'
+import { getPlatformFromSourceId } from '../utils/sources.js'
 
 // Enable verbose mode for debugging
 const sqlite = sqlite3.verbose()
 
+// Last updates recorded by a check that runs in holdLastUpdates(), keyed by source ID
+const heldLastUpdates = new AsyncLocalStorage()
+
+/**
+ * Current table schemas
+ * Also used to rebuild tables created by older versions
+ */
+const TABLE_SCHEMAS = {
+	// Table to track last update times for each monitored source
+	last_updates: `
+		CREATE TABLE last_updates (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			source_id TEXT NOT NULL UNIQUE,
+			platform TEXT NOT NULL,
+			last_check_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+			last_content_id TEXT,
+			last_content_timestamp DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`,
+
+	// Table to track sent notifications to prevent duplicates
+	sent_notifications: `
+		CREATE TABLE sent_notifications (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT,
+			platform TEXT NOT NULL,
+			source_id TEXT NOT NULL,
+			content_id TEXT NOT NULL,
+			content_url TEXT,
+			channel_id TEXT,
+			discord_message_id TEXT,
+			scheduled_event_id TEXT,
+			webhook_id TEXT,
+			thread_id TEXT,
+			crosspost_status TEXT,
+			crosspost_attempts INTEGER DEFAULT 0,
+			crossposted_at DATETIME,
+			filter_reason TEXT,
+			sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, source_id, content_id)
+		)
+	`,
+
+	// Table to store per-guild settings
+	guild_settings: `
+		CREATE TABLE guild_settings (
+			guild_id TEXT PRIMARY KEY,
+			announcement_channel_id TEXT,
+			mention_everyone INTEGER,
+			auto_crosspost INTEGER,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`,
+
+	// Table to route announcements to channels by platform or source
+	announcement_routes: `
+		CREATE TABLE announcement_routes (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT,
+			scope TEXT NOT NULL,
+			channel_id TEXT NOT NULL,
+			delivery TEXT,
+			threads INTEGER,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, scope)
+		)
+	`,
+
+	// Table to store who announcements mention, by platform or source
+	mention_targets: `
+		CREATE TABLE mention_targets (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT NOT NULL,
+			scope TEXT NOT NULL,
+			mention_type TEXT NOT NULL,
+			target_ids TEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, scope)
+		)
+	`,
+
+	// Table to store accounts subscribed to at runtime via slash commands
+	subscriptions: `
+		CREATE TABLE subscriptions (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT,
+			source_id TEXT NOT NULL,
+			platform TEXT NOT NULL,
+			account TEXT NOT NULL,
+			channel_id TEXT,
+			created_by TEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, source_id)
+		)
+	`,
+
+	// Table to store per-guild settings for a single source
+	source_settings: `
+		CREATE TABLE source_settings (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT NOT NULL,
+			source_id TEXT NOT NULL,
+			content_types TEXT,
+			templates TEXT,
+			filters TEXT,
+			announce_mode TEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, source_id)
+		)
+	`,
+
+	// Table to track announced content that can still change (e.g. upcoming streams)
+	tracked_content: `
+		CREATE TABLE tracked_content (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			source_id TEXT NOT NULL,
+			platform TEXT NOT NULL,
+			content_id TEXT NOT NULL,
+			state TEXT,
+			content TEXT NOT NULL,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(source_id, content_id)
+		)
+	`,
+
+	// Table to store the last announced content of each source, for template previews
+	last_content: `
+		CREATE TABLE last_content (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			source_id TEXT NOT NULL UNIQUE,
+			platform TEXT NOT NULL,
+			content_id TEXT NOT NULL,
+			content TEXT NOT NULL,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`,
+
+	// Table to collect content of digest sources until the next digest is posted
+	digest_items: `
+		CREATE TABLE digest_items (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT NOT NULL,
+			channel_id TEXT NOT NULL,
+			platform TEXT NOT NULL,
+			source_id TEXT NOT NULL,
+			content_id TEXT NOT NULL,
+			title TEXT,
+			url TEXT,
+			image_url TEXT,
+			published_at DATETIME,
+			queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, source_id, content_id)
+		)
+	`,
+
+	// Table to hold new content until it is delivered to a guild, see utils/outbox.js
+	outbox: `
+		CREATE TABLE outbox (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			guild_id TEXT NOT NULL,
+			platform TEXT NOT NULL,
+			source_id TEXT NOT NULL,
+			content_id TEXT NOT NULL,
+			content TEXT NOT NULL,
+			status TEXT NOT NULL DEFAULT 'pending',
+			attempts INTEGER DEFAULT 0,
+			last_error TEXT,
+			next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(guild_id, source_id, content_id)
+		)
+	`,
+
+	// Table to store the health of every checked source, see utils/health.js
+	source_health: `
+		CREATE TABLE source_health (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			source_id TEXT NOT NULL UNIQUE,
+			platform TEXT NOT NULL,
+			state TEXT NOT NULL,
+			consecutive_failures INTEGER DEFAULT 0,
+			last_error TEXT,
+			retry_at DATETIME,
+			state_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`,
+
+	// Table to store bot configuration and stats
+	bot_stats: `
+		CREATE TABLE bot_stats (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			stat_name TEXT NOT NULL UNIQUE,
+			stat_value TEXT,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`
+}
+
+/**
+ * Schema changes that need a table rebuild, detected by a missing column
+ * Rows without a guild are assigned to the default guild once Discord is ready
+ */
+const MIGRATIONS = [
+	// State used to be keyed by platform only; old rows keep their platform name as source id
+	{ table: 'last_updates', column: 'source_id', copy: { source_id: 'platform' } },
+	{ table: 'sent_notifications', column: 'source_id', copy: { source_id: 'platform' } },
+	{ table: 'sent_notifications', column: 'guild_id' },
+	{ table: 'sent_notifications', column: 'channel_id' },
+	{ table: 'sent_notifications', column: 'scheduled_event_id' },
+	{ table: 'sent_notifications', column: 'webhook_id' },
+	{ table: 'sent_notifications', column: 'crosspost_status' },
+	{ table: 'guild_settings', column: 'auto_crosspost' },
+	{ table: 'announcement_routes', column: 'guild_id' },
+	{ table: 'announcement_routes', column: 'delivery' },
+	{ table: 'announcement_routes', column: 'threads' },
+	{ table: 'sent_notifications', column: 'thread_id' },
+	{ table: 'subscriptions', column: 'guild_id' },
+	{ table: 'source_settings', column: 'templates' },
+	{ table: 'source_settings', column: 'filters' },
+	{ table: 'sent_notifications', column: 'filter_reason' },
+	{ table: 'source_settings', column: 'announce_mode' }
+]
+
+/**
+ * Columns of source_settings that can be changed, keyed by setting name
+ */
+const SOURCE_SETTING_COLUMNS = {
+	contentTypes: 'content_types',
+	templates: 'templates',
+	filters: 'filters',
+	announceMode: 'announce_mode'
+}
+
+const INDEXES_SQL = `
+	-- Create indexes for better performance
+	CREATE INDEX IF NOT EXISTS idx_last_updates_platform ON last_updates(platform);
+	CREATE INDEX IF NOT EXISTS idx_sent_notifications_source_content ON sent_notifications(source_id, content_id);
+	CREATE INDEX IF NOT EXISTS idx_sent_notifications_guild ON sent_notifications(guild_id, sent_at);
+	CREATE INDEX IF NOT EXISTS idx_sent_notifications_sent_at ON sent_notifications(sent_at);
+	CREATE INDEX IF NOT EXISTS idx_subscriptions_source ON subscriptions(source_id);
+	CREATE INDEX IF NOT EXISTS idx_digest_items_guild ON digest_items(guild_id, queued_at);
+	CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, next_attempt_at);
+	CREATE INDEX IF NOT EXISTS idx_bot_stats_name ON bot_stats(stat_name);
+`
+
 /**
  * Database class for managing social media update tracking
  */
@@ -49,46 +305,84 @@ class Database {
 	 * @returns {Promise<void>}
 	 */
 	async createTables() {
-		const createTablesSQL = `
-			-- Table to track last update times for each platform
-			CREATE TABLE IF NOT EXISTS last_updates (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				platform TEXT NOT NULL UNIQUE,
-				last_check_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-				last_content_id TEXT,
-				last_content_timestamp DATETIME,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-			);
-
-			-- Table to track sent notifications to prevent duplicates
-			CREATE TABLE IF NOT EXISTS sent_notifications (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				platform TEXT NOT NULL,
-				content_id TEXT NOT NULL,
-				content_url TEXT,
-				discord_message_id TEXT,
-				sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				UNIQUE(platform, content_id)
-			);
-
-			-- Table to store bot configuration and stats
-			CREATE TABLE IF NOT EXISTS bot_stats (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				stat_name TEXT NOT NULL UNIQUE,
-				stat_value TEXT,
-				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-			);
-
-			-- Create indexes for better performance
-			CREATE INDEX IF NOT EXISTS idx_last_updates_platform ON last_updates(platform);
-			CREATE INDEX IF NOT EXISTS idx_sent_notifications_platform_content ON sent_notifications(platform, content_id);
-			CREATE INDEX IF NOT EXISTS idx_sent_notifications_sent_at ON sent_notifications(sent_at);
-			CREATE INDEX IF NOT EXISTS idx_bot_stats_name ON bot_stats(stat_name);
-		`
+		for (const schema of Object.values(TABLE_SCHEMAS)) {
+			await this.exec(schema.replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS'))
+		}
+
+		await this.migrateTables()
+		await this.exec(INDEXES_SQL)
+	}
+
+	/**
+	 * Bring tables created by older versions up to the current schema
+	 * @returns {Promise<void>}
+	 */
+	async migrateTables() {
+		for (const migration of MIGRATIONS) {
+			if (await this.hasColumn(migration.table, migration.column)) continue
 
+			await this.rebuildTable(migration.table, migration.copy)
+			logDatabaseOperation('migrateTables', {
+				success: true,
+				data: `${migration.table} rebuilt to add ${migration.column}`
+			})
+		}
+	}
+
+	/**
+	 * Recreate a table with its current schema, keeping existing rows
+	 * SQLite can't change constraints in place, so the table is copied over
+	 * @param {string} table - Table name
+	 * @param {Object} copy - SQL expressions for new columns, keyed by column name
+	 * @returns {Promise<void>}
+	 */
+	async rebuildTable(table, copy = {}) {
+		const legacyTable = `${table}_legacy`
+		const oldColumns = (await this.queryAll('rebuildTable', `PRAGMA table_info(${table})`))
+			.map(info => info.name)
+
+		await this.exec('BEGIN TRANSACTION')
+
+		try {
+			await this.exec(`ALTER TABLE ${table} RENAME TO ${legacyTable}`)
+			await this.exec(TABLE_SCHEMAS[table])
+
+			const newColumns = (await this.queryAll('rebuildTable', `PRAGMA table_info(${table})`))
+				.map(info => info.name)
+				.filter(column => copy[column] || oldColumns.includes(column))
+
+			await this.exec(`
+				INSERT INTO ${table} (${newColumns.join(', ')})
+				SELECT ${newColumns.map(column => copy[column] || column).join(', ')}
+				FROM ${legacyTable}
+			`)
+			await this.exec(`DROP TABLE ${legacyTable}`)
+			await this.exec('COMMIT')
+		} catch (error) {
+			await this.exec('ROLLBACK')
+			throw error
+		}
+	}
+
+	/**
+	 * Check whether a table has a given column
+	 * @param {string} table - Table name
+	 * @param {string} column - Column name
+	 * @returns {Promise<boolean>} True if the column exists
+	 */
+	async hasColumn(table, column) {
+		const columns = await this.queryAll('hasColumn', `PRAGMA table_info(${table})`)
+		return columns.some(info => info.name === column)
+	}
+
+	/**
+	 * Execute one or more SQL statements without parameters
+	 * @param {string} sql - SQL to execute
+	 * @returns {Promise<void>}
+	 */
+	exec(sql) {
 		return new Promise((resolve, reject) => {
-			this.db.exec(createTablesSQL, (error) => {
+			this.db.exec(sql, (error) => {
 				if (error) {
 					reject(error)
 				} else {
@@ -99,16 +393,81 @@ class Database {
 	}
 
 	/**
-	 * Get the last update information for a platform
-	 * @param {string} platform - Platform name (instagram, linkedin, youtube)
+	 * Run a statement that modifies data
+	 * @param {string} operation - Operation name used for logging
+	 * @param {string} sql - SQL statement
+	 * @param {Array} params - Statement parameters
+	 * @returns {Promise<Object>} Success result with affected rows and last inserted id
+	 */
+	execute(operation, sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.run(sql, params, function(error) {
+				if (error) {
+					const result = { success: false, error: error.message }
+					logDatabaseOperation(operation, result)
+					reject(error)
+				} else {
+					const result = { success: true, affectedRows: this.changes, lastId: this.lastID }
+					logDatabaseOperation(operation, result)
+					resolve(result)
+				}
+			})
+		})
+	}
+
+	/**
+	 * Fetch a single row
+	 * @param {string} operation - Operation name used for logging
+	 * @param {string} sql - SQL query
+	 * @param {Array} params - Query parameters
+	 * @returns {Promise<Object|undefined>} Row or undefined
+	 */
+	queryOne(operation, sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.get(sql, params, (error, row) => {
+				if (error) {
+					logDatabaseOperation(operation, { success: false, error: error.message })
+					reject(error)
+				} else {
+					logDatabaseOperation(operation, { success: true, data: row })
+					resolve(row)
+				}
+			})
+		})
+	}
+
+	/**
+	 * Fetch all matching rows
+	 * @param {string} operation - Operation name used for logging
+	 * @param {string} sql - SQL query
+	 * @param {Array} params - Query parameters
+	 * @returns {Promise<Array>} Rows
+	 */
+	queryAll(operation, sql, params = []) {
+		return new Promise((resolve, reject) => {
+			this.db.all(sql, params, (error, rows) => {
+				if (error) {
+					logDatabaseOperation(operation, { success: false, error: error.message })
+					reject(error)
+				} else {
+					logDatabaseOperation(operation, { success: true, data: rows.length })
+					resolve(rows)
+				}
+			})
+		})
+	}
+
+	/**
+	 * Get the last update information for a source
+	 * @param {string} sourceId - Source identifier (e.g. youtube:UC..., or a platform name for single-account platforms)
 	 * @returns {Promise<Object>} Last update data or null
 	 */
-	async getLastUpdate(platform) {
+	async getLastUpdate(sourceId) {
 		try {
-			const sql = 'SELECT * FROM last_updates WHERE platform = ?'
+			const sql = 'SELECT * FROM last_updates WHERE source_id = ?'
 			
 			return new Promise((resolve, reject) => {
-				this.db.get(sql, [platform], (error, row) => {
+				this.db.get(sql, [sourceId], (error, row) => {
 					if (error) {
 						const result = { success: false, error: error.message }
 						logDatabaseOperation('getLastUpdate', result)
@@ -128,22 +487,29 @@ class Database {
 	}
 
 	/**
-	 * Update the last check time and content info for a platform
-	 * @param {string} platform - Platform name
+	 * Update the last check time and content info for a source
+	 * @param {string} sourceId - Source identifier
 	 * @param {string} lastContentId - ID of the last content item
 	 * @param {Date} lastContentTimestamp - Timestamp of the last content
 	 * @returns {Promise<Object>} Success/error result
 	 */
-	async updateLastCheck(platform, lastContentId = null, lastContentTimestamp = null) {
+	async updateLastCheck(sourceId, lastContentId = null, lastContentTimestamp = null) {
+		const held = heldLastUpdates.getStore()
+		if (held) {
+			held.set(sourceId, [lastContentId, lastContentTimestamp])
+			return { success: true, affectedRows: 0 }
+		}
+
 		try {
 			const sql = `
 				INSERT OR REPLACE INTO last_updates 
-				(platform, last_check_time, last_content_id, last_content_timestamp, updated_at)
-				VALUES (?, CURRENT_TIMESTAMP, ?, ?, CURRENT_TIMESTAMP)
+				(source_id, platform, last_check_time, last_content_id, last_content_timestamp, updated_at)
+				VALUES (?, ?, CURRENT_TIMESTAMP, ?, ?, CURRENT_TIMESTAMP)
 			`
+			const platform = getPlatformFromSourceId(sourceId)
 			
 			return new Promise((resolve, reject) => {
-				this.db.run(sql, [platform, lastContentId, lastContentTimestamp], function(error) {
+				this.db.run(sql, [sourceId, platform, lastContentId, lastContentTimestamp], function(error) {
 					if (error) {
 						const result = { success: false, error: error.message }
 						logDatabaseOperation('updateLastCheck', result)
@@ -162,18 +528,61 @@ class Database {
 		}
 	}
 
+	/**
+	 * Run a task holding back the last updates it records
+	 * Providers record their last update before the content they found is
+	 * stored for delivery. Holding it back until commitLastUpdates() means
+	 * content that couldn't be stored is found again by the next check.
+	 * @param {Function} task - Task to run
+	 * @returns {Object} Promise of the task's result, and the held updates for commitLastUpdates()
+	 */
+	holdLastUpdates(task) {
+		const held = new Map()
+		return { result: heldLastUpdates.run(held, () => Promise.resolve().then(task)), held }
+	}
+
+	/**
+	 * Record last updates held back by holdLastUpdates()
+	 * @param {Map} held - Held updates
+	 * @returns {Promise<void>}
+	 */
+	async commitLastUpdates(held) {
+		for (const [sourceId, [lastContentId, lastContentTimestamp]] of held) {
+			await this.updateLastCheck(sourceId, lastContentId, lastContentTimestamp)
+			held.delete(sourceId)
+		}
+	}
+
+	/**
+	 * Forget the last update of the given sources so the next check starts fresh
+	 * @param {Array<string>} sourceIds - Source identifiers
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async clearLastUpdates(sourceIds) {
+		if (sourceIds.length === 0) {
+			return { success: true, affectedRows: 0 }
+		}
+
+		const placeholders = sourceIds.map(() => '?').join(', ')
+		return this.execute('clearLastUpdates', `DELETE FROM last_updates WHERE source_id IN (${placeholders})`, sourceIds)
+	}
+
 	/**
 	 * Check if a notification has already been sent for specific content
-	 * @param {string} platform - Platform name
+	 * @param {string} sourceId - Source identifier
 	 * @param {string} contentId - Content ID to check
+	 * @param {string} guildId - Only consider this guild (optional, defaults to any guild)
 	 * @returns {Promise<boolean>} True if already sent, false otherwise
 	 */
-	async isNotificationSent(platform, contentId) {
+	async isNotificationSent(sourceId, contentId, guildId = null) {
 		try {
-			const sql = 'SELECT id FROM sent_notifications WHERE platform = ? AND content_id = ?'
+			const sql = guildId
+				? 'SELECT id FROM sent_notifications WHERE source_id = ? AND content_id = ? AND guild_id = ?'
+				: 'SELECT id FROM sent_notifications WHERE source_id = ? AND content_id = ?'
+			const params = guildId ? [sourceId, contentId, guildId] : [sourceId, contentId]
 			
 			return new Promise((resolve, reject) => {
-				this.db.get(sql, [platform, contentId], (error, row) => {
+				this.db.get(sql, params, (error, row) => {
 					if (error) {
 						const result = { success: false, error: error.message }
 						logDatabaseOperation('isNotificationSent', result)
@@ -194,22 +603,30 @@ class Database {
 
 	/**
 	 * Record a sent notification
-	 * @param {string} platform - Platform name
+	 * @param {string} sourceId - Source identifier
 	 * @param {string} contentId - Content ID
 	 * @param {string} contentUrl - Content URL
 	 * @param {string} discordMessageId - Discord message ID
+	 * @param {Object} details - Where the notification was delivered
+	 * @param {string} details.guildId - Guild the notification was sent to
+	 * @param {string} details.channelId - Channel the message was posted in (the post itself for forum posts)
+	 * @param {string} details.scheduledEventId - Guild Scheduled Event created for the content
+	 * @param {string} details.webhookId - Webhook the message was posted through, if not the bot user
+	 * @param {string} details.threadId - Discussion thread or forum post opened for the announcement
+	 * @param {string} details.crosspostStatus - 'pending' if the message is queued for crossposting
 	 * @returns {Promise<Object>} Success/error result
 	 */
-	async recordSentNotification(platform, contentId, contentUrl, discordMessageId) {
+	async recordSentNotification(sourceId, contentId, contentUrl, discordMessageId, { guildId = null, channelId = null, scheduledEventId = null, webhookId = null, threadId = null, crosspostStatus = null } = {}) {
 		try {
 			const sql = `
 				INSERT OR REPLACE INTO sent_notifications 
-				(platform, content_id, content_url, discord_message_id, sent_at)
-				VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+				(guild_id, platform, source_id, content_id, content_url, channel_id, discord_message_id, scheduled_event_id, webhook_id, thread_id, crosspost_status, sent_at)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
 			`
+			const platform = getPlatformFromSourceId(sourceId)
 			
 			return new Promise((resolve, reject) => {
-				this.db.run(sql, [platform, contentId, contentUrl, discordMessageId], function(error) {
+				this.db.run(sql, [guildId, platform, sourceId, contentId, contentUrl, channelId, discordMessageId, scheduledEventId, webhookId, threadId, crosspostStatus], function(error) {
 					if (error) {
 						const result = { success: false, error: error.message }
 						logDatabaseOperation('recordSentNotification', result)
@@ -229,22 +646,619 @@ class Database {
 	}
 
 	/**
-	 * Get bot statistics
+	 * Record content a guild's filters kept from being announced
+	 * The row marks the content as seen for the guild, so it isn't evaluated again
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @param {string} contentUrl - Content URL
+	 * @param {string} reason - Why the content was filtered
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async recordFilteredNotification(guildId, sourceId, contentId, contentUrl, reason) {
+		const sql = `
+			INSERT OR IGNORE INTO sent_notifications (guild_id, platform, source_id, content_id, content_url, filter_reason)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`
+		return this.execute('recordFilteredNotification', sql, [guildId, getPlatformFromSourceId(sourceId), sourceId, contentId, contentUrl, reason])
+	}
+
+	/**
+	 * Get every notification sent for a content item, across guilds
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @returns {Promise<Array>} Notification rows
+	 */
+	async getSentNotifications(sourceId, contentId) {
+		return this.queryAll('getSentNotifications', 'SELECT * FROM sent_notifications WHERE source_id = ? AND content_id = ?', [sourceId, contentId])
+	}
+
+	/**
+	 * Record the crosspost state of an announcement
+	 * @param {string} channelId - Discord channel ID
+	 * @param {string} messageId - Discord message ID
+	 * @param {string} status - 'pending', 'published' or 'failed'
+	 * @param {number} attempts - Crosspost attempts so far
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async updateCrosspostStatus(channelId, messageId, status, attempts) {
+		const sql = `
+			UPDATE sent_notifications
+			SET crosspost_status = ?,
+				crosspost_attempts = ?,
+				crossposted_at = CASE WHEN ? = 'published' THEN CURRENT_TIMESTAMP ELSE crossposted_at END
+			WHERE channel_id = ? AND discord_message_id = ?
+		`
+		return this.execute('updateCrosspostStatus', sql, [status, attempts, status, channelId, messageId])
+	}
+
+	/**
+	 * Get announcements still waiting to be crossposted, oldest first
+	 * @returns {Promise<Array>} Notification rows
+	 */
+	async getPendingCrossposts() {
+		return this.queryAll('getPendingCrossposts', `SELECT * FROM sent_notifications WHERE crosspost_status = 'pending' ORDER BY sent_at`)
+	}
+
+	/**
+	 * Get announcements crossposted within the last hour, to restore rate limit windows
+	 * @returns {Promise<Array>} Notification rows
+	 */
+	async getRecentCrossposts() {
+		return this.queryAll('getRecentCrossposts', `
+			SELECT channel_id, crossposted_at FROM sent_notifications
+			WHERE crosspost_status = 'published' AND crossposted_at > datetime('now', '-1 hour')
+		`)
+	}
+
+	/**
+	 * Collect content for a guild's next digest
+	 * Content already waiting for the digest is left as it is
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} channelId - Channel the digest is posted in
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @param {Object} item - What the digest shows
+	 * @param {string} item.title - Title of the content
+	 * @param {string} item.url - Link to the content
+	 * @param {string} item.imageUrl - Thumbnail (optional)
+	 * @param {Date} item.publishedAt - When the content was published (optional)
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async queueDigestItem(guildId, channelId, sourceId, contentId, { title = null, url = null, imageUrl = null, publishedAt = null } = {}) {
+		const sql = `
+			INSERT OR IGNORE INTO digest_items (guild_id, channel_id, platform, source_id, content_id, title, url, image_url, published_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`
+		return this.execute('queueDigestItem', sql, [
+			guildId,
+			channelId,
+			getPlatformFromSourceId(sourceId),
+			sourceId,
+			contentId,
+			title,
+			url,
+			imageUrl,
+			publishedAt ? publishedAt.toISOString() : null
+		])
+	}
+
+	/**
+	 * Get content waiting for the next digest, oldest first
+	 * @param {string} guildId - Only get items of this guild (optional)
+	 * @returns {Promise<Array>} Digest item rows
+	 */
+	async getDigestItems(guildId = null) {
+		return guildId
+			? this.queryAll('getDigestItems', 'SELECT * FROM digest_items WHERE guild_id = ? ORDER BY queued_at, id', [guildId])
+			: this.queryAll('getDigestItems', 'SELECT * FROM digest_items ORDER BY guild_id, queued_at, id')
+	}
+
+	/**
+	 * Remove digest items once their digest is posted
+	 * @param {Array<number>} ids - Digest item IDs
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeDigestItems(ids) {
+		if (ids.length === 0) {
+			return { success: true, affectedRows: 0 }
+		}
+
+		return this.execute('removeDigestItems', `DELETE FROM digest_items WHERE id IN (${ids.map(() => '?').join(', ')})`, ids)
+	}
+
+	/**
+	 * Add new content for a guild to the outbox
+	 * Content that is in the outbox for the guild already is left as it is
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @param {string} content - JSON of the content object
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async enqueueOutboxItem(guildId, sourceId, contentId, content) {
+		const sql = `
+			INSERT OR IGNORE INTO outbox (guild_id, platform, source_id, content_id, content)
+			VALUES (?, ?, ?, ?, ?)
+		`
+		return this.execute('enqueueOutboxItem', sql, [guildId, getPlatformFromSourceId(sourceId), sourceId, contentId, content])
+	}
+
+	/**
+	 * Get outbox items that are due for a delivery attempt, oldest first
+	 * @param {number} limit - Maximum number of items
+	 * @returns {Promise<Array>} Outbox rows
+	 */
+	async getDueOutboxItems(limit = 50) {
+		return this.queryAll('getDueOutboxItems', `
+			SELECT * FROM outbox
+			WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+			ORDER BY id
+			LIMIT ?
+		`, [limit])
+	}
+
+	/**
+	 * Get the time of the next delivery attempt in the outbox
+	 * @returns {Promise<string|null>} SQLite UTC timestamp, or null if nothing is pending
+	 */
+	async getNextOutboxAttempt() {
+		const row = await this.queryOne('getNextOutboxAttempt', `SELECT MIN(next_attempt_at) as next_attempt_at FROM outbox WHERE status = 'pending'`)
+		return row?.next_attempt_at || null
+	}
+
+	/**
+	 * Get outbox items, optionally limited to a status and to a guild
+	 * @param {Object} options - Filters
+	 * @param {string} options.status - pending or dead (optional)
+	 * @param {string} options.guildId - Only items for this guild (optional)
+	 * @returns {Promise<Array>} Outbox rows, oldest first
+	 */
+	async getOutboxItems({ status = null, guildId = null } = {}) {
+		const conditions = []
+		const params = []
+
+		if (status) {
+			conditions.push('status = ?')
+			params.push(status)
+		}
+
+		if (guildId) {
+			conditions.push('guild_id = ?')
+			params.push(guildId)
+		}
+
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+		return this.queryAll('getOutboxItems', `SELECT * FROM outbox ${where} ORDER BY id`, params)
+	}
+
+	/**
+	 * Get an outbox item
+	 * @param {number} id - Outbox item ID
+	 * @returns {Promise<Object|undefined>} Outbox row or undefined
+	 */
+	async getOutboxItem(id) {
+		return this.queryOne('getOutboxItem', 'SELECT * FROM outbox WHERE id = ?', [id])
+	}
+
+	/**
+	 * Record the outcome of a delivery attempt that didn't succeed
+	 * @param {number} id - Outbox item ID
+	 * @param {string} status - pending to try again, dead to give up
+	 * @param {number} attempts - Attempts made so far
+	 * @param {string} lastError - Error of the last attempt
+	 * @param {number} delaySeconds - Time until the next attempt
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async updateOutboxItem(id, status, attempts, lastError = null, delaySeconds = 0) {
+		const sql = `
+			UPDATE outbox
+			SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`
+		return this.execute('updateOutboxItem', sql, [status, attempts, lastError, `+${Math.round(delaySeconds)} seconds`, id])
+	}
+
+	/**
+	 * Remove an item from the outbox
+	 * @param {number} id - Outbox item ID
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeOutboxItem(id) {
+		return this.execute('removeOutboxItem', 'DELETE FROM outbox WHERE id = ?', [id])
+	}
+
+	/**
+	 * Store the health of a source
+	 * @param {string} sourceId - Source identifier (or platform name)
+	 * @param {Object} health - Health state
+	 * @param {string} health.state - healthy, degraded or open
+	 * @param {number} health.failures - Consecutive failed checks
+	 * @param {string} health.lastError - Error of the last failed check
+	 * @param {Date} health.retryAt - When an open circuit is probed again
+	 * @param {boolean} health.stateChanged - Whether the state differs from the stored one
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async saveSourceHealth(sourceId, { state, failures = 0, lastError = null, retryAt = null, stateChanged = false }) {
+		const sql = `
+			INSERT INTO source_health (source_id, platform, state, consecutive_failures, last_error, retry_at)
+			VALUES (?, ?, ?, ?, ?, ?)
+			ON CONFLICT(source_id) DO UPDATE SET
+				state = excluded.state,
+				consecutive_failures = excluded.consecutive_failures,
+				last_error = excluded.last_error,
+				retry_at = excluded.retry_at,
+				state_changed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE state_changed_at END,
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('saveSourceHealth', sql, [
+			sourceId,
+			getPlatformFromSourceId(sourceId),
+			state,
+			failures,
+			lastError,
+			retryAt ? retryAt.toISOString() : null,
+			stateChanged ? 1 : 0
+		])
+	}
+
+	/**
+	 * Get the stored health of every source
+	 * @returns {Promise<Array>} Source health rows
+	 */
+	async getSourceHealth() {
+		return this.queryAll('getSourceHealth', 'SELECT * FROM source_health ORDER BY source_id')
+	}
+
+	/**
+	 * Start or update tracking of announced content that can still change
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @param {string} state - Current state (e.g. the content type)
+	 * @param {string} content - JSON of the content object
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async trackContent(sourceId, contentId, state, content) {
+		const sql = `
+			INSERT INTO tracked_content (source_id, platform, content_id, state, content)
+			VALUES (?, ?, ?, ?, ?)
+			ON CONFLICT(source_id, content_id) DO UPDATE SET
+				state = excluded.state,
+				content = excluded.content,
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('trackContent', sql, [sourceId, getPlatformFromSourceId(sourceId), contentId, state, content])
+	}
+
+	/**
+	 * Get all tracked content
+	 * @returns {Promise<Array>} Tracked content rows, oldest first
+	 */
+	async getTrackedContent() {
+		return this.queryAll('getTrackedContent', 'SELECT * FROM tracked_content ORDER BY created_at')
+	}
+
+	/**
+	 * Stop tracking content
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async untrackContent(sourceId, contentId) {
+		return this.execute('untrackContent', 'DELETE FROM tracked_content WHERE source_id = ? AND content_id = ?', [sourceId, contentId])
+	}
+
+	/**
+	 * Remember the last content announced for a source
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @param {string} content - JSON of the content object
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async saveLastContent(sourceId, contentId, content) {
+		const sql = `
+			INSERT INTO last_content (source_id, platform, content_id, content)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(source_id) DO UPDATE SET
+				content_id = excluded.content_id,
+				content = excluded.content,
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('saveLastContent', sql, [sourceId, getPlatformFromSourceId(sourceId), contentId, content])
+	}
+
+	/**
+	 * Get the last content announced for a source
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Promise<Object|undefined>} Row with the content JSON, or undefined
+	 */
+	async getLastContent(sourceId) {
+		return this.queryOne('getLastContent', 'SELECT * FROM last_content WHERE source_id = ?', [sourceId])
+	}
+
+	/**
+	 * Get settings for a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Object|undefined>} Settings row or undefined
+	 */
+	async getGuildSettings(guildId) {
+		return this.queryOne('getGuildSettings', 'SELECT * FROM guild_settings WHERE guild_id = ?', [guildId])
+	}
+
+	/**
+	 * Update settings for a guild, leaving settings that aren't passed untouched
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} settings - Settings to change
+	 * @param {string} settings.announcementChannelId - Default announcement channel
+	 * @param {boolean} settings.mentionEveryone - Whether to mention @everyone
+	 * @param {boolean} settings.autoCrosspost - Whether to publish announcements in Announcement channels
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async updateGuildSettings(guildId, { announcementChannelId, mentionEveryone, autoCrosspost } = {}) {
+		const sql = `
+			INSERT INTO guild_settings (guild_id, announcement_channel_id, mention_everyone, auto_crosspost)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(guild_id) DO UPDATE SET
+				announcement_channel_id = COALESCE(excluded.announcement_channel_id, announcement_channel_id),
+				mention_everyone = COALESCE(excluded.mention_everyone, mention_everyone),
+				auto_crosspost = COALESCE(excluded.auto_crosspost, auto_crosspost),
+				updated_at = CURRENT_TIMESTAMP
+		`
+		const toFlag = value => value === undefined ? null : (value ? 1 : 0)
+		return this.execute('updateGuildSettings', sql, [guildId, announcementChannelId || null, toFlag(mentionEveryone), toFlag(autoCrosspost)])
+	}
+
+	/**
+	 * Assign rows created before multi-guild support to the default guild
+	 * @param {string} guildId - Default guild ID
+	 * @returns {Promise<void>}
+	 */
+	async assignUnscopedRows(guildId) {
+		for (const table of ['sent_notifications', 'announcement_routes', 'subscriptions']) {
+			await this.execute('assignUnscopedRows', `UPDATE OR IGNORE ${table} SET guild_id = ? WHERE guild_id IS NULL`, [guildId])
+		}
+	}
+
+	/**
+	 * Create or update an announcement route
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} scope - Platform name or source identifier
+	 * @param {string} channelId - Discord channel ID
+	 * @param {string} delivery - 'bot' or 'webhook' (optional, defaults to the channel's default)
+	 * @param {boolean} threads - Whether to open a thread for every announcement
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async setRoute(guildId, scope, channelId, delivery = null, threads = false) {
+		const sql = `
+			INSERT INTO announcement_routes (guild_id, scope, channel_id, delivery, threads)
+			VALUES (?, ?, ?, ?, ?)
+			ON CONFLICT(guild_id, scope) DO UPDATE SET
+				channel_id = excluded.channel_id,
+				delivery = excluded.delivery,
+				threads = excluded.threads,
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('setRoute', sql, [guildId, scope, channelId, delivery, threads ? 1 : 0])
+	}
+
+	/**
+	 * Remove an announcement route
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} scope - Platform name or source identifier
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeRoute(guildId, scope) {
+		return this.execute('removeRoute', 'DELETE FROM announcement_routes WHERE guild_id = ? AND scope = ?', [guildId, scope])
+	}
+
+	/**
+	 * Get all announcement routes for a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Array>} Route rows
+	 */
+	async getRoutes(guildId) {
+		return this.queryAll('getRoutes', 'SELECT * FROM announcement_routes WHERE guild_id = ? ORDER BY scope', [guildId])
+	}
+
+	/**
+	 * Find the most specific route for a notification in a guild
+	 * A route for the source wins over a route for its platform
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<Object|undefined>} Matching route or undefined
+	 */
+	async resolveRoute(guildId, sourceId, platform) {
+		const sql = `
+			SELECT * FROM announcement_routes
+			WHERE guild_id = ? AND scope IN (?, ?)
+			ORDER BY CASE WHEN scope = ? THEN 0 ELSE 1 END
+			LIMIT 1
+		`
+		return this.queryOne('resolveRoute', sql, [guildId, sourceId, platform, sourceId])
+	}
+
+	/**
+	 * Get the settings a guild has for a source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Promise<Object|undefined>} Settings row or undefined
+	 */
+	async getSourceSettings(guildId, sourceId) {
+		return this.queryOne('getSourceSettings', 'SELECT * FROM source_settings WHERE guild_id = ? AND source_id = ?', [guildId, sourceId])
+	}
+
+	/**
+	 * Get the settings of every source in a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Array>} Settings rows
+	 */
+	async getGuildSourceSettings(guildId) {
+		return this.queryAll('getGuildSourceSettings', 'SELECT * FROM source_settings WHERE guild_id = ? ORDER BY source_id', [guildId])
+	}
+
+	/**
+	 * Update settings for a source in a guild
+	 * Settings that aren't passed are left untouched, null resets a setting
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {Object} settings - Settings to change
+	 * @param {string|null} settings.contentTypes - JSON array of content types to announce
+	 * @param {string|null} settings.templates - JSON object of announcement templates keyed by part
+	 * @param {string|null} settings.filters - JSON object of include/exclude filters
+	 * @param {string|null} settings.announceMode - instant, digest or both
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async updateSourceSettings(guildId, sourceId, settings = {}) {
+		const columns = Object.entries(SOURCE_SETTING_COLUMNS)
+			.filter(([setting]) => settings[setting] !== undefined)
+
+		if (columns.length === 0) {
+			return { success: true, affectedRows: 0 }
+		}
+
+		const sql = `
+			INSERT INTO source_settings (guild_id, source_id, ${columns.map(([, column]) => column).join(', ')})
+			VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+			ON CONFLICT(guild_id, source_id) DO UPDATE SET
+				${columns.map(([, column]) => `${column} = excluded.${column}`).join(',\n\t\t\t\t')},
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('updateSourceSettings', sql, [guildId, sourceId, ...columns.map(([setting]) => settings[setting])])
+	}
+
+	/**
+	 * Remove all settings a guild has for a source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeSourceSettings(guildId, sourceId) {
+		return this.execute('removeSourceSettings', 'DELETE FROM source_settings WHERE guild_id = ? AND source_id = ?', [guildId, sourceId])
+	}
+
+	/**
+	 * Create or update the mention target for a platform or source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} scope - Platform name or source identifier
+	 * @param {string} mentionType - none, everyone, here, role or users
+	 * @param {Array<string>} targetIds - Role or user IDs
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async setMentionTarget(guildId, scope, mentionType, targetIds = []) {
+		const sql = `
+			INSERT INTO mention_targets (guild_id, scope, mention_type, target_ids)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(guild_id, scope) DO UPDATE SET
+				mention_type = excluded.mention_type,
+				target_ids = excluded.target_ids,
+				updated_at = CURRENT_TIMESTAMP
+		`
+		return this.execute('setMentionTarget', sql, [guildId, scope, mentionType, targetIds.join(',') || null])
+	}
+
+	/**
+	 * Remove the mention target for a platform or source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} scope - Platform name or source identifier
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeMentionTarget(guildId, scope) {
+		return this.execute('removeMentionTarget', 'DELETE FROM mention_targets WHERE guild_id = ? AND scope = ?', [guildId, scope])
+	}
+
+	/**
+	 * Get all mention targets for a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Array>} Mention target rows
+	 */
+	async getMentionTargets(guildId) {
+		return this.queryAll('getMentionTargets', 'SELECT * FROM mention_targets WHERE guild_id = ? ORDER BY scope', [guildId])
+	}
+
+	/**
+	 * Find the most specific mention target for a notification in a guild
+	 * A target for the source wins over a target for its platform
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<Object|undefined>} Matching mention target or undefined
+	 */
+	async resolveMentionTarget(guildId, sourceId, platform) {
+		const sql = `
+			SELECT * FROM mention_targets
+			WHERE guild_id = ? AND scope IN (?, ?)
+			ORDER BY CASE WHEN scope = ? THEN 0 ELSE 1 END
+			LIMIT 1
+		`
+		return this.queryOne('resolveMentionTarget', sql, [guildId, sourceId, platform, sourceId])
+	}
+
+	/**
+	 * Add or update a subscription
+	 * @param {Object} subscription - Subscription data
+	 * @param {string} subscription.guildId - Guild the subscription belongs to
+	 * @param {string} subscription.sourceId - Source identifier
+	 * @param {string} subscription.platform - Platform name
+	 * @param {string} subscription.account - Account on the platform
+	 * @param {string} subscription.channelId - Discord channel to announce in (optional)
+	 * @param {string} subscription.createdBy - Discord user ID of the creator
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async addSubscription({ guildId, sourceId, platform, account, channelId = null, createdBy = null }) {
+		const sql = `
+			INSERT INTO subscriptions (guild_id, source_id, platform, account, channel_id, created_by)
+			VALUES (?, ?, ?, ?, ?, ?)
+			ON CONFLICT(guild_id, source_id) DO UPDATE SET channel_id = excluded.channel_id
+		`
+		return this.execute('addSubscription', sql, [guildId, sourceId, platform, account, channelId, createdBy])
+	}
+
+	/**
+	 * Remove a subscription
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Promise<Object>} Success/error result
+	 */
+	async removeSubscription(guildId, sourceId) {
+		return this.execute('removeSubscription', 'DELETE FROM subscriptions WHERE guild_id = ? AND source_id = ?', [guildId, sourceId])
+	}
+
+	/**
+	 * Get all subscriptions across guilds
+	 * @returns {Promise<Array>} Subscription rows
+	 */
+	async getSubscriptions() {
+		return this.queryAll('getSubscriptions', 'SELECT * FROM subscriptions ORDER BY guild_id, platform, account')
+	}
+
+	/**
+	 * Get bot statistics, optionally scoped to a guild
+	 * @param {string} guildId - Only count notifications sent to this guild (optional)
+	 * @param {Array<string>} sourceIds - Only consider these sources for check times (optional)
 	 * @returns {Promise<Object>} Bot statistics
 	 */
-	async getBotStats() {
+	async getBotStats(guildId = null, sourceIds = null) {
 		try {
+			const guildFilter = guildId ? 'AND guild_id = ?' : ''
+			const sourceFilter = sourceIds
+				? `WHERE source_id IN (${sourceIds.map(() => '?').join(', ') || 'NULL'})`
+				: ''
+
 			const sql = `
 				SELECT 
-					(SELECT COUNT(*) FROM sent_notifications) as total_notifications,
-					(SELECT COUNT(*) FROM sent_notifications WHERE sent_at > datetime('now', '-24 hours')) as notifications_24h,
-					(SELECT COUNT(*) FROM sent_notifications WHERE sent_at > datetime('now', '-7 days')) as notifications_7d,
-					(SELECT COUNT(DISTINCT platform) FROM last_updates) as active_platforms,
-					(SELECT MAX(last_check_time) FROM last_updates) as last_global_check
+					(SELECT COUNT(*) FROM sent_notifications WHERE filter_reason IS NULL ${guildFilter}) as total_notifications,
+					(SELECT COUNT(*) FROM sent_notifications WHERE filter_reason IS NULL AND sent_at > datetime('now', '-24 hours') ${guildFilter}) as notifications_24h,
+					(SELECT COUNT(*) FROM sent_notifications WHERE filter_reason IS NULL AND sent_at > datetime('now', '-7 days') ${guildFilter}) as notifications_7d,
+					(SELECT COUNT(DISTINCT platform) FROM last_updates ${sourceFilter}) as active_platforms,
+					(SELECT MAX(last_check_time) FROM last_updates ${sourceFilter}) as last_global_check
 			`
+			const guildParams = guildId ? [guildId] : []
+			const sourceParams = sourceIds || []
+			const params = [...guildParams, ...guildParams, ...guildParams, ...sourceParams, ...sourceParams]
 			
 			return new Promise((resolve, reject) => {
-				this.db.get(sql, [], (error, row) => {
+				this.db.get(sql, params, (error, row) => {
 					if (error) {
 						const result = { success: false, error: error.message }
 						logDatabaseOperation('getBotStats', result)
@@ -291,6 +1305,23 @@ class Database {
 		}
 	}
 
+	/**
+	 * Stop tracking content older than 30 days, its announcements can't be edited
+	 * once the notification records are cleaned up
+	 * @returns {Promise<Object>} Cleanup result
+	 */
+	async cleanupTrackedContent() {
+		return this.execute('cleanupTrackedContent', "DELETE FROM tracked_content WHERE created_at < datetime('now', '-30 days')")
+	}
+
+	/**
+	 * Remove dead outbox items nobody retried or dropped within 30 days
+	 * @returns {Promise<Object>} Cleanup result
+	 */
+	async cleanupOutbox() {
+		return this.execute('cleanupOutbox', "DELETE FROM outbox WHERE status = 'dead' AND updated_at < datetime('now', '-30 days')")
+	}
+
 	/**
 	 * Close the database connection
 	 * @returns {Promise<void>}
@@ -7,6 +7,9 @@ import {
 import { database } from './database/database.js'
 import { discordService } from './services/discord.js'
 import { scheduler } from './utils/scheduler.js'
+import { providerRegistry } from './services/registry.js'
+import { websubService } from './services/websub.js'
+import { subscriptionManager } from './utils/subscriptions.js'
 
 /**
  * Main application class for the Discord Social Media Bot
@@ -45,8 +48,12 @@ class SocialMediaBot {
 			// Initialize database
 			logger.info('🗄️ Initializing database...')
 			await database.initialize()
+			await subscriptionManager.load()
 			logger.info('✅ Database initialized successfully')
 
+			// Load third-party platform providers
+			await providerRegistry.loadPlugins()
+
 			// Initialize Discord service
 			logger.info('🤖 Initializing Discord bot...')
 			await discordService.initialize()
@@ -60,12 +67,23 @@ class SocialMediaBot {
 			await scheduler.start()
 			logger.info('✅ Scheduler started successfully')
 
+			// Start YouTube push notifications (optional, polling continues as a fallback)
+			if (websubService.isEnabled()) {
+				try {
+					logger.info('📡 Starting YouTube WebSub subscriber...')
+					await websubService.start()
+					logger.info('✅ YouTube WebSub subscriber started')
+				} catch (error) {
+					logger.warn(`YouTube WebSub subscriber failed to start, falling back to polling: ${error.message}`)
+				}
+			}
+
 			// Send startup notification
 			await this.sendStartupNotification()
 
 			logger.info('🚀 Social Media Discord Bot is now running!')
 			logger.info(`📊 Check interval: ${config.bot.checkIntervalMinutes} minutes`)
-			logger.info(`📢 Announcement channel: ${config.discord.announcementChannelId}`)
+			logger.info(`📢 Announcement channel: ${config.discord.announcementChannelId || 'per server (/settings)'}`)
 
 			// Log configured platforms
 			this.logConfiguredPlatforms()
@@ -146,19 +164,8 @@ class SocialMediaBot {
 	 * @returns {string} Formatted platform list
 	 */
 	getConfiguredPlatformsList() {
-		const platforms = []
-		
-		if (config.socialMedia.youtube.apiKey && config.socialMedia.youtube.channelId) {
-			platforms.push('📺 YouTube')
-		}
-		
-		if (config.socialMedia.instagram.username) {
-			platforms.push('📸 Instagram')
-		}
-		
-		if (config.socialMedia.linkedin.profileUrl) {
-			platforms.push('💼 LinkedIn')
-		}
+		const platforms = providerRegistry.getConfigured()
+			.map(provider => `${provider.emoji} ${provider.displayName} (${providerRegistry.getSources(provider).length})`)
 
 		return platforms.length > 0 ? platforms.join('\n') : 'None configured'
 	}
@@ -167,19 +174,10 @@ class SocialMediaBot {
 	 * Log configured platforms information
 	 */
 	logConfiguredPlatforms() {
-		const platforms = []
-
-		if (config.socialMedia.youtube.apiKey && config.socialMedia.youtube.channelId) {
-			platforms.push(`YouTube (Channel: ${config.socialMedia.youtube.channelId})`)
-		}
-
-		if (config.socialMedia.instagram.username) {
-			platforms.push(`Instagram (@${config.socialMedia.instagram.username})`)
-		}
-
-		if (config.socialMedia.linkedin.profileUrl) {
-			platforms.push(`LinkedIn (${config.socialMedia.linkedin.profileUrl})`)
-		}
+		const platforms = providerRegistry.getConfigured().map(provider => {
+			const accounts = providerRegistry.getSources(provider).map(source => source.account).join(', ')
+			return `${provider.displayName} (${accounts})`
+		})
 
 		if (platforms.length > 0) {
 			logger.info('🔗 Configured platforms:')
@@ -235,6 +233,9 @@ class SocialMediaBot {
 			// Send shutdown notification
 			await this.sendShutdownNotification()
 
+			// Stop WebSub callback server
+			await websubService.stop()
+
 			// Stop scheduler
 			if (scheduler.isRunning) {
 				logger.info('⏰ Stopping scheduler...')
@@ -301,11 +302,9 @@ class SocialMediaBot {
 			scheduler: scheduler.getStatus(),
 			config: {
 				checkInterval: config.bot.checkIntervalMinutes,
-				platforms: {
-					youtube: !!config.socialMedia.youtube.apiKey,
-					instagram: !!config.socialMedia.instagram.username,
-					linkedin: !!config.socialMedia.linkedin.profileUrl
-				}
+				platforms: Object.fromEntries(
+					providerRegistry.list().map(provider => [provider.id, provider.isConfigured()])
+				)
 			}
 		}
 	}
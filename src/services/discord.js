@@ -1,10 +1,23 @@
-import { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes } from 'discord.js'
+import { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, ChannelType, PermissionFlagsBits, GuildScheduledEventEntityType, GuildScheduledEventPrivacyLevel, GuildScheduledEventStatus, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js'
 import { config } from '../config/config.js'
 import { createServiceLogger, logDiscordMessage } from '../utils/logger.js'
 import { database } from '../database/database.js'
+import { createSource, getPlatformFromSourceId } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
+import { providerRegistry } from './registry.js'
+import { scheduler } from '../utils/scheduler.js'
+import { MAX_ATTEMPTS as MAX_DELIVERY_ATTEMPTS } from '../utils/outbox.js'
+import { CrosspostQueue } from '../utils/crosspost.js'
+import { TEMPLATE_PARTS, getTemplateVariables, applyTemplates, parseContent } from '../utils/templates.js'
+import { DIGEST_MODES, buildDigestMessages } from '../utils/digest.js'
+import { RULE_TYPES, SHORTS_MODES, MAX_RULES, createFilters, parseFilters, hasFilters, createRule, describeFilters, describeRule, removeRule } from '../utils/filters.js'
 
 const logger = createServiceLogger('discord')
 
+const NOTIFY_PREFIX = 'notify:'
+const MAX_PANEL_ENTRIES = 25 // Limit of both 5 rows of 5 buttons and select menu options
+const MAX_QUEUE_ITEMS = 15
+
 /**
  * Discord service for bot management and message sending
  */
@@ -13,6 +26,9 @@ class DiscordService {
 		this.client = null
 		this.isReady = false
 		this.announcementChannel = null
+		this.webhooks = new Map() // channel ID -> webhook used for announcements
+		this.configuredWebhook = undefined // webhook from WEBHOOK_URL, null if unusable
+		this.crosspostQueue = new CrosspostQueue(job => this.crosspostMessage(job))
 	}
 
 	/**
@@ -25,8 +41,13 @@ class DiscordService {
 		this.client = new Client({
 			intents: [
 				GatewayIntentBits.Guilds,
-				GatewayIntentBits.GuildMessages
-			]
+				GatewayIntentBits.GuildMessages,
+				GatewayIntentBits.GuildScheduledEvents
+			],
+			// Crossposts are limited to 10 per channel per hour, the crosspost queue waits them out itself
+			rest: {
+				rejectOnRateLimit: rateLimit => rateLimit.route.endsWith('/crosspost')
+			}
 		})
 
 			// Set up event listeners
@@ -53,6 +74,12 @@ class DiscordService {
 			try {
 				// Get announcement channel
 				await this.getAnnouncementChannel()
+
+				// Rows stored before multi-guild support belong to the default guild
+				await database.assignUnscopedRows(this.getDefaultGuildId())
+
+				// Pick up crossposts that were still waiting when the bot stopped
+				await this.crosspostQueue.restore()
 				
 				// Try to register slash commands (optional)
 				try {
@@ -70,13 +97,25 @@ class DiscordService {
 			}
 		})
 
+		this.client.on('guildCreate', async (guild) => {
+			logger.info(`Joined guild ${guild.name} (${guild.id})`)
+
+			if (config.discord.guildId) {
+				await this.registerSlashCommands([guild.id])
+			}
+		})
+
 		this.client.on('interactionCreate', async (interaction) => {
-			if (!interaction.isChatInputCommand()) return
+			if (!interaction.isChatInputCommand() && !interaction.isMessageComponent()) return
 
 			try {
-				await this.handleSlashCommand(interaction)
+				if (interaction.isChatInputCommand()) {
+					await this.handleSlashCommand(interaction)
+				} else {
+					await this.handleComponentInteraction(interaction)
+				}
 			} catch (error) {
-				logger.error(`Error handling slash command: ${error.message}`)
+				logger.error(`Error handling ${interaction.isChatInputCommand() ? 'slash command' : 'component interaction'}: ${error.message}`)
 				
 				const errorMessage = 'There was an error while executing this command!'
 				
@@ -108,11 +147,18 @@ class DiscordService {
 
 	/**
 	 * Get the announcement channel
+	 * ANNOUNCEMENT_CHANNEL_ID is optional, servers can pick their own channel
+	 * with /settings
 	 * @returns {Promise<void>}
 	 */
 	async getAnnouncementChannel() {
+		const channelId = config.discord.announcementChannelId
+		if (!channelId) {
+			logger.info('No ANNOUNCEMENT_CHANNEL_ID set, announcements go to the channel each server picked with /settings')
+			return
+		}
+
 		try {
-			const channelId = config.discord.announcementChannelId
 			this.announcementChannel = await this.client.channels.fetch(channelId)
 			
 			if (!this.announcementChannel) {
@@ -128,18 +174,31 @@ class DiscordService {
 	}
 
 	/**
-	 * Register slash commands
-	 * @returns {Promise<void>}
+	 * Get the guild that environment-configured sources and the
+	 * ANNOUNCEMENT_CHANNEL_ID belong to
+	 * @returns {string|null} Default guild ID
+	 */
+	getDefaultGuildId() {
+		return config.discord.guildId || this.announcementChannel?.guildId || null
+	}
+
+	/**
+	 * Build the slash command definitions
+	 * @returns {Array<Object>} Command JSON
 	 */
-	async registerSlashCommands() {
-		const commands = [
+	buildSlashCommands() {
+		const platformChoices = providerRegistry.list()
+			.map(provider => ({ name: provider.displayName, value: provider.id }))
+
+		return [
 			new SlashCommandBuilder()
 				.setName('status')
 				.setDescription('Check bot status and last update times'),
 			
 			new SlashCommandBuilder()
 				.setName('check-now')
-				.setDescription('Manually trigger a check for new content'),
+				.setDescription('Manually trigger a check for new content')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 			
 			new SlashCommandBuilder()
 				.setName('config')
@@ -152,7 +211,363 @@ class DiscordService {
 			new SlashCommandBuilder()
 				.setName('reset-platforms')
 				.setDescription('Reset platform database and force fresh checks (Admin only)')
-		].map(command => command.toJSON())
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+			new SlashCommandBuilder()
+				.setName('route')
+				.setDescription('Route announcements for a platform or source to a channel (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('set')
+					.setDescription('Send announcements for a platform or source to a channel')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Platform (youtube, instagram, linkedin) or source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addChannelOption(option => option
+						.setName('channel')
+						.setDescription('Channel to post announcements in, forum channels get a post per announcement')
+						.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('delivery')
+						.setDescription('Post as the bot or through a webhook with a per-platform name and avatar')
+						.addChoices(
+							{ name: 'Bot', value: 'bot' },
+							{ name: 'Webhook', value: 'webhook' }
+						))
+					.addBooleanOption(option => option
+						.setName('threads')
+						.setDescription('Open a discussion thread on every announcement')))
+				.addSubcommand(subcommand => subcommand
+					.setName('clear')
+					.setDescription('Remove a route so announcements fall back to the default channel')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Platform or source id to clear')
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('mention')
+				.setDescription('Choose who announcements for a platform or source mention, /notify-panel replaces it (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('set')
+					.setDescription('Set who is mentioned in announcements for a platform or source')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Platform (e.g. youtube) or source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('type')
+						.setDescription('Who to mention')
+						.setRequired(true)
+						.addChoices(
+							{ name: 'Nobody', value: 'none' },
+							{ name: '@everyone', value: 'everyone' },
+							{ name: '@here', value: 'here' },
+							{ name: 'A role', value: 'role' },
+							{ name: 'Specific users', value: 'users' }
+						))
+					.addRoleOption(option => option
+						.setName('role')
+						.setDescription('Role to mention (for type "A role")'))
+					.addStringOption(option => option
+						.setName('users')
+						.setDescription('Users to mention, as @mentions or IDs (for type "Specific users")')))
+				.addSubcommand(subcommand => subcommand
+					.setName('clear')
+					.setDescription('Remove a mention setting so the server default applies')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Platform or source id to clear')
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('notify-panel')
+				.setDescription('Post a panel where members pick which announcements ping them (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+				.addStringOption(option => option
+					.setName('scope')
+					.setDescription('One role per platform or per monitored account')
+					.addChoices(
+						{ name: 'Platforms', value: 'platforms' },
+						{ name: 'Sources', value: 'sources' }
+					))
+				.addStringOption(option => option
+					.setName('style')
+					.setDescription('Toggle buttons or a select menu')
+					.addChoices(
+						{ name: 'Buttons', value: 'buttons' },
+						{ name: 'Select menu', value: 'select' }
+					))
+				.addChannelOption(option => option
+					.setName('channel')
+					.setDescription('Channel to post the panel in (defaults to this channel)')
+					.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+			new SlashCommandBuilder()
+				.setName('subscribe')
+				.setDescription('Start monitoring an account (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addStringOption(option => option
+					.setName('platform')
+					.setDescription('Platform the account is on')
+					.setRequired(true)
+					.addChoices(...platformChoices))
+				.addStringOption(option => option
+					.setName('account')
+					.setDescription('YouTube channel ID/@handle, Instagram username or LinkedIn profile URL')
+					.setRequired(true))
+				.addChannelOption(option => option
+					.setName('channel')
+					.setDescription('Channel to announce new content in (defaults to the platform route)')
+					.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+			new SlashCommandBuilder()
+				.setName('unsubscribe')
+				.setDescription('Stop monitoring an account (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addStringOption(option => option
+					.setName('platform')
+					.setDescription('Platform the account is on')
+					.setRequired(true)
+					.addChoices(...platformChoices))
+				.addStringOption(option => option
+					.setName('account')
+					.setDescription('Account to stop monitoring')
+					.setRequired(true)),
+
+			new SlashCommandBuilder()
+				.setName('subscriptions')
+				.setDescription('List monitored accounts'),
+
+			new SlashCommandBuilder()
+				.setName('content-types')
+				.setDescription('Choose which kinds of content are announced for a source (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('set')
+					.setDescription('Only announce the given kinds of content for a source')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('types')
+						.setDescription('Comma separated content types (e.g. video,live for YouTube)')
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('clear')
+					.setDescription('Announce every kind of content for a source again')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id to reset')
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('filter')
+				.setDescription('Filter what gets announced for a source (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('add')
+					.setDescription('Only announce (include) or never announce (exclude) matching content')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('mode')
+						.setDescription('Include or exclude matching content')
+						.setRequired(true)
+						.addChoices(
+							{ name: 'Include', value: 'include' },
+							{ name: 'Exclude', value: 'exclude' }
+						))
+					.addStringOption(option => option
+						.setName('type')
+						.setDescription('How to match the title, caption or description')
+						.setRequired(true)
+						.addChoices(...Object.entries(RULE_TYPES).map(([type, name]) => ({ name, value: type }))))
+					.addStringOption(option => option
+						.setName('value')
+						.setDescription('Keyword, hashtag or regular expression')
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('remove')
+					.setDescription('Remove a rule by its number from /filter list')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id')
+						.setRequired(true))
+					.addIntegerOption(option => option
+						.setName('number')
+						.setDescription('Rule number')
+						.setMinValue(1)
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('duration')
+					.setDescription('Skip videos shorter than a minimum duration')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id')
+						.setRequired(true))
+					.addIntegerOption(option => option
+						.setName('seconds')
+						.setDescription('Minimum duration in seconds, 0 to turn it off')
+						.setMinValue(0)
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('shorts')
+					.setDescription('Announce only Shorts, no Shorts, or both')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('mode')
+						.setDescription('Which uploads to announce')
+						.setRequired(true)
+						.addChoices(
+							...Object.entries(SHORTS_MODES).map(([mode, name]) => ({ name, value: mode })),
+							{ name: 'Shorts and other uploads', value: 'any' }
+						)))
+				.addSubcommand(subcommand => subcommand
+					.setName('list')
+					.setDescription('Show the filters of a source')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id')
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('clear')
+					.setDescription('Remove all filters of a source')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id')
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('digest')
+				.setDescription('Sum up sources in a digest instead of announcing every post (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('mode')
+					.setDescription('Choose how new posts of a source are announced')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('mode')
+						.setDescription('Announce right away, in the digest, or both')
+						.setRequired(true)
+						.addChoices(...Object.entries(DIGEST_MODES).map(([mode, name]) => ({ name, value: mode })))))
+				.addSubcommand(subcommand => subcommand
+					.setName('status')
+					.setDescription('Show digest sources and the posts waiting for the next digest'))
+				.addSubcommand(subcommand => subcommand
+					.setName('send')
+					.setDescription('Post the digest now instead of waiting for the schedule')),
+
+			new SlashCommandBuilder()
+				.setName('queue')
+				.setDescription('Inspect announcements waiting to be delivered (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('list')
+					.setDescription('List announcements that are waiting or failed for good')
+					.addStringOption(option => option
+						.setName('status')
+						.setDescription('Only show waiting or failed announcements')
+						.addChoices(
+							{ name: 'Waiting for a retry', value: 'pending' },
+							{ name: 'Failed for good', value: 'dead' }
+						)))
+				.addSubcommand(subcommand => subcommand
+					.setName('retry')
+					.setDescription('Deliver an announcement again right away')
+					.addIntegerOption(option => option
+						.setName('id')
+						.setDescription('Queue item id from /queue list')
+						.setMinValue(1)
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('drop')
+					.setDescription('Remove an announcement from the queue without delivering it')
+					.addIntegerOption(option => option
+						.setName('id')
+						.setDescription('Queue item id from /queue list')
+						.setMinValue(1)
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('template')
+				.setDescription('Customize how announcements for a source look (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addSubcommand(subcommand => subcommand
+					.setName('set')
+					.setDescription('Set the template for one part of a source\'s announcements')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id (e.g. youtube:UC...)')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('part')
+						.setDescription('Part of the announcement')
+						.setRequired(true)
+						.addChoices(...Object.entries(TEMPLATE_PARTS).map(([part, { label }]) => ({ name: label, value: part }))))
+					.addStringOption(option => option
+						.setName('template')
+						.setDescription('Text with placeholders, e.g. {channel} posted {title} {url}')
+						.setRequired(true)))
+				.addSubcommand(subcommand => subcommand
+					.setName('clear')
+					.setDescription('Go back to the default look for one part or the whole announcement')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id to reset')
+						.setRequired(true))
+					.addStringOption(option => option
+						.setName('part')
+						.setDescription('Part to reset (defaults to all parts)')
+						.addChoices(...Object.entries(TEMPLATE_PARTS).map(([part, { label }]) => ({ name: label, value: part })))))
+				.addSubcommand(subcommand => subcommand
+					.setName('preview')
+					.setDescription('Show the last announcement of a source with its templates applied')
+					.addStringOption(option => option
+						.setName('target')
+						.setDescription('Source id to preview')
+						.setRequired(true))),
+
+			new SlashCommandBuilder()
+				.setName('settings')
+				.setDescription('Change announcement settings for this server (Admin only)')
+				.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+				.addChannelOption(option => option
+					.setName('channel')
+					.setDescription('Default channel for announcements')
+					.addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+				.addBooleanOption(option => option
+					.setName('mention-everyone')
+					.setDescription('Mention @everyone in announcements without a /mention setting'))
+				.addBooleanOption(option => option
+					.setName('auto-publish')
+					.setDescription('Publish announcements in Announcement channels to following servers'))
+		]
+			.map(command => command.setDMPermission(false))
+			.map(command => command.toJSON())
+	}
+
+	/**
+	 * Register slash commands
+	 * With DISCORD_GUILD_ID set, commands are registered per guild so they show
+	 * up instantly in every server the bot is in; otherwise they are global
+	 * @param {Array<string>} guildIds - Guilds to register for (defaults to all joined guilds)
+	 * @returns {Promise<void>}
+	 */
+	async registerSlashCommands(guildIds = null) {
+		const commands = this.buildSlashCommands()
 
 		const rest = new REST({ version: '10' }).setToken(config.discord.token)
 
@@ -172,14 +587,18 @@ class DiscordService {
 				return
 			}
 
-			// Register commands for your specific guild (instant)
+			// Register commands for each guild (instant)
 			if (config.discord.guildId) {
-				await rest.put(
-					Routes.applicationGuildCommands(config.discord.clientId, config.discord.guildId),
-					{ body: commands }
-				)
-				logger.info('Successfully reloaded guild-specific application (/) commands')
-				logger.info('Commands should appear immediately in your Discord server')
+				const targetGuildIds = guildIds || [...this.client.guilds.cache.keys()]
+
+				for (const guildId of targetGuildIds) {
+					await rest.put(
+						Routes.applicationGuildCommands(config.discord.clientId, guildId),
+						{ body: commands }
+					)
+				}
+				logger.info(`Successfully reloaded guild-specific application (/) commands for ${targetGuildIds.length} guild(s)`)
+				logger.info('Commands should appear immediately in your Discord servers')
 			} else {
 				// Fallback to global commands
 				await rest.put(
@@ -205,6 +624,11 @@ class DiscordService {
 	async handleSlashCommand(interaction) {
 		const { commandName } = interaction
 
+		if (!interaction.inGuild()) {
+			await interaction.reply({ content: 'Commands can only be used in a server.', ephemeral: true })
+			return
+		}
+
 		switch (commandName) {
 			case 'status':
 				await this.handleStatusCommand(interaction)
@@ -225,6 +649,54 @@ class DiscordService {
 			case 'reset-platforms':
 				await this.handleResetPlatformsCommand(interaction)
 				break
+
+			case 'route':
+				await this.handleRouteCommand(interaction)
+				break
+
+			case 'subscribe':
+				await this.handleSubscribeCommand(interaction)
+				break
+
+			case 'unsubscribe':
+				await this.handleUnsubscribeCommand(interaction)
+				break
+
+			case 'subscriptions':
+				await this.handleSubscriptionsCommand(interaction)
+				break
+
+			case 'settings':
+				await this.handleSettingsCommand(interaction)
+				break
+
+			case 'content-types':
+				await this.handleContentTypesCommand(interaction)
+				break
+
+			case 'mention':
+				await this.handleMentionCommand(interaction)
+				break
+
+			case 'notify-panel':
+				await this.handleNotifyPanelCommand(interaction)
+				break
+
+			case 'template':
+				await this.handleTemplateCommand(interaction)
+				break
+
+			case 'filter':
+				await this.handleFilterCommand(interaction)
+				break
+
+			case 'digest':
+				await this.handleDigestCommand(interaction)
+				break
+
+			case 'queue':
+				await this.handleQueueCommand(interaction)
+				break
 			
 			default:
 				await interaction.reply({ content: 'Unknown command!', ephemeral: true })
@@ -239,7 +711,7 @@ class DiscordService {
 		await interaction.deferReply({ ephemeral: true })
 
 		try {
-			const stats = await database.getBotStats()
+			const stats = await this.getGuildStats(interaction.guildId)
 			
 			const embed = new EmbedBuilder()
 				.setTitle('🤖 Bot Status')
@@ -250,7 +722,8 @@ class DiscordService {
 					{ name: '📅 Last Check', value: stats.last_global_check ? `<t:${Math.floor(new Date(stats.last_global_check).getTime() / 1000)}:R>` : 'Never', inline: true },
 					{ name: '🔄 Active Platforms', value: stats.active_platforms?.toString() || '0', inline: true },
 					{ name: '📈 24h Notifications', value: stats.notifications_24h?.toString() || '0', inline: true },
-					{ name: '📊 7d Notifications', value: stats.notifications_7d?.toString() || '0', inline: true }
+					{ name: '📊 7d Notifications', value: stats.notifications_7d?.toString() || '0', inline: true },
+					{ name: '🩺 Source Health', value: await this.describeSourceHealth(interaction.guildId), inline: false }
 				)
 				.setTimestamp()
 
@@ -262,6 +735,49 @@ class DiscordService {
 		}
 	}
 
+	/**
+	 * Describe the health and next check of every source a guild follows
+	 * Failing sources come first, so they still show when the list is cut short
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<string>} One line per source
+	 */
+	async describeSourceHealth(guildId) {
+		const guildSources = await this.getGuildSources(guildId)
+		const sourceIds = new Set(Object.values(guildSources).flat().map(source => source.id))
+		const order = { open: 0, degraded: 1, healthy: 2 }
+		const checks = scheduler.getNextCheckTimes()
+			.filter(check => sourceIds.has(check.id) || guildSources[check.id]?.length > 0)
+			.sort((a, b) => order[a.health.state] - order[b.health.state] || a.id.localeCompare(b.id))
+
+		if (checks.length === 0) {
+			return 'No sources are being checked'
+		}
+
+		const timestamp = date => date ? `<t:${Math.floor(date.getTime() / 1000)}:R>` : 'now'
+		const lines = checks.map(({ id, health, nextCheck }) => {
+			switch (health.state) {
+				case 'open':
+					return `🔴 \`${id}\` failing, retry ${timestamp(health.retryAt)}`
+				case 'degraded':
+					return `🟡 \`${id}\` ${health.failures} failed check${health.failures === 1 ? '' : 's'}, next check ${timestamp(nextCheck)}`
+				default:
+					return `🟢 \`${id}\` next check ${timestamp(nextCheck)}`
+			}
+		})
+
+		const shown = []
+		for (const [index, line] of lines.entries()) {
+			const more = `...and ${lines.length - index} more`
+			if ([...shown, line].join('\n').length + more.length + 1 > 1024) {
+				shown.push(more)
+				break
+			}
+			shown.push(line)
+		}
+
+		return shown.join('\n')
+	}
+
 	/**
 	 * Handle check-now command
 	 * @param {Object} interaction - Discord interaction
@@ -272,53 +788,28 @@ class DiscordService {
 		try {
 			await interaction.editReply({ content: '🔄 Checking for new content...' })
 
-			// Import social media services dynamically to avoid circular imports
-			const { youtubeService } = await import('./youtube.js')
-			const { instagramService } = await import('./instagram.js')
-			const { linkedinService } = await import('./linkedin.js')
-
-			const results = []
-
-			// Check YouTube
-			if (youtubeService.isConfigured()) {
-				const result = await youtubeService.checkForNewVideos()
-				results.push({ platform: 'YouTube', ...result })
-			}
-
-			// Check Instagram
-			if (instagramService.isConfigured()) {
-				const result = await instagramService.checkForNewPosts()
-				results.push({ platform: 'Instagram', ...result })
-			}
-
-			// Check LinkedIn
-			if (linkedinService.isConfigured()) {
-				const result = await linkedinService.checkForNewPosts()
-				results.push({ platform: 'LinkedIn', ...result })
+			// Only the sources this server follows, the results of others' aren't its business.
+			// The scheduler announces what it finds, and joins checks that are running already
+			const guildSources = Object.values(await this.getGuildSources(interaction.guildId)).flat()
+			const { success, error, results } = await scheduler.triggerManualCheck(guildSources.map(source => source.id))
+			if (!success) {
+				throw new Error(error)
 			}
 
-			// Send notifications for new content
-			let totalNewContent = 0
-			for (const result of results) {
-				if (result.success && result.newContent?.length > 0) {
-					totalNewContent += result.newContent.length
-					
-					for (const content of result.newContent) {
-						await this.sendSocialMediaUpdate(content, result.platform.toLowerCase())
-					}
-				}
-			}
+			const platforms = this.groupCheckResults(results)
+			const totalNewContent = results.reduce((total, result) => total + (result.newContent?.length || 0), 0)
 
 			const embed = new EmbedBuilder()
 				.setTitle('✅ Manual Check Complete')
 				.setColor(0x00FF00)
-				.setDescription(`Found ${totalNewContent} new posts across all platforms`)
+				.setDescription(`Found ${totalNewContent} new posts across the ${guildSources.length} source(s) this server follows`)
 				.addFields(
-					...results.map(result => ({
-						name: `${result.platform}`,
-						value: result.success 
-							? `✅ ${result.newContent?.length || 0} new posts`
-							: `❌ ${result.error}`,
+					...[...platforms].slice(0, 25).map(([name, platform]) => ({
+						name,
+						value: [
+							`✅ ${platform.newContent} new posts`,
+							...platform.errors.map(error => `❌ ${error}`)
+						].join('\n').substring(0, 1024),
 						inline: true
 					}))
 				)
@@ -332,6 +823,37 @@ class DiscordService {
 		}
 	}
 
+	/**
+	 * Sum up check results per platform
+	 * @param {Array<Object>} results - Check result per source
+	 * @returns {Map<string, Object>} Platform display name -> new content count and errors
+	 */
+	groupCheckResults(results) {
+		const platforms = new Map()
+		for (const result of results) {
+			const platform = platforms.get(result.platform) || { newContent: 0, errors: [] }
+			platform.newContent += result.newContent?.length || 0
+			if (!result.success) {
+				platform.errors.push(result.error)
+			}
+			platforms.set(result.platform, platform)
+		}
+
+		return platforms
+	}
+
+	/**
+	 * Describe the default check interval and the platforms and sources with their own
+	 * @returns {string} Check intervals
+	 */
+	describeCheckIntervals() {
+		const overrides = Object.entries(config.bot.checkIntervals)
+			.map(([scope, minutes]) => `${scope}: ${minutes} min`)
+		const jitter = config.bot.checkJitterPercent > 0 ? ` ±${config.bot.checkJitterPercent}%` : ''
+
+		return [`${config.bot.checkIntervalMinutes} minutes${jitter}`, ...overrides].join('\n').substring(0, 1024)
+	}
+
 	/**
 	 * Handle config command
 	 * @param {Object} interaction - Discord interaction
@@ -340,17 +862,27 @@ class DiscordService {
 		await interaction.deferReply({ ephemeral: true })
 
 		try {
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const settings = await database.getGuildSettings(interaction.guildId)
+			const defaultChannelId = await this.getDefaultChannelId(interaction.guildId, settings)
+			const describeSources = platform => guildSources[platform].length > 0
+				? `✅ ${guildSources[platform].length} source(s)`
+				: '❌ Not configured'
+
 			const embed = new EmbedBuilder()
 				.setTitle('⚙️ Bot Configuration')
 				.setColor(0x0099FF)
 				.addFields(
-					{ name: '📺 YouTube', value: config.socialMedia.youtube.apiKey ? '✅ Configured' : '❌ Not configured', inline: true },
-					{ name: '📸 Instagram', value: config.socialMedia.instagram.username ? '✅ Configured' : '❌ Not configured', inline: true },
-					{ name: '💼 LinkedIn', value: config.socialMedia.linkedin.profileUrl ? '✅ Configured' : '❌ Not configured', inline: true },
-					{ name: '🔄 Check Interval', value: `${config.bot.checkIntervalMinutes} minutes`, inline: true },
-					{ name: '📢 Channel', value: `<#${config.discord.announcementChannelId}>`, inline: true },
+					...providerRegistry.list().map(provider => ({
+						name: `${provider.emoji} ${provider.displayName}`,
+						value: describeSources(provider.id),
+						inline: true
+					})),
+					{ name: '🔄 Check Interval', value: this.describeCheckIntervals(), inline: true },
+					{ name: '📢 Channel', value: defaultChannelId ? `<#${defaultChannelId}>` : 'Not set, use /settings', inline: true },
 					{ name: '📊 Log Level', value: config.bot.logLevel, inline: true },
-					{ name: '🔔 @everyone Mentions', value: config.bot.mentionEveryone ? '✅ Enabled' : '❌ Disabled', inline: true }
+					{ name: '📬 Routes', value: await this.describeRoutes(interaction.guildId, guildSources, defaultChannelId), inline: false },
+					{ name: '🔔 Mentions', value: await this.describeMentions(interaction.guildId, guildSources, settings), inline: false }
 				)
 				.setTimestamp()
 
@@ -370,7 +902,7 @@ class DiscordService {
 		await interaction.deferReply({ ephemeral: true })
 
 		try {
-			const stats = await database.getBotStats()
+			const stats = await this.getGuildStats(interaction.guildId)
 			
 			const embed = new EmbedBuilder()
 				.setTitle('📊 Bot Statistics')
@@ -403,47 +935,49 @@ class DiscordService {
 		try {
 			await interaction.editReply({ content: '🔄 Resetting platform database and running fresh checks...' })
 
-			// Clear existing platform data
-			await new Promise((resolve, reject) => {
-				database.db.run('DELETE FROM last_updates', [], (err) => {
-					if (err) reject(err)
-					else resolve()
-				})
-			})
-
-			// Import social media services
-			const { youtubeService } = await import('./youtube.js')
-			const { instagramService } = await import('./instagram.js')
-
-			const results = []
-
-			// Force fresh checks
-			if (youtubeService.isConfigured()) {
-				const result = await youtubeService.checkForNewVideos()
-				results.push({ platform: 'YouTube', ...result })
+			// Only sources no other server follows, resetting a shared source would
+			// re-evaluate its content for the other servers too
+			const guildSources = Object.values(await this.getGuildSources(interaction.guildId)).flat()
+			if (interaction.guildId === this.getDefaultGuildId()) {
+				guildSources.push(...providerRegistry.list().map(provider => ({ id: provider.id, platform: provider.id })))
 			}
 
-			if (instagramService.isConfigured()) {
-				const result = await instagramService.checkForNewPosts()
-				results.push({ platform: 'Instagram', ...result })
+			const sourceIds = []
+			const shared = []
+			for (const source of guildSources) {
+				const targets = await this.getDeliveryTargets(source.id, source.platform)
+				if (targets.every(target => target.guildId === interaction.guildId)) {
+					sourceIds.push(source.id)
+				} else {
+					shared.push(source.id)
+				}
 			}
 
+			// The scheduler clears and checks every source holding its lock, and announces what it finds
+			const results = await scheduler.resetSources(sourceIds)
+			const platforms = this.groupCheckResults(results)
+
 			// Get updated stats
-			const stats = await database.getBotStats()
+			const stats = await this.getGuildStats(interaction.guildId)
+
+			const description = [`Platform database reset and fresh checks completed`]
+			if (shared.length > 0) {
+				description.push(`Skipped sources other servers follow too: ${shared.map(id => `\`${id}\``).join(', ')}`)
+			}
 
 			const embed = new EmbedBuilder()
 				.setTitle('🔄 Platform Reset Complete')
 				.setColor(0x00FF00)
-				.setDescription(`Platform database reset and fresh checks completed`)
+				.setDescription(description.join('\n').substring(0, 4096))
 				.addFields(
 					{ name: '🔗 Active Platforms', value: stats.active_platforms?.toString() || '0', inline: true },
 					{ name: '📊 Total Notifications', value: stats.total_notifications?.toString() || '0', inline: true },
 					{ name: '⏰ Last Check', value: 'Just now', inline: true },
-					...results.map(result => ({
-						name: `${result.platform}`,
-						value: result.success 
+					...[...platforms].slice(0, 22).map(([name, platform]) => ({
+						name,
+						value: platform.errors.length === 0
 							? `✅ Successfully checked`
-							: `❌ ${result.error}`,
+							: platform.errors.map(error => `❌ ${error}`).join('\n').substring(0, 1024),
 						inline: true
 					}))
 				)
@@ -458,122 +992,2040 @@ class DiscordService {
 	}
 
 	/**
-	 * Send a social media update to the announcement channel
-	 * @param {Object} content - Content object (video, post, etc.)
-	 * @param {string} platform - Platform name
-	 * @returns {Promise<Object>} Send result
+	 * Handle route command
+	 * @param {Object} interaction - Discord interaction
 	 */
-	async sendSocialMediaUpdate(content, platform) {
+	async handleRouteCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
 		try {
-			if (!this.isReady || !this.announcementChannel) {
-				throw new Error('Discord bot not ready or announcement channel not available')
+			const subcommand = interaction.options.getSubcommand()
+			const target = interaction.options.getString('target').trim()
+			const targets = await this.getRouteTargets(interaction.guildId)
+
+			if (subcommand === 'clear') {
+				const result = await database.removeRoute(interaction.guildId, target)
+				await interaction.editReply({
+					content: result.affectedRows > 0
+						? `✅ Route for \`${target}\` removed, announcements will use the default channel`
+						: `ℹ️ No route configured for \`${target}\``
+				})
+				return
 			}
 
-			// Import the appropriate service to format the content
-			let embed
-			switch (platform) {
-				case 'youtube':
-					const { youtubeService } = await import('./youtube.js')
-					embed = youtubeService.formatForDiscord(content)
-					break
-				case 'instagram':
-					const { instagramService } = await import('./instagram.js')
-					embed = instagramService.formatForDiscord(content)
-					break
-				case 'linkedin':
-					const { linkedinService } = await import('./linkedin.js')
-					embed = linkedinService.formatForDiscord(content)
-					break
-				default:
-					throw new Error(`Unknown platform: ${platform}`)
+			if (!targets.includes(target)) {
+				await interaction.editReply({
+					content: `❌ Unknown target \`${target}\`. Valid targets:\n${targets.map(t => `• \`${t}\``).join('\n')}`
+				})
+				return
 			}
 
-			// Send the message with optional @everyone mention
-			const messageOptions = { embeds: [embed] }
-			
-			// Add @everyone mention if enabled in config
-			if (config.bot.mentionEveryone) {
-				messageOptions.content = '@everyone'
+			const channel = interaction.options.getChannel('channel')
+			const delivery = interaction.options.getString('delivery')
+			const isForum = channel.type === ChannelType.GuildForum
+			const threads = isForum || !!interaction.options.getBoolean('threads')
+			const permissions = channel.permissionsFor?.(this.client.user)
+			if (permissions && !permissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+				await interaction.editReply({ content: `❌ I need Send Messages and Embed Links permissions in <#${channel.id}>` })
+				return
 			}
-			
-			const message = await this.announcementChannel.send(messageOptions)
 
-			// Record the sent notification in database
-			await database.recordSentNotification(
-				platform,
-				content.id,
-				content.url,
-				message.id
-			)
+			if (threads && !isForum && permissions && !permissions.has(PermissionFlagsBits.CreatePublicThreads)) {
+				await interaction.editReply({ content: `❌ I need the Create Public Threads permission in <#${channel.id}> to open threads` })
+				return
+			}
 
-			const result = {
-				success: true,
-				messageId: message.id,
-				channelId: this.announcementChannel.id,
-				platform
+			const configuredWebhook = await this.getConfiguredWebhook()
+			if (delivery === 'webhook' && configuredWebhook?.channelId !== channel.id && permissions && !permissions.has(PermissionFlagsBits.ManageWebhooks)) {
+				await interaction.editReply({ content: `❌ I need the Manage Webhooks permission in <#${channel.id}> to post through a webhook` })
+				return
 			}
 
-			logDiscordMessage(result)
-			return result
+			await database.setRoute(interaction.guildId, target, channel.id, delivery, threads)
+			logger.info(`Route set in guild ${interaction.guildId}: ${target} -> ${channel.id}${delivery ? ` (${delivery})` : ''}${threads ? ' with threads' : ''}`)
+
+			const via = delivery === 'webhook' ? ' through a webhook' : ''
+			const discussion = isForum ? ', each as its own forum post' : threads ? ', each with a discussion thread' : ''
+			await interaction.editReply({ content: `✅ Announcements for \`${target}\` will be posted in <#${channel.id}>${via}${discussion}` })
 
 		} catch (error) {
-			const result = {
-				success: false,
-				error: error.message,
-				platform,
-				channelId: this.announcementChannel?.id
+			logger.error(`Error in route command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update route.' })
+		}
+	}
+
+	/**
+	 * Handle mention command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleMentionCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+			const target = interaction.options.getString('target').trim()
+
+			if (subcommand === 'clear') {
+				const result = await database.removeMentionTarget(interaction.guildId, target)
+				await interaction.editReply({
+					content: result.affectedRows > 0
+						? `✅ Mention setting for \`${target}\` removed, the server default applies`
+						: `ℹ️ No mention setting for \`${target}\``
+				})
+				return
 			}
 
-			logDiscordMessage(result)
-			throw error
+			const targets = await this.getRouteTargets(interaction.guildId)
+			if (!targets.includes(target)) {
+				await interaction.editReply({
+					content: `❌ Unknown target \`${target}\`. Valid targets:\n${targets.map(t => `• \`${t}\``).join('\n')}`
+				})
+				return
+			}
+
+			const mentionType = interaction.options.getString('type')
+			let targetIds = []
+
+			if (mentionType === 'role') {
+				const role = interaction.options.getRole('role')
+				if (!role) {
+					await interaction.editReply({ content: '❌ Pick the role to mention with the `role` option' })
+					return
+				}
+
+				const canMention = role.mentionable || interaction.guild?.members.me?.permissions.has(PermissionFlagsBits.MentionEveryone)
+				if (!canMention) {
+					await interaction.editReply({ content: `❌ <@&${role.id}> isn't mentionable, make it mentionable or give me the Mention Everyone permission` })
+					return
+				}
+
+				targetIds = [role.id]
+			}
+
+			if (mentionType === 'users') {
+				targetIds = [...new Set(interaction.options.getString('users')?.match(/\d{17,20}/g) || [])]
+				if (targetIds.length === 0) {
+					await interaction.editReply({ content: '❌ List the users to mention with the `users` option' })
+					return
+				}
+			}
+
+			await database.setMentionTarget(interaction.guildId, target, mentionType, targetIds)
+			logger.info(`Mention for ${target} in guild ${interaction.guildId} set to ${mentionType}`)
+
+			await interaction.editReply({
+				content: `✅ Announcements for \`${target}\` will mention ${this.describeMentionTarget({ mention_type: mentionType, target_ids: targetIds.join(',') })}`
+			})
+
+		} catch (error) {
+			logger.error(`Error in mention command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update mention setting.' })
 		}
 	}
 
 	/**
-	 * Send a custom message to the announcement channel
-	 * @param {string} content - Message content
-	 * @param {Object} embed - Optional embed object
-	 * @returns {Promise<Object>} Send result
+	 * Handle notify-panel command
+	 * @param {Object} interaction - Discord interaction
 	 */
-	async sendMessage(content, embed = null) {
+	async handleNotifyPanelCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
 		try {
-			if (!this.isReady || !this.announcementChannel) {
-				throw new Error('Discord bot not ready or announcement channel not available')
+			const scope = interaction.options.getString('scope') || 'platforms'
+			const style = interaction.options.getString('style') || 'buttons'
+			const channel = interaction.options.getChannel('channel') || interaction.channel
+			const guild = interaction.guild
+
+			if (!guild.members.me?.permissions.has(PermissionFlagsBits.ManageRoles)) {
+				await interaction.editReply({ content: '❌ I need the Manage Roles permission to hand out notification roles' })
+				return
 			}
 
-			const messageOptions = { content }
-			if (embed) {
-				messageOptions.embeds = [embed]
+			const permissions = channel?.permissionsFor?.(this.client.user)
+			if (!channel || (permissions && !permissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks]))) {
+				await interaction.editReply({ content: `❌ I need Send Messages and Embed Links permissions in <#${channel?.id || interaction.channelId}>` })
+				return
 			}
 
-			const message = await this.announcementChannel.send(messageOptions)
+			const targets = await this.getNotifyTargets(interaction.guildId, scope)
+			if (targets.length === 0) {
+				await interaction.editReply({ content: 'ℹ️ No accounts are being monitored yet. Use /subscribe to add one.' })
+				return
+			}
 
-			return {
-				success: true,
-				messageId: message.id,
-				channelId: this.announcementChannel.id
+			if (targets.length > MAX_PANEL_ENTRIES) {
+				await interaction.editReply({ content: `❌ A panel holds at most ${MAX_PANEL_ENTRIES} entries, this server has ${targets.length}. Use the Platforms scope instead.` })
+				return
+			}
+
+			// The panel's role becomes the target's mention, replacing whoever it mentioned before
+			const entries = []
+			const replaced = []
+			for (const target of targets) {
+				const platform = getPlatformFromSourceId(target.scope)
+				const previous = await this.getMentionTarget(interaction.guildId, target.scope === platform ? null : target.scope, platform)
+				const role = await this.getNotificationRole(guild, target)
+
+				if (previous.mention_type !== 'none' && !(previous.mention_type === 'role' && previous.target_ids === role.id)) {
+					replaced.push(`${target.label}: ${this.describeMentionTarget(previous)}`)
+				}
+
+				entries.push({ ...target, role })
 			}
 
+			const embed = new EmbedBuilder()
+				.setTitle('🔔 Notification Roles')
+				.setColor(0x0099FF)
+				.setDescription([
+					style === 'select'
+						? 'Pick what you want to be pinged for, deselect to stop.'
+						: 'Click a button to get pinged for it, click again to stop.',
+					'',
+					...entries.map(entry => `${entry.label} → <@&${entry.role.id}>`)
+				].join('\n'))
+
+			await channel.send({
+				embeds: [embed],
+				components: this.buildNotifyComponents(entries, style),
+				allowedMentions: { parse: [] }
+			})
+
+			logger.info(`Notification panel with ${entries.length} role(s) posted in guild ${interaction.guildId}`)
+			await interaction.editReply({
+				content: [
+					`✅ Panel posted in <#${channel.id}>, announcements for these ${scope} now mention their role`,
+					...(replaced.length > 0 ? ['', 'These no longer mention who they mentioned before:', ...replaced.map(line => `• ${line}`)] : [])
+				].join('\n').substring(0, 2000),
+				allowedMentions: { parse: [] }
+			})
+
 		} catch (error) {
-			logger.error(`Failed to send message: ${error.message}`)
-			throw error
+			logger.error(`Error in notify-panel command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to post the notification panel. Check that my role is above the notification roles.' })
 		}
 	}
 
 	/**
-	 * Check if bot is ready
-	 * @returns {boolean} Ready status
+	 * Get the platforms or sources of a guild members can opt in to
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} scope - 'platforms' or 'sources'
+	 * @returns {Promise<Array<Object>>} Mention scopes with their label
 	 */
-	isReady() {
-		return this.isReady && this.client?.isReady()
+	async getNotifyTargets(guildId, scope) {
+		const guildSources = await this.getGuildSources(guildId)
+		const targets = []
+
+		for (const [platform, sources] of Object.entries(guildSources)) {
+			if (sources.length === 0) continue
+
+			const provider = providerRegistry.get(platform)
+			if (scope === 'sources') {
+				for (const source of sources) {
+					targets.push({ scope: source.id, name: `${provider.displayName} ${source.account}`, label: `${provider.emoji} ${source.account}` })
+				}
+			} else {
+				targets.push({ scope: platform, name: provider.displayName, label: `${provider.emoji} ${provider.displayName}` })
+			}
+		}
+
+		return targets
 	}
 
 	/**
-	 * Gracefully shutdown the Discord bot
+	 * Get the role announcements for a platform or source mention, creating it if needed
+	 * An existing role picked with /mention is reused, otherwise a new role is
+	 * created and set as the mention target
+	 * @param {Object} guild - Discord guild
+	 * @param {Object} target - Mention scope with its name
+	 * @returns {Promise<Object>} Discord role
+	 */
+	async getNotificationRole(guild, target) {
+		const mentionTarget = (await database.getMentionTargets(guild.id)).find(existing => existing.scope === target.scope)
+
+		if (mentionTarget?.mention_type === 'role') {
+			const role = await guild.roles.fetch(mentionTarget.target_ids.split(',')[0]).catch(() => null)
+			if (role) {
+				return role
+			}
+		}
+
+		// A role nobody can ping keeps members from abusing it, but then the bot needs Mention Everyone
+		const role = await guild.roles.create({
+			name: `${target.name} Notifications`.substring(0, 100),
+			mentionable: !guild.members.me.permissions.has(PermissionFlagsBits.MentionEveryone),
+			reason: 'Notification role for /notify-panel'
+		})
+
+		await database.setMentionTarget(guild.id, target.scope, 'role', [role.id])
+		logger.info(`Created notification role ${role.id} for ${target.scope} in guild ${guild.id}`)
+		return role
+	}
+
+	/**
+	 * Build the buttons or select menu of a notification panel
+	 * @param {Array<Object>} entries - Panel entries with their label and role
+	 * @param {string} style - 'buttons' or 'select'
+	 * @returns {Array<Object>} Action rows
+	 */
+	buildNotifyComponents(entries, style) {
+		const label = entry => entry.label.length > 80 ? `${entry.label.substring(0, 77)}...` : entry.label
+
+		if (style === 'select') {
+			const menu = new StringSelectMenuBuilder()
+				.setCustomId(`${NOTIFY_PREFIX}select`)
+				.setPlaceholder('Choose your notifications')
+				.setMinValues(0)
+				.setMaxValues(entries.length)
+				.addOptions(entries.map(entry => ({ label: label(entry), value: entry.role.id })))
+
+			return [new ActionRowBuilder().addComponents(menu)]
+		}
+
+		const rows = []
+		for (let i = 0; i < entries.length; i += 5) {
+			rows.push(new ActionRowBuilder().addComponents(
+				entries.slice(i, i + 5).map(entry => new ButtonBuilder()
+					.setCustomId(`${NOTIFY_PREFIX}toggle:${entry.role.id}`)
+					.setLabel(label(entry))
+					.setStyle(ButtonStyle.Secondary))
+			))
+		}
+
+		return rows
+	}
+
+	/**
+	 * Handle button and select menu interactions
+	 * @param {Object} interaction - Discord interaction
 	 * @returns {Promise<void>}
 	 */
-	async shutdown() {
-		try {
+	async handleComponentInteraction(interaction) {
+		if (!interaction.customId.startsWith(NOTIFY_PREFIX) || !interaction.inGuild()) {
+			return
+		}
+
+		await this.handleNotifyComponent(interaction)
+	}
+
+	/**
+	 * Toggle notification roles from a notify panel
+	 * Buttons toggle a single role; the select menu sets exactly the selected
+	 * roles among the panel's options. Only roles that are still notification
+	 * roles of the guild are handed out.
+	 * @param {Object} interaction - Button or select menu interaction
+	 * @returns {Promise<void>}
+	 */
+	async handleNotifyComponent(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		const guild = interaction.guild
+		const member = await guild.members.fetch(interaction.user.id)
+		const notificationRoleIds = (await database.getMentionTargets(guild.id))
+			.filter(target => target.mention_type === 'role')
+			.flatMap(target => target.target_ids.split(','))
+
+		const isSelect = interaction.isStringSelectMenu()
+		const panelRoleIds = isSelect
+			? interaction.component.options.map(option => option.value)
+			: [interaction.customId.split(':')[2]]
+
+		const added = []
+		const removed = []
+		const problems = []
+
+		for (const roleId of panelRoleIds) {
+			const role = notificationRoleIds.includes(roleId)
+				? await guild.roles.fetch(roleId).catch(() => null)
+				: null
+
+			if (!role) {
+				problems.push('a role that is no longer available')
+				continue
+			}
+
+			if (!role.editable) {
+				problems.push(`<@&${role.id}> (my role has to be above it)`)
+				continue
+			}
+
+			const hasRole = member.roles.cache.has(role.id)
+			const wantsRole = isSelect ? interaction.values.includes(role.id) : !hasRole
+
+			if (wantsRole && !hasRole) {
+				await member.roles.add(role, 'Opted in via notification panel')
+				added.push(`<@&${role.id}>`)
+			} else if (!wantsRole && hasRole) {
+				await member.roles.remove(role, 'Opted out via notification panel')
+				removed.push(`<@&${role.id}>`)
+			}
+		}
+
+		const lines = []
+		if (added.length > 0) lines.push(`✅ You'll be pinged for ${added.join(', ')}`)
+		if (removed.length > 0) lines.push(`🔕 You won't be pinged for ${removed.join(', ')} anymore`)
+		if (problems.length > 0) lines.push(`❌ Couldn't update ${problems.join(', ')}`)
+
+		await interaction.editReply({ content: lines.join('\n') || 'ℹ️ Nothing changed' })
+	}
+
+	/**
+	 * Handle subscribe command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleSubscribeCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const platform = interaction.options.getString('platform')
+			const input = interaction.options.getString('account')
+			const channel = interaction.options.getChannel('channel')
+			const provider = providerRegistry.get(platform)
+			const account = providerRegistry.normalizeAccount(provider, input)
+
+			if (!account) {
+				await interaction.editReply({ content: `❌ \`${input}\` is not a valid ${provider.displayName} account` })
+				return
+			}
+
+			const source = createSource(platform, account)
+			const validation = await provider.validateSource?.(source)
+			if (validation && !validation.success) {
+				await interaction.editReply({ content: `❌ ${validation.error}` })
+				return
+			}
+
+			if (channel) {
+				const permissions = channel.permissionsFor?.(this.client.user)
+				if (permissions && !permissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+					await interaction.editReply({ content: `❌ I need Send Messages and Embed Links permissions in <#${channel.id}>` })
+					return
+				}
+			}
+
+			if (!channel && !(await this.getDefaultChannelId(interaction.guildId)) && !(await database.resolveRoute(interaction.guildId, source.id, platform))) {
+				await interaction.editReply({ content: '❌ This server has no announcement channel yet, pick a channel or set one with /settings' })
+				return
+			}
+
+			await subscriptionManager.add(interaction.guildId, platform, account, {
+				channelId: channel?.id,
+				createdBy: interaction.user.id
+			})
+
+			const destination = channel ? `<#${channel.id}>` : 'the platform\'s announcement channel'
+			await interaction.editReply({
+				content: `✅ Now monitoring ${provider.emoji} \`${account}\`, new content will be posted in ${destination} from the next check`
+			})
+
+		} catch (error) {
+			logger.error(`Error in subscribe command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to add subscription.' })
+		}
+	}
+
+	/**
+	 * Handle unsubscribe command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleUnsubscribeCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const platform = interaction.options.getString('platform')
+			const input = interaction.options.getString('account')
+			const provider = providerRegistry.get(platform)
+			const account = providerRegistry.normalizeAccount(provider, input)
+
+			if (!account) {
+				await interaction.editReply({ content: `❌ \`${input}\` is not a valid ${provider.displayName} account` })
+				return
+			}
+
+			const removed = await subscriptionManager.remove(interaction.guildId, platform, account)
+
+			if (!removed) {
+				const sourceId = createSource(platform, account).id
+				const fromEnvironment = interaction.guildId === this.getDefaultGuildId() &&
+					providerRegistry.getConfiguredSources(provider).some(source => source.id === sourceId)
+
+				await interaction.editReply({
+					content: fromEnvironment
+						? `ℹ️ \`${account}\` is configured in the environment, remove it from .env to stop monitoring it`
+						: `ℹ️ Not subscribed to \`${account}\``
+				})
+				return
+			}
+
+			await database.removeRoute(interaction.guildId, createSource(platform, account).id)
+			await database.removeMentionTarget(interaction.guildId, createSource(platform, account).id)
+			await database.removeSourceSettings(interaction.guildId, createSource(platform, account).id)
+			await interaction.editReply({ content: `✅ Stopped monitoring ${provider.emoji} \`${account}\`` })
+
+		} catch (error) {
+			logger.error(`Error in unsubscribe command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to remove subscription.' })
+		}
+	}
+
+	/**
+	 * Handle subscriptions command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleSubscriptionsCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const sourceSettings = await database.getGuildSourceSettings(interaction.guildId)
+
+			const embed = new EmbedBuilder()
+				.setTitle('📋 Monitored Accounts')
+				.setColor(0x0099FF)
+				.setTimestamp()
+
+			for (const [platform, sources] of Object.entries(guildSources)) {
+				const provider = providerRegistry.get(platform)
+				const lines = sources.map(source => {
+					const subscription = subscriptionManager.get(interaction.guildId, source.id)
+					const contentTypes = this.parseContentTypes(sourceSettings.find(settings => settings.source_id === source.id))
+					const types = contentTypes ? ` [${contentTypes.join(', ')}]` : ''
+
+					if (!subscription) {
+						return `• \`${source.account}\` (from .env)${types}`
+					}
+
+					const channel = subscription.channel_id ? ` → <#${subscription.channel_id}>` : ''
+					return `• \`${source.account}\`${channel}${types}`
+				})
+
+				if (lines.length > 0) {
+					const value = lines.join('\n')
+					embed.addFields({
+						name: `${provider.emoji} ${provider.displayName}`,
+						value: value.length > 1024 ? `${value.substring(0, 1020)}...` : value
+					})
+				}
+			}
+
+			if (!embed.data.fields?.length) {
+				embed.setDescription('No accounts are being monitored. Use /subscribe to add one.')
+			}
+
+			await interaction.editReply({ embeds: [embed] })
+
+		} catch (error) {
+			logger.error(`Error in subscriptions command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to list subscriptions.' })
+		}
+	}
+
+	/**
+	 * Handle settings command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleSettingsCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const channel = interaction.options.getChannel('channel')
+			const mentionEveryone = interaction.options.getBoolean('mention-everyone')
+			const autoCrosspost = interaction.options.getBoolean('auto-publish')
+
+			if (channel) {
+				const permissions = channel.permissionsFor?.(this.client.user)
+				if (permissions && !permissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+					await interaction.editReply({ content: `❌ I need Send Messages and Embed Links permissions in <#${channel.id}>` })
+					return
+				}
+			}
+
+			if (channel || mentionEveryone !== null || autoCrosspost !== null) {
+				await database.updateGuildSettings(interaction.guildId, {
+					announcementChannelId: channel?.id,
+					mentionEveryone: mentionEveryone ?? undefined,
+					autoCrosspost: autoCrosspost ?? undefined
+				})
+				logger.info(`Settings updated for guild ${interaction.guildId}`)
+			}
+
+			const settings = await database.getGuildSettings(interaction.guildId)
+			const defaultChannelId = await this.getDefaultChannelId(interaction.guildId, settings)
+
+			const embed = new EmbedBuilder()
+				.setTitle('⚙️ Server Settings')
+				.setColor(0x0099FF)
+				.addFields(
+					{ name: '📢 Announcement Channel', value: defaultChannelId ? `<#${defaultChannelId}>` : 'Not set', inline: true },
+					{ name: '🔔 Default Mention', value: this.shouldMentionEveryone(settings) ? '@everyone' : 'Nobody', inline: true },
+					{ name: '📣 Auto-publish', value: this.shouldCrosspost(settings) ? 'On' : 'Off', inline: true }
+				)
+				.setTimestamp()
+
+			await interaction.editReply({ embeds: [embed] })
+
+		} catch (error) {
+			logger.error(`Error in settings command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update settings.' })
+		}
+	}
+
+	/**
+	 * Handle content-types command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleContentTypesCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+			const target = interaction.options.getString('target').trim()
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const source = Object.values(guildSources).flat().find(source => source.id === target)
+
+			if (!source) {
+				await interaction.editReply({ content: `❌ \`${target}\` is not monitored in this server, see /subscriptions for source ids` })
+				return
+			}
+
+			const provider = providerRegistry.get(source.platform)
+			const available = provider.contentTypes || {}
+
+			if (Object.keys(available).length === 0) {
+				await interaction.editReply({ content: `ℹ️ ${provider.displayName} doesn't distinguish kinds of content, everything is announced` })
+				return
+			}
+
+			if (subcommand === 'clear') {
+				await database.updateSourceSettings(interaction.guildId, source.id, { contentTypes: null })
+				await interaction.editReply({ content: `✅ All kinds of content will be announced for \`${source.account}\`` })
+				return
+			}
+
+			const types = [...new Set(interaction.options.getString('types')
+				.split(',')
+				.map(type => type.trim().toLowerCase())
+				.filter(Boolean))]
+			const unknown = types.filter(type => !available[type])
+
+			if (types.length === 0 || unknown.length > 0) {
+				const problem = unknown.length > 0
+					? `Unknown content type${unknown.length === 1 ? '' : 's'} ${unknown.map(type => `\`${type}\``).join(', ')}`
+					: 'No content types given'
+
+				await interaction.editReply({
+					content: `❌ ${problem}. Valid types:\n${Object.entries(available).map(([type, label]) => `• \`${type}\` - ${label}`).join('\n')}`
+				})
+				return
+			}
+
+			await database.updateSourceSettings(interaction.guildId, source.id, { contentTypes: JSON.stringify(types) })
+			logger.info(`Content types for ${source.id} in guild ${interaction.guildId} set to ${types.join(', ')}`)
+
+			await interaction.editReply({
+				content: `✅ Announcing only ${types.map(type => available[type]).join(', ')} for \`${source.account}\``
+			})
+
+		} catch (error) {
+			logger.error(`Error in content-types command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update content types.' })
+		}
+	}
+
+	/**
+	 * Handle template command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleTemplateCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+			const target = interaction.options.getString('target').trim()
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const source = Object.values(guildSources).flat().find(source => source.id === target)
+
+			if (!source) {
+				await interaction.editReply({ content: `❌ \`${target}\` is not monitored in this server, see /subscriptions for source ids` })
+				return
+			}
+
+			const part = interaction.options.getString('part')
+			const templates = this.parseTemplates(await database.getSourceSettings(interaction.guildId, source.id)) || {}
+
+			if (subcommand === 'set' || subcommand === 'clear') {
+				if (subcommand === 'set') {
+					templates[part] = interaction.options.getString('template')
+				} else if (part) {
+					delete templates[part]
+				}
+
+				const remaining = subcommand === 'clear' && !part ? {} : templates
+				await database.updateSourceSettings(interaction.guildId, source.id, {
+					templates: Object.keys(remaining).length > 0 ? JSON.stringify(remaining) : null
+				})
+				logger.info(`Templates for ${source.id} in guild ${interaction.guildId} ${subcommand === 'set' ? `set ${part}` : `cleared ${part || 'all'}`}`)
+			}
+
+			const provider = providerRegistry.get(source.platform)
+			const row = await database.getLastContent(source.id)
+
+			if (!row) {
+				const status = subcommand === 'preview' ? '' : '✅ Template saved. '
+				await interaction.editReply({ content: `${status}ℹ️ Nothing was announced for \`${source.account}\` yet, so there is nothing to preview` })
+				return
+			}
+
+			const content = parseContent(row.content)
+			const { embed, text } = await this.buildAnnouncement(interaction.guildId, provider, content)
+			const variables = getTemplateVariables(provider, content, provider.formatForDiscord(content))
+			const placeholders = Object.keys(variables).map(name => `\`{${name}}\``).join(' ')
+
+			await interaction.editReply({
+				content: [
+					subcommand === 'preview' ? `👀 Preview of the last announcement for \`${source.account}\`` : `✅ Templates updated, this is how the last announcement for \`${source.account}\` looks now`,
+					`Placeholders: ${placeholders}`,
+					text ? `\n${text}` : null
+				].filter(Boolean).join('\n').substring(0, 2000),
+				embeds: [embed],
+				allowedMentions: { parse: [] }
+			})
+
+		} catch (error) {
+			logger.error(`Error in template command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update or preview the template. Check that it renders to valid text, URLs and colors.' })
+		}
+	}
+
+	/**
+	 * Handle filter command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleFilterCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+			const target = interaction.options.getString('target').trim()
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const source = Object.values(guildSources).flat().find(source => source.id === target)
+
+			if (!source) {
+				await interaction.editReply({ content: `❌ \`${target}\` is not monitored in this server, see /subscriptions for source ids` })
+				return
+			}
+
+			const settings = await database.getSourceSettings(interaction.guildId, source.id)
+			const filters = parseFilters(settings?.filters) || createFilters()
+			let status = null
+
+			switch (subcommand) {
+				case 'add': {
+					const mode = interaction.options.getString('mode')
+					const { rule, error } = createRule(interaction.options.getString('type'), interaction.options.getString('value'))
+
+					if (error) {
+						await interaction.editReply({ content: `❌ ${error}` })
+						return
+					}
+
+					if (filters.include.length + filters.exclude.length >= MAX_RULES) {
+						await interaction.editReply({ content: `❌ A source can have at most ${MAX_RULES} rules, remove one with /filter remove first` })
+						return
+					}
+
+					filters[mode].push(rule)
+					status = `✅ ${mode === 'include' ? 'Only announcing' : 'Not announcing'} content matching ${describeRule(rule)}`
+					break
+				}
+
+				case 'remove': {
+					const removed = removeRule(filters, interaction.options.getInteger('number'))
+					if (!removed) {
+						await interaction.editReply({ content: `❌ There is no rule with that number:\n${describeFilters(filters).join('\n')}` })
+						return
+					}
+
+					status = `✅ Removed rule ${describeRule(removed)}`
+					break
+				}
+
+				case 'duration': {
+					const seconds = interaction.options.getInteger('seconds')
+					filters.minDuration = seconds || null
+					status = seconds ? `✅ Skipping videos shorter than ${seconds} seconds` : '✅ Minimum duration turned off'
+					break
+				}
+
+				case 'shorts': {
+					const mode = interaction.options.getString('mode')
+					filters.shorts = SHORTS_MODES[mode] ? mode : null
+					status = `✅ Announcing ${filters.shorts ? SHORTS_MODES[mode].toLowerCase() : 'Shorts and other uploads'}`
+					break
+				}
+
+				case 'clear':
+					Object.assign(filters, createFilters())
+					status = '✅ All filters removed, everything is announced'
+					break
+			}
+
+			if (subcommand !== 'list') {
+				await database.updateSourceSettings(interaction.guildId, source.id, {
+					filters: hasFilters(filters) ? JSON.stringify(filters) : null
+				})
+				logger.info(`Filters for ${source.id} in guild ${interaction.guildId} updated (${subcommand})`)
+			}
+
+			const embed = new EmbedBuilder()
+				.setTitle(`🔍 Filters for ${source.account}`.substring(0, 256))
+				.setColor(0x0099FF)
+				.setDescription(describeFilters(filters).join('\n').substring(0, 4096))
+				.setFooter({ text: 'Filtered content is logged and never announced later' })
+
+			await interaction.editReply({ content: status || undefined, embeds: [embed] })
+
+		} catch (error) {
+			logger.error(`Error in filter command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to update filters.' })
+		}
+	}
+
+	/**
+	 * Handle digest command
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleDigestCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+			const guildSources = await this.getGuildSources(interaction.guildId)
+			const sources = Object.values(guildSources).flat()
+
+			if (subcommand === 'mode') {
+				const target = interaction.options.getString('target').trim()
+				const source = sources.find(source => source.id === target)
+
+				if (!source) {
+					await interaction.editReply({ content: `❌ \`${target}\` is not monitored in this server, see /subscriptions for source ids` })
+					return
+				}
+
+				const mode = interaction.options.getString('mode')
+				await database.updateSourceSettings(interaction.guildId, source.id, { announceMode: mode === 'instant' ? null : mode })
+				logger.info(`Announce mode for ${source.id} in guild ${interaction.guildId} set to ${mode}`)
+
+				await interaction.editReply({
+					content: `✅ \`${source.account}\`: ${DIGEST_MODES[mode]}` +
+						(mode === 'instant' ? '' : `\nDigests are posted on the schedule \`${config.bot.digest.schedule}\` (${config.bot.digest.timezone})`)
+				})
+				return
+			}
+
+			if (subcommand === 'send') {
+				const { posted, failed } = await this.sendDigests(interaction.guildId)
+
+				await interaction.editReply({
+					content: posted === 0 && failed === 0
+						? 'ℹ️ No posts are waiting for the digest'
+						: `${failed > 0 ? '⚠️' : '✅'} Posted ${posted} post${posted === 1 ? '' : 's'} in the digest${failed > 0 ? `, ${failed} could not be posted and stay queued` : ''}`
+				})
+				return
+			}
+
+			const digestSources = []
+			for (const source of sources) {
+				const mode = this.getAnnounceMode(await database.getSourceSettings(interaction.guildId, source.id))
+				if (mode !== 'instant') {
+					digestSources.push(`• \`${source.id}\` - ${DIGEST_MODES[mode]}`)
+				}
+			}
+
+			const items = await database.getDigestItems(interaction.guildId)
+			const counts = {}
+			for (const item of items) {
+				counts[item.platform] = (counts[item.platform] || 0) + 1
+			}
+			const waiting = Object.entries(counts)
+				.map(([platform, count]) => `• ${providerRegistry.get(platform)?.displayName || platform}: ${count}`)
+
+			const embed = new EmbedBuilder()
+				.setTitle('📰 Digest')
+				.setColor(0x0099FF)
+				.addFields(
+					{ name: 'Schedule', value: `\`${config.bot.digest.schedule}\` (${config.bot.digest.timezone})` },
+					{ name: 'Sources', value: (digestSources.join('\n') || 'Every source is announced right away, use /digest mode to change that').substring(0, 1024) },
+					{ name: 'Waiting for the next digest', value: waiting.join('\n') || 'Nothing yet' }
+				)
+
+			await interaction.editReply({ embeds: [embed] })
+
+		} catch (error) {
+			logger.error(`Error in digest command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to handle digest command.' })
+		}
+	}
+
+	/**
+	 * Handle queue command
+	 * Only the guild's own items can be seen, retried or dropped
+	 * @param {Object} interaction - Discord interaction
+	 */
+	async handleQueueCommand(interaction) {
+		await interaction.deferReply({ ephemeral: true })
+
+		try {
+			const subcommand = interaction.options.getSubcommand()
+
+			if (subcommand === 'list') {
+				const status = interaction.options.getString('status')
+				const items = await database.getOutboxItems({ status, guildId: interaction.guildId })
+
+				if (items.length === 0) {
+					await interaction.editReply({ content: '✅ No announcements are waiting to be delivered' })
+					return
+				}
+
+				const lines = items.slice(0, MAX_QUEUE_ITEMS).map(item => this.describeQueueItem(item))
+				if (items.length > MAX_QUEUE_ITEMS) {
+					lines.push(`...and ${items.length - MAX_QUEUE_ITEMS} more`)
+				}
+
+				const embed = new EmbedBuilder()
+					.setTitle(`📤 Delivery Queue (${items.length})`)
+					.setColor(0x0099FF)
+					.setDescription(lines.join('\n\n').substring(0, 4096))
+					.setFooter({ text: 'Use /queue retry or /queue drop with an item id' })
+
+				await interaction.editReply({ embeds: [embed] })
+				return
+			}
+
+			const id = interaction.options.getInteger('id')
+			const item = await database.getOutboxItem(id)
+
+			if (!item || item.guild_id !== interaction.guildId) {
+				await interaction.editReply({ content: `❌ There is no queue item #${id} for this server, see /queue list` })
+				return
+			}
+
+			if (subcommand === 'retry') {
+				await scheduler.outbox.retry(id)
+				logger.info(`Outbox item ${id} (${item.source_id}) retried from guild ${interaction.guildId}`)
+				await interaction.editReply({ content: `🔄 Delivering #${id} again` })
+				return
+			}
+
+			await scheduler.outbox.drop(id)
+			logger.info(`Outbox item ${id} (${item.source_id}) dropped from guild ${interaction.guildId}`)
+			await interaction.editReply({ content: `🗑️ Dropped #${id}, it won't be announced` })
+
+		} catch (error) {
+			logger.error(`Error in queue command: ${error.message}`)
+			await interaction.editReply({ content: 'Failed to handle queue command.' })
+		}
+	}
+
+	/**
+	 * Describe an outbox item for /queue list
+	 * @param {Object} item - Outbox row
+	 * @returns {string} Markdown lines
+	 */
+	describeQueueItem(item) {
+		const content = JSON.parse(item.content)
+		const title = content.title || content.caption || content.url || item.content_id
+		const shortTitle = title.length > 80 ? `${title.substring(0, 77)}...` : title
+		const nextAttempt = Math.floor(new Date(`${item.next_attempt_at.replace(' ', 'T')}Z`).getTime() / 1000)
+		const state = item.status === 'dead'
+			? `💀 failed for good after ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`
+			: item.attempts > 0
+				? `⏳ ${item.attempts}/${MAX_DELIVERY_ATTEMPTS} attempts, next <t:${nextAttempt}:R>`
+				: '⏳ waiting'
+		const error = item.last_error ? `\n└ ${item.last_error.substring(0, 200)}` : ''
+
+		return `**#${item.id}** \`${item.source_id}\` ${shortTitle}\n${state}${error}`
+	}
+
+	/**
+	 * Get the sources a guild receives announcements for, grouped by platform
+	 * Sources from the environment belong to the default guild, every other
+	 * guild only gets the accounts it subscribed to
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Object>} Sources keyed by platform name
+	 */
+	async getGuildSources(guildId) {
+		const isDefaultGuild = guildId === this.getDefaultGuildId()
+		const guildSources = {}
+
+		for (const provider of providerRegistry.list()) {
+			const configuredIds = isDefaultGuild
+				? new Set(providerRegistry.getConfiguredSources(provider).map(source => source.id))
+				: new Set()
+
+			guildSources[provider.id] = provider.isConfigured()
+				? providerRegistry.getSources(provider).filter(source =>
+					configuredIds.has(source.id) || subscriptionManager.get(guildId, source.id)
+				)
+				: []
+		}
+
+		return guildSources
+	}
+
+	/**
+	 * Get bot statistics for a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Object>} Bot statistics
+	 */
+	async getGuildStats(guildId) {
+		const guildSources = await this.getGuildSources(guildId)
+		const sourceIds = Object.values(guildSources).flat().map(source => source.id)
+
+		return database.getBotStats(guildId, sourceIds)
+	}
+
+	/**
+	 * Get the channel announcements go to when nothing is routed
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} settings - Guild settings row (optional)
+	 * @returns {Promise<string|null>} Channel ID
+	 */
+	async getDefaultChannelId(guildId, settings = undefined) {
+		const guildSettings = settings === undefined ? await database.getGuildSettings(guildId) : settings
+
+		if (guildSettings?.announcement_channel_id) {
+			return guildSettings.announcement_channel_id
+		}
+
+		return guildId === this.getDefaultGuildId() ? config.discord.announcementChannelId : null
+	}
+
+	/**
+	 * Whether announcements should mention @everyone
+	 * @param {Object} settings - Guild settings row (optional)
+	 * @returns {boolean} True to mention @everyone
+	 */
+	shouldMentionEveryone(settings) {
+		if (settings?.mention_everyone !== null && settings?.mention_everyone !== undefined) {
+			return settings.mention_everyone === 1
+		}
+
+		return config.bot.mentionEveryone
+	}
+
+	/**
+	 * Whether announcements in Announcement channels should be published to following servers
+	 * @param {Object} settings - Guild settings row (optional)
+	 * @returns {boolean} True to crosspost
+	 */
+	shouldCrosspost(settings) {
+		if (settings?.auto_crosspost !== null && settings?.auto_crosspost !== undefined) {
+			return settings.auto_crosspost === 1
+		}
+
+		return config.bot.autoCrosspost
+	}
+
+	/**
+	 * Get the content types a source settings row limits announcements to
+	 * @param {Object} settings - Source settings row (optional)
+	 * @returns {Array<string>|null} Content types, or null to announce everything
+	 */
+	parseContentTypes(settings) {
+		if (!settings?.content_types) {
+			return null
+		}
+
+		try {
+			return JSON.parse(settings.content_types)
+		} catch (error) {
+			logger.warn(`Ignoring invalid content types for ${settings.source_id}: ${error.message}`)
+			return null
+		}
+	}
+
+	/**
+	 * Get the announcement templates a source settings row holds
+	 * @param {Object} settings - Source settings row (optional)
+	 * @returns {Object|null} Templates keyed by part, or null for the default look
+	 */
+	parseTemplates(settings) {
+		if (!settings?.templates) {
+			return null
+		}
+
+		try {
+			return JSON.parse(settings.templates)
+		} catch (error) {
+			logger.warn(`Ignoring invalid templates for ${settings.source_id}: ${error.message}`)
+			return null
+		}
+	}
+
+	/**
+	 * Get how a source settings row wants new content announced
+	 * @param {Object} settings - Source settings row (optional)
+	 * @returns {string} instant, digest or both
+	 */
+	getAnnounceMode(settings) {
+		return DIGEST_MODES[settings?.announce_mode] ? settings.announce_mode : 'instant'
+	}
+
+	/**
+	 * Build the embed and text of an announcement, applying the guild's templates for the source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} provider - Provider of the content
+	 * @param {Object} content - Content object
+	 * @returns {Promise<Object>} Embed and message text (null without a text template)
+	 */
+	async buildAnnouncement(guildId, provider, content) {
+		const embed = provider.formatForDiscord(content)
+		const templates = this.parseTemplates(await database.getSourceSettings(guildId, content.sourceId || provider.id))
+
+		if (!templates) {
+			return { embed, text: null }
+		}
+
+		return applyTemplates(embed, templates, getTemplateVariables(provider, content, embed))
+	}
+
+	/**
+	 * Whether a guild wants content of this type announced for a source
+	 * Content without a type is always announced
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {Object} content - Content object
+	 * @returns {Promise<boolean>} True to announce the content
+	 */
+	async isContentTypeEnabled(guildId, sourceId, content) {
+		if (!content.type) {
+			return true
+		}
+
+		const contentTypes = this.parseContentTypes(await database.getSourceSettings(guildId, sourceId))
+		return !contentTypes || contentTypes.includes(content.type)
+	}
+
+	/**
+	 * Get who announcements for a source mention in a guild
+	 * A /mention setting for the source wins over one for its platform, then
+	 * the guild's @everyone setting applies
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @param {Object} settings - Guild settings row (optional)
+	 * @returns {Promise<Object>} Mention target with mention_type and target_ids
+	 */
+	async getMentionTarget(guildId, sourceId, platform, settings = undefined) {
+		const target = await database.resolveMentionTarget(guildId, sourceId, platform)
+		if (target) {
+			return target
+		}
+
+		const guildSettings = settings === undefined ? await database.getGuildSettings(guildId) : settings
+		return { mention_type: this.shouldMentionEveryone(guildSettings) ? 'everyone' : 'none', target_ids: null }
+	}
+
+	/**
+	 * Build the message content and allowed mentions for a mention target
+	 * Allowed mentions are limited to exactly the target, so nothing else in
+	 * the message can ping anyone
+	 * @param {Object} target - Mention target with mention_type and target_ids
+	 * @returns {Object} Message content (if any) and allowedMentions
+	 */
+	buildMention(target) {
+		const ids = target.target_ids ? target.target_ids.split(',') : []
+
+		switch (target.mention_type) {
+			case 'everyone':
+				return { content: '@everyone', allowedMentions: { parse: ['everyone'] } }
+			case 'here':
+				return { content: '@here', allowedMentions: { parse: ['everyone'] } }
+			case 'role':
+				return { content: ids.map(id => `<@&${id}>`).join(' '), allowedMentions: { parse: [], roles: ids } }
+			case 'users':
+				return { content: ids.map(id => `<@${id}>`).join(' '), allowedMentions: { parse: [], users: ids } }
+			default:
+				return { allowedMentions: { parse: [] } }
+		}
+	}
+
+	/**
+	 * Describe a mention target for display
+	 * @param {Object} target - Mention target with mention_type and target_ids
+	 * @returns {string} Human readable mention target
+	 */
+	describeMentionTarget(target) {
+		const { content } = this.buildMention(target)
+		return content || 'nobody'
+	}
+
+	/**
+	 * Describe who announcements mention for each platform and source of a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} guildSources - Sources keyed by platform name
+	 * @param {Object} settings - Guild settings row (optional)
+	 * @returns {Promise<string>} Human readable mention list
+	 */
+	async describeMentions(guildId, guildSources, settings) {
+		const targets = await database.getMentionTargets(guildId)
+		const targetFor = scope => targets.find(target => target.scope === scope)
+		const guildDefault = await this.getMentionTarget(guildId, null, null, settings)
+		const lines = [
+			'_A source setting wins over its platform\'s, /notify-panel replaces the setting with its role_',
+			`Default → ${this.describeMentionTarget(guildDefault)}`
+		]
+
+		for (const [platform, sources] of Object.entries(guildSources)) {
+			if (sources.length === 0) continue
+
+			const platformTarget = targetFor(platform) || guildDefault
+			const provider = providerRegistry.get(platform)
+			lines.push(`${provider.emoji} ${provider.displayName} → ${this.describeMentionTarget(platformTarget)}`)
+
+			for (const source of sources) {
+				const sourceTarget = targetFor(source.id)
+				if (sourceTarget) {
+					lines.push(`└ ${source.account} → ${this.describeMentionTarget(sourceTarget)}`)
+				}
+			}
+		}
+
+		const description = lines.join('\n')
+		return description.length > 1024 ? `${description.substring(0, 1020)}...` : description
+	}
+
+	/**
+	 * Get platforms and sources that announcements can be routed for in a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Array<string>>} Platform names and source identifiers
+	 */
+	async getRouteTargets(guildId) {
+		const guildSources = await this.getGuildSources(guildId)
+
+		return [
+			...providerRegistry.list().map(provider => provider.id),
+			...Object.values(guildSources).flat().map(source => source.id)
+		]
+	}
+
+	/**
+	 * Describe where announcements for each platform and source of a guild end up
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} guildSources - Sources keyed by platform name
+	 * @param {string} defaultChannelId - Default channel ID
+	 * @returns {Promise<string>} Human readable route list
+	 */
+	async describeRoutes(guildId, guildSources, defaultChannelId) {
+		const routes = await database.getRoutes(guildId)
+		const routeFor = scope => routes.find(route => route.scope === scope)
+		const mention = channelId => channelId ? `<#${channelId}>` : 'not set'
+		const via = route => {
+			const options = [route?.delivery, route?.threads ? 'threads' : null].filter(Boolean)
+			return options.length > 0 ? ` (${options.join(', ')})` : ''
+		}
+		const lines = [`Default → ${mention(defaultChannelId)}`]
+
+		for (const [platform, sources] of Object.entries(guildSources)) {
+			if (sources.length === 0) continue
+
+			const platformRoute = routeFor(platform)
+			const platformChannelId = platformRoute?.channel_id || defaultChannelId
+			const provider = providerRegistry.get(platform)
+			lines.push(`${provider.emoji} ${provider.displayName} → ${mention(platformChannelId)}${via(platformRoute)}`)
+
+			for (const source of sources) {
+				const sourceRoute = routeFor(source.id)
+				const sourceChannelId = sourceRoute?.channel_id || subscriptionManager.get(guildId, source.id)?.channel_id
+				lines.push(`└ ${source.account} → ${mention(sourceChannelId || platformChannelId)}${via(sourceRoute || platformRoute)}`)
+			}
+		}
+
+		const description = lines.join('\n')
+		return description.length > 1024 ? `${description.substring(0, 1020)}...` : description
+	}
+
+	/**
+	 * Get the guilds a source's announcements are delivered to
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<Array<Object>>} Guild IDs with their subscription (if any)
+	 */
+	async getDeliveryTargets(sourceId, platform) {
+		const provider = providerRegistry.get(platform)
+		const targets = new Map()
+		const defaultGuildId = this.getDefaultGuildId()
+		const fromEnvironment = sourceId === platform ||
+			providerRegistry.getConfiguredSources(provider).some(source => source.id === sourceId)
+
+		if (fromEnvironment && defaultGuildId) {
+			targets.set(defaultGuildId, null)
+		}
+
+		for (const subscription of subscriptionManager.getSubscribers(sourceId)) {
+			targets.set(subscription.guild_id, subscription)
+		}
+
+		return [...targets].map(([guildId, subscription]) => ({ guildId, subscription }))
+	}
+
+	/**
+	 * Resolve the channel a notification should be posted in for a guild
+	 * Source routes win over the channel chosen on /subscribe, then platform
+	 * routes, then the guild's default channel. Channels that are gone or
+	 * belong to another guild are skipped.
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @param {Object} subscription - The guild's subscription to the source (optional)
+	 * @returns {Promise<Object|null>} Discord channel
+	 */
+	async resolveAnnouncementChannel(guildId, sourceId, platform, subscription = null) {
+		const route = await database.resolveRoute(guildId, sourceId, platform)
+		const routedChannelIds = route?.scope === sourceId
+			? [route.channel_id, subscription?.channel_id]
+			: [subscription?.channel_id, route?.channel_id]
+		const candidates = new Set([...routedChannelIds, await this.getDefaultChannelId(guildId)].filter(Boolean))
+
+		for (const channelId of candidates) {
+			try {
+				const channel = await this.client.channels.fetch(channelId)
+				if (channel?.guildId === guildId) {
+					return channel
+				}
+			} catch (error) {
+				logger.warn(`Announcements for ${sourceId} in guild ${guildId} point to unavailable channel ${channelId}: ${error.message}`)
+			}
+		}
+
+		return null
+	}
+
+	/**
+	 * Send an alert about a source to every guild following it
+	 * Alerts go to the channel the guild's announcements for the source go to
+	 * @param {string} sourceId - Source identifier (or platform name)
+	 * @param {string} content - Alert text
+	 * @returns {Promise<number>} Number of guilds alerted
+	 */
+	async sendSourceAlert(sourceId, content) {
+		if (!this.isReady) {
+			throw new Error('Discord bot not ready')
+		}
+
+		const platform = getPlatformFromSourceId(sourceId)
+		let sent = 0
+
+		for (const { guildId, subscription } of await this.getDeliveryTargets(sourceId, platform)) {
+			try {
+				const channel = await this.resolveAnnouncementChannel(guildId, sourceId, platform, subscription)
+				if (!channel?.isTextBased()) {
+					logger.warn(`No text channel to alert guild ${guildId} about ${sourceId} in`)
+					continue
+				}
+
+				await channel.send({ content, allowedMentions: { parse: [] } })
+				sent++
+			} catch (error) {
+				logger.error(`Failed to alert guild ${guildId} about ${sourceId}: ${error.message}`)
+			}
+		}
+
+		return sent
+	}
+
+	/**
+	 * Send a social media update to every guild following its source
+	 * Guilds that already received the content are skipped, and a failure in
+	 * one guild doesn't stop delivery to the others
+	 * @param {Object} content - Content object (video, post, etc.)
+	 * @param {string} platform - Platform name
+	 * @param {Array<string>} guildIds - Only send to these guilds (optional)
+	 * @returns {Promise<Array<Object>>} Send result per guild
+	 */
+	async sendSocialMediaUpdate(content, platform, guildIds = null) {
+		if (!this.isReady) {
+			const result = { success: false, error: 'Discord bot not ready', platform }
+			logDiscordMessage(result)
+			throw new Error(result.error)
+		}
+
+		const sourceId = content.sourceId || platform
+
+		const provider = providerRegistry.get(platform)
+		if (!provider) {
+			throw new Error(`Unknown platform: ${platform}`)
+		}
+
+		// Template previews render against the last real item of a source
+		await database.saveLastContent(sourceId, content.id, JSON.stringify(content))
+
+		const targets = (await this.getDeliveryTargets(sourceId, platform))
+			.filter(({ guildId }) => !guildIds || guildIds.includes(guildId))
+		const results = []
+
+		for (const { guildId, subscription } of targets) {
+			if (await database.isNotificationSent(sourceId, content.id, guildId)) {
+				continue
+			}
+
+			if (!(await this.isContentTypeEnabled(guildId, sourceId, content))) {
+				logger.debug(`Skipping ${content.type} ${content.id} of ${sourceId} for guild ${guildId}`)
+				continue
+			}
+
+			let channel = null
+
+			try {
+				channel = await this.resolveAnnouncementChannel(guildId, sourceId, platform, subscription)
+				if (!channel) {
+					throw new Error(`No announcement channel available in guild ${guildId}`)
+				}
+
+				const { embed, text } = await this.buildAnnouncement(guildId, provider, content)
+				const mode = this.getAnnounceMode(await database.getSourceSettings(guildId, sourceId))
+
+				// Digest sources are summed up on the DIGEST_SCHEDULE, see utils/digest.js
+				if (mode !== 'instant') {
+					await database.queueDigestItem(guildId, channel.id, sourceId, content.id, {
+						title: embed.title,
+						url: content.url || embed.url,
+						imageUrl: embed.image?.url || embed.thumbnail?.url,
+						publishedAt: embed.timestamp ? new Date(embed.timestamp) : null
+					})
+				}
+
+				if (mode === 'digest') {
+					await database.recordSentNotification(sourceId, content.id, content.url, null, { guildId })
+					logger.info(`Queued ${platform} content ${content.id} of ${sourceId} for the digest of guild ${guildId}`)
+					results.push({ success: true, digest: true, guildId, platform })
+					continue
+				}
+
+				// Send the message, mentioning whoever the guild picked for this source
+				const mention = this.buildMention(await this.getMentionTarget(guildId, sourceId, platform))
+				const messageOptions = {
+					embeds: [embed],
+					...mention,
+					content: [mention.content, text].filter(Boolean).join('\n') || undefined
+				}
+
+				const delivery = await this.resolveDelivery(guildId, sourceId, platform, channel)
+				const post = channel.type === ChannelType.GuildForum
+					? { name: this.getThreadName(provider, content, embed), appliedTags: await this.getForumTags(channel, provider, content) }
+					: null
+				const { message, webhookId, threadId: postId } = await this.deliver(channel, messageOptions, delivery, this.getPersona(provider, content, embed), post)
+
+				// The message is out: nothing after this may fail the guild, the outbox would post it again
+				let threadId = postId || null
+				let scheduledEventId = null
+				let crosspost = false
+
+				try {
+					// Forum posts are threads already, other channels get one when their route asks for it
+					if (!threadId && await this.shouldOpenThread(guildId, sourceId, platform)) {
+						threadId = await this.openThread(channel, message, this.getThreadName(provider, content, embed))
+					}
+
+					// Premieres and streams also get an event in the guild's event list
+					scheduledEventId = await this.createScheduledEvent(channel.guild, provider.getScheduledEvent?.(content))
+
+					crosspost = channel.type === ChannelType.GuildAnnouncement &&
+						this.shouldCrosspost(await database.getGuildSettings(guildId))
+				} catch (error) {
+					logger.error(`Failed to finish announcing ${platform} content ${content.id} in guild ${guildId}: ${error.message}`)
+				}
+
+				try {
+					// Record the sent notification in database
+					await database.recordSentNotification(
+						sourceId,
+						content.id,
+						content.url,
+						message.id,
+						{ guildId, channelId: postId || channel.id, scheduledEventId, webhookId, threadId, crosspostStatus: crosspost ? 'pending' : null }
+					)
+
+					// Following servers get it too, see utils/crosspost.js
+					if (crosspost) {
+						this.crosspostQueue.enqueue(channel.id, message.id)
+					}
+				} catch (error) {
+					logger.error(`Announced ${platform} content ${content.id} in guild ${guildId} but failed to record it: ${error.message}`)
+				}
+
+				const result = {
+					success: true,
+					messageId: message.id,
+					channelId: channel.id,
+					threadId,
+					guildId,
+					platform
+				}
+
+				logDiscordMessage(result)
+				results.push(result)
+
+			} catch (error) {
+				const result = {
+					success: false,
+					error: error.message,
+					platform,
+					guildId,
+					channelId: channel?.id
+				}
+
+				logDiscordMessage(result)
+				results.push(result)
+			}
+		}
+
+		if (results.length > 0 && results.every(result => !result.success)) {
+			throw new Error(results.map(result => result.error).join('; '))
+		}
+
+		// Keep an eye on content that will change, see utils/lifecycle.js
+		if (results.some(result => result.success && !result.digest) && provider.isInFlight?.(content)) {
+			try {
+				await database.trackContent(sourceId, content.id, content.type || null, JSON.stringify(content))
+			} catch (error) {
+				logger.error(`Failed to track ${platform} content ${content.id}: ${error.message}`)
+			}
+		}
+
+		return results
+	}
+
+	/**
+	 * Edit every announcement already posted for a content item
+	 * Used when content changes after it was announced, e.g. a stream going live
+	 * @param {Object} content - Updated content object
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<Array<Object>>} Edit result per message
+	 */
+	async updateSocialMediaUpdate(content, platform) {
+		if (!this.isReady) {
+			throw new Error('Discord bot not ready')
+		}
+
+		const provider = providerRegistry.get(platform)
+		if (!provider) {
+			throw new Error(`Unknown platform: ${platform}`)
+		}
+
+		const sourceId = content.sourceId || platform
+		const notifications = await database.getSentNotifications(sourceId, content.id)
+
+		const eventDetails = provider.getScheduledEvent?.(content)
+		const results = []
+
+		for (const notification of notifications) {
+			if (notification.scheduled_event_id) {
+				await this.syncScheduledEvent(notification, eventDetails)
+			}
+
+			if (!notification.channel_id || !notification.discord_message_id) {
+				continue
+			}
+
+			try {
+				const { embed } = await this.buildAnnouncement(notification.guild_id, provider, content)
+
+				// Only the author can edit a message, so webhook posts are edited through their webhook
+				if (notification.webhook_id) {
+					const webhook = await this.getWebhookById(notification.webhook_id)
+					const inThread = notification.thread_id && notification.thread_id === notification.channel_id
+					await webhook.editMessage(notification.discord_message_id, {
+						embeds: [embed],
+						threadId: inThread ? notification.thread_id : undefined
+					})
+				} else {
+					const channel = await this.client.channels.fetch(notification.channel_id)
+					const message = await channel.messages.fetch(notification.discord_message_id)
+					await message.edit({ embeds: [embed] })
+				}
+
+				results.push({ success: true, messageId: notification.discord_message_id, channelId: notification.channel_id, guildId: notification.guild_id, platform })
+
+			} catch (error) {
+				logger.warn(`Failed to edit announcement ${notification.discord_message_id} for ${sourceId}: ${error.message}`)
+				results.push({ success: false, error: error.message, guildId: notification.guild_id, platform })
+			}
+		}
+
+		return results
+	}
+
+	/**
+	 * Decide whether a guild's announcements for a source are posted by the bot or a webhook
+	 * The most specific route decides; without one, the WEBHOOK_URL channel uses its webhook
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @param {Object} channel - Channel the announcement goes to
+	 * @returns {Promise<string>} 'bot' or 'webhook'
+	 */
+	async resolveDelivery(guildId, sourceId, platform, channel) {
+		const route = await database.resolveRoute(guildId, sourceId, platform)
+		if (route?.delivery) {
+			return route.delivery
+		}
+
+		const configuredWebhook = await this.getConfiguredWebhook()
+		return configuredWebhook?.channelId === channel.id ? 'webhook' : 'bot'
+	}
+
+	/**
+	 * Get the name and avatar webhook announcements are posted with
+	 * Defaults to the platform name and the avatar of the content's author
+	 * @param {Object} provider - Provider of the content
+	 * @param {Object} content - Content object
+	 * @param {Object} embed - Embed built for the content
+	 * @returns {Object} Username and avatar URL
+	 */
+	getPersona(provider, content, embed) {
+		return provider.getPersona?.(content) || {
+			username: provider.displayName,
+			avatarURL: embed.author?.icon_url
+		}
+	}
+
+	/**
+	 * Post a message through the chosen transport
+	 * Falls back to the bot user when no webhook can be used in the channel
+	 * @param {Object} channel - Discord channel
+	 * @param {Object} messageOptions - Message content and embeds
+	 * @param {string} delivery - 'bot' or 'webhook'
+	 * @param {Object} persona - Username and avatar URL for webhook posts
+	 * @param {Object} post - Name and tags of the post, for forum channels
+	 * @returns {Promise<Object>} Posted message, the webhook ID it was sent through and the forum post it opened (if any)
+	 */
+	async deliver(channel, messageOptions, delivery, persona, post = null) {
+		if (delivery === 'webhook') {
+			const webhook = await this.getWebhook(channel)
+
+			if (webhook) {
+				const message = post
+					? await webhook.send({ ...messageOptions, ...persona, threadName: post.name, appliedTags: post.appliedTags })
+					: await webhook.send({ ...messageOptions, ...persona })
+				return { message, webhookId: webhook.id, threadId: post ? message.channelId ?? message.channel_id : null }
+			}
+
+			logger.warn(`No webhook available in channel ${channel.id}, posting as the bot instead`)
+		}
+
+		if (post) {
+			const thread = await channel.threads.create({ name: post.name, appliedTags: post.appliedTags, message: messageOptions })
+			return { message: await thread.fetchStarterMessage(), webhookId: null, threadId: thread.id }
+		}
+
+		return { message: await channel.send(messageOptions), webhookId: null, threadId: null }
+	}
+
+	/**
+	 * Whether a guild's route for a source asks for a discussion thread on every announcement
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<boolean>} True to open a thread
+	 */
+	async shouldOpenThread(guildId, sourceId, platform) {
+		const route = await database.resolveRoute(guildId, sourceId, platform)
+		return route?.threads === 1
+	}
+
+	/**
+	 * Get the name of the thread or forum post for an announcement
+	 * @param {Object} provider - Provider of the content
+	 * @param {Object} content - Content object
+	 * @param {Object} embed - Embed built for the content
+	 * @returns {string} Thread name, at most 100 characters
+	 */
+	getThreadName(provider, content, embed) {
+		const name = (embed.title || content.title || `${provider.displayName} update`).replace(/\s+/g, ' ').trim()
+		return name.length > 100 ? `${name.substring(0, 97)}...` : name
+	}
+
+	/**
+	 * Open a discussion thread on an announcement
+	 * A thread that can't be opened doesn't fail the announcement itself
+	 * @param {Object} channel - Text or Announcement channel the message was posted in
+	 * @param {Object} message - Posted message
+	 * @param {string} name - Thread name
+	 * @returns {Promise<string|null>} Thread ID
+	 */
+	async openThread(channel, message, name) {
+		try {
+			const thread = await channel.threads.create({ startMessage: message.id, name, reason: 'Announcement discussion' })
+			return thread.id
+		} catch (error) {
+			logger.warn(`Failed to open a thread on announcement ${message.id} in channel ${channel.id}: ${error.message}`)
+			return null
+		}
+	}
+
+	/**
+	 * Pick the forum tags for a post: tags named after the platform or the content type
+	 * A platform tag is added to the forum when none exists and the bot can manage the channel
+	 * @param {Object} channel - Forum channel
+	 * @param {Object} provider - Provider of the content
+	 * @param {Object} content - Content object
+	 * @returns {Promise<Array<string>>} Tag IDs, at most 5
+	 */
+	async getForumTags(channel, provider, content) {
+		const platformNames = [provider.id, provider.displayName.toLowerCase()]
+		const typeNames = [content.type, provider.contentTypes?.[content.type]].filter(Boolean).map(name => name.toLowerCase())
+		const findTags = tags => tags.filter(tag => [...platformNames, ...typeNames].includes(tag.name.toLowerCase()))
+
+		let tags = findTags(channel.availableTags || [])
+
+		const canAddTag = (channel.availableTags || []).length < 20 &&
+			channel.permissionsFor?.(this.client.user)?.has(PermissionFlagsBits.ManageChannels)
+		if (!tags.some(tag => platformNames.includes(tag.name.toLowerCase())) && canAddTag) {
+			try {
+				const updated = await channel.setAvailableTags([...channel.availableTags, { name: provider.displayName }], 'Platform tag for announcements')
+				tags = findTags(updated.availableTags)
+				logger.info(`Added ${provider.displayName} tag to forum ${channel.id}`)
+			} catch (error) {
+				logger.warn(`Failed to add ${provider.displayName} tag to forum ${channel.id}: ${error.message}`)
+			}
+		}
+
+		return tags.slice(0, 5).map(tag => tag.id)
+	}
+
+	/**
+	 * Get the webhook configured with WEBHOOK_URL
+	 * @returns {Promise<Object|null>} Webhook, or null if not configured or unusable
+	 */
+	async getConfiguredWebhook() {
+		if (this.configuredWebhook !== undefined) {
+			return this.configuredWebhook
+		}
+
+		const match = config.discord.webhookUrl?.match(/\/webhooks\/(\d+)\/([\w-]+)/)
+		if (!match) {
+			if (config.discord.webhookUrl) {
+				logger.warn('WEBHOOK_URL is not a Discord webhook URL, ignoring it')
+			}
+			this.configuredWebhook = null
+			return null
+		}
+
+		try {
+			this.configuredWebhook = await this.client.fetchWebhook(match[1], match[2])
+			this.webhooks.set(this.configuredWebhook.channelId, this.configuredWebhook)
+		} catch (error) {
+			logger.error(`Failed to load the WEBHOOK_URL webhook: ${error.message}`)
+			this.configuredWebhook = null
+		}
+
+		return this.configuredWebhook
+	}
+
+	/**
+	 * Get a webhook to post announcements in a channel
+	 * Uses the WEBHOOK_URL webhook in its own channel, otherwise reuses or
+	 * creates a webhook owned by the bot (needs Manage Webhooks)
+	 * @param {Object} channel - Discord channel
+	 * @returns {Promise<Object|null>} Webhook, or null if none can be used
+	 */
+	async getWebhook(channel) {
+		await this.getConfiguredWebhook()
+
+		if (this.webhooks.has(channel.id)) {
+			return this.webhooks.get(channel.id)
+		}
+
+		if (!channel.permissionsFor?.(this.client.user)?.has(PermissionFlagsBits.ManageWebhooks)) {
+			return null
+		}
+
+		try {
+			const existing = await channel.fetchWebhooks()
+			const webhook = existing.find(hook => hook.owner?.id === this.client.user.id && hook.token) ||
+				await channel.createWebhook({ name: this.client.user.username, reason: 'Social media announcements' })
+
+			this.webhooks.set(channel.id, webhook)
+			return webhook
+
+		} catch (error) {
+			logger.warn(`Failed to set up a webhook in channel ${channel.id}: ${error.message}`)
+			return null
+		}
+	}
+
+	/**
+	 * Find a webhook by ID, to edit a message posted through it
+	 * @param {string} webhookId - Webhook ID
+	 * @returns {Promise<Object>} Webhook
+	 */
+	async getWebhookById(webhookId) {
+		await this.getConfiguredWebhook()
+
+		const cached = [...this.webhooks.values()].find(webhook => webhook.id === webhookId)
+		if (cached) {
+			return cached
+		}
+
+		// Webhooks created by the bot come with their token
+		const webhook = await this.client.fetchWebhook(webhookId)
+		this.webhooks.set(webhook.channelId, webhook)
+		return webhook
+	}
+
+	/**
+	 * Publish an announcement to the servers following its Announcement channel
+	 * Called by the crosspost queue; webhook posts need Manage Messages
+	 * @param {Object} job - Queued crosspost with channelId and messageId
+	 * @returns {Promise<void>}
+	 */
+	async crosspostMessage({ channelId, messageId }) {
+		if (!this.isReady) {
+			throw new Error('Discord bot not ready')
+		}
+
+		const channel = await this.client.channels.fetch(channelId)
+		const message = await channel.messages.fetch(messageId)
+
+		if (message.flags.has('Crossposted')) {
+			return
+		}
+
+		// Same code as Discord's own error, so the queue doesn't retry
+		if (!message.crosspostable) {
+			throw Object.assign(new Error(`Missing permissions to publish message ${messageId}`), { code: 50013 })
+		}
+
+		await message.crosspost()
+	}
+
+	/**
+	 * Create a Guild Scheduled Event for upcoming content
+	 * Skipped when the bot can't manage events in the guild or the start is too close
+	 * @param {Object} guild - Discord guild
+	 * @param {Object} details - Event details from the provider's getScheduledEvent()
+	 * @returns {Promise<string|null>} Event ID
+	 */
+	async createScheduledEvent(guild, details) {
+		if (details?.status !== 'scheduled' || details.scheduledStartTime.getTime() < Date.now() + 60 * 1000) {
+			return null
+		}
+
+		if (!guild.members.me?.permissions.has(PermissionFlagsBits.ManageEvents)) {
+			logger.debug(`No Manage Events permission in guild ${guild.id}, skipping scheduled event`)
+			return null
+		}
+
+		try {
+			const event = await guild.scheduledEvents.create({
+				name: details.name,
+				description: details.description,
+				scheduledStartTime: details.scheduledStartTime,
+				scheduledEndTime: details.scheduledEndTime,
+				privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+				entityType: GuildScheduledEventEntityType.External,
+				entityMetadata: { location: details.location.substring(0, 100) },
+				image: details.image || undefined
+			})
+
+			logger.info(`Created scheduled event ${event.id} in guild ${guild.id}`)
+			return event.id
+
+		} catch (error) {
+			logger.warn(`Failed to create scheduled event in guild ${guild.id}: ${error.message}`)
+			return null
+		}
+	}
+
+	/**
+	 * Bring a Guild Scheduled Event in line with its content
+	 * The event follows a changed start time, starts when the content goes
+	 * live, completes when it ends and is cancelled when the content is gone
+	 * @param {Object} notification - Sent notification row with a scheduled_event_id
+	 * @param {Object|null} details - Event details, or null if the content no longer exists
+	 * @returns {Promise<void>}
+	 */
+	async syncScheduledEvent(notification, details) {
+		try {
+			const guild = await this.client.guilds.fetch(notification.guild_id)
+			const event = await guild.scheduledEvents.fetch(notification.scheduled_event_id)
+
+			if (details?.status === 'scheduled' && event.isScheduled()) {
+				await event.edit({
+					name: details.name,
+					description: details.description,
+					scheduledStartTime: details.scheduledStartTime,
+					scheduledEndTime: details.scheduledEndTime,
+					entityMetadata: { location: details.location.substring(0, 100) }
+				})
+			} else if (details?.status === 'active' && event.isScheduled()) {
+				await event.setStatus(GuildScheduledEventStatus.Active)
+			} else if (details?.status === 'completed' && event.isActive()) {
+				await event.setStatus(GuildScheduledEventStatus.Completed)
+			} else if ((!details || details.status === 'completed') && event.isScheduled()) {
+				await event.setStatus(GuildScheduledEventStatus.Canceled)
+				logger.info(`Cancelled scheduled event ${event.id} in guild ${guild.id}`)
+			}
+
+		} catch (error) {
+			logger.warn(`Failed to update scheduled event ${notification.scheduled_event_id} in guild ${notification.guild_id}: ${error.message}`)
+		}
+	}
+
+	/**
+	 * Cancel the scheduled events of content that no longer exists
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} contentId - Content ID
+	 * @returns {Promise<void>}
+	 */
+	async cancelScheduledEvents(sourceId, contentId) {
+		if (!this.isReady) {
+			return
+		}
+
+		const notifications = await database.getSentNotifications(sourceId, contentId)
+		for (const notification of notifications) {
+			if (notification.scheduled_event_id) {
+				await this.syncScheduledEvent(notification, null)
+			}
+		}
+	}
+
+	/**
+	 * Post the digests of content collected for digest sources
+	 * Every channel gets its own digest; items stay queued when posting fails
+	 * @param {string} guildId - Only post this guild's digests (optional)
+	 * @returns {Promise<Object>} Number of posted and failed items
+	 */
+	async sendDigests(guildId = null) {
+		if (!this.isReady) {
+			throw new Error('Discord bot not ready')
+		}
+
+		const items = await database.getDigestItems(guildId)
+		const byChannel = new Map()
+		for (const item of items) {
+			const key = `${item.guild_id}:${item.channel_id}`
+			byChannel.set(key, [...(byChannel.get(key) || []), item])
+		}
+
+		let posted = 0
+		let failed = 0
+
+		for (const channelItems of byChannel.values()) {
+			const [{ guild_id: itemGuildId, channel_id: channelId }] = channelItems
+			let sent = 0
+
+			try {
+				const channel = await this.getDigestChannel(channelItems[0])
+				if (!channel) {
+					throw new Error('No announcement channel available')
+				}
+
+				const title = `Digest of ${new Intl.DateTimeFormat('en', { dateStyle: 'medium', timeZone: config.bot.digest.timezone }).format(new Date())}`
+				let thread = null
+
+				// Items are removed per message, so a failed part doesn't post the earlier ones again
+				for (const { message, items: messageItems } of buildDigestMessages(channelItems, title)) {
+					const messageOptions = { ...message, allowedMentions: { parse: [] } }
+
+					// Forum channels get a post per digest
+					if (channel.type === ChannelType.GuildForum && !thread) {
+						thread = await channel.threads.create({ name: title, message: messageOptions })
+					} else if (thread) {
+						await thread.send(messageOptions)
+					} else {
+						await channel.send(messageOptions)
+					}
+
+					sent += messageItems.length
+					await database.removeDigestItems(messageItems.map(item => item.id))
+				}
+
+				posted += channelItems.length
+				logger.info(`Posted digest of ${channelItems.length} item(s) in channel ${channel.id} of guild ${itemGuildId}`)
+
+			} catch (error) {
+				posted += sent
+				failed += channelItems.length - sent
+				logger.error(`Failed to post digest in channel ${channelId} of guild ${itemGuildId}: ${error.message}`)
+			}
+		}
+
+		return { posted, failed }
+	}
+
+	/**
+	 * Get the channel to post a digest in
+	 * Falls back to the source's announcement channel when the original one is gone
+	 * @param {Object} item - Digest item row
+	 * @returns {Promise<Object|null>} Discord channel
+	 */
+	async getDigestChannel(item) {
+		try {
+			const channel = await this.client.channels.fetch(item.channel_id)
+			if (channel?.guildId === item.guild_id) {
+				return channel
+			}
+		} catch (error) {
+			logger.warn(`Digest channel ${item.channel_id} of guild ${item.guild_id} is unavailable: ${error.message}`)
+		}
+
+		return this.resolveAnnouncementChannel(item.guild_id, item.source_id, item.platform)
+	}
+
+	/**
+	 * Send a custom message to the announcement channel
+	 * @param {string} content - Message content
+	 * @param {Object} embed - Optional embed object
+	 * @returns {Promise<Object>} Send result
+	 */
+	async sendMessage(content, embed = null) {
+		try {
+			if (!this.isReady) {
+				throw new Error('Discord bot not ready')
+			}
+
+			if (!this.announcementChannel) {
+				throw new Error('No announcement channel configured (ANNOUNCEMENT_CHANNEL_ID)')
+			}
+
+			const messageOptions = { content }
+			if (embed) {
+				messageOptions.embeds = [embed]
+			}
+
+			const message = await this.announcementChannel.send(messageOptions)
+
+			return {
+				success: true,
+				messageId: message.id,
+				channelId: this.announcementChannel.id
+			}
+
+		} catch (error) {
+			logger.error(`Failed to send message: ${error.message}`)
+			throw error
+		}
+	}
+
+	/**
+	 * Check if bot is ready
+	 * @returns {boolean} Ready status
+	 */
+	isReady() {
+		return this.isReady && this.client?.isReady()
+	}
+
+	/**
+	 * Gracefully shutdown the Discord bot
+	 * @returns {Promise<void>}
+	 */
+	async shutdown() {
+		try {
+			this.crosspostQueue.stop()
+
 			if (this.client) {
 				logger.info('Shutting down Discord bot...')
 				await this.client.destroy()
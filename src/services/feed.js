@@ -0,0 +1,414 @@
+import Parser from 'rss-parser'
+import { config } from '../config/config.js'
+import { createServiceLogger } from '../utils/logger.js'
+import { database } from '../database/database.js'
+import { createSource } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
+
+const logger = createServiceLogger('feed')
+
+const FEED_ICON_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/43/Feed-icon.svg/32px-Feed-icon.svg.png'
+const IMAGE_EXTENSION_PATTERN = /\.(jpe?g|png|gif|webp)(\?.*)?$/i
+
+/**
+ * Feed service for RSS and Atom feeds (blogs, Substack, podcasts, changelogs, ...)
+ */
+class FeedService {
+	constructor() {
+		// Provider metadata, see services/registry.js
+		this.id = 'feed'
+		this.displayName = 'Feed'
+		this.emoji = '📰'
+		this.parser = new Parser({
+			timeout: 10000,
+			headers: {
+				'User-Agent': 'Mozilla/5.0 (compatible; InfoBot/1.0)'
+			},
+			customFields: {
+				item: [
+					['media:content', 'mediaContent'],
+					['media:thumbnail', 'mediaThumbnail']
+				]
+			}
+		})
+	}
+
+	/**
+	 * Get the feeds configured in the environment
+	 * @returns {Array<Object>} Source objects
+	 */
+	getConfiguredSources() {
+		const urls = config.socialMedia.feed.urls
+		return [...new Set(urls)].map(url => createSource('feed', url))
+	}
+
+	/**
+	 * Get all feeds to monitor, including feeds any guild subscribed to with /subscribe
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources() {
+		const sources = this.getConfiguredSources()
+		for (const source of subscriptionManager.getSources('feed')) {
+			if (!sources.some(existing => existing.id === source.id)) {
+				sources.push(source)
+			}
+		}
+
+		return sources
+	}
+
+	/**
+	 * Check if feed service is configured
+	 * @returns {boolean} True if configured
+	 */
+	isConfigured() {
+		return this.getSources().length > 0
+	}
+
+	/**
+	 * Fetch and parse a feed
+	 * @param {Object} source - Source object (account is the feed URL)
+	 * @returns {Promise<Object>} Result object with success status, feed info and items
+	 */
+	async getLatestItems(source) {
+		try {
+			const feed = await this.parser.parseURL(source.account)
+
+			const info = {
+				title: feed.title || source.account,
+				link: feed.link || source.account,
+				image: feed.image?.url || feed.itunes?.image || null
+			}
+
+			const items = feed.items
+				.map(item => this.parseItem(item, info, source))
+				.filter(item => item.id)
+
+			// Most feeds list the newest item first, but not all of them do
+			if (items.every(item => item.publishedAt)) {
+				items.sort((a, b) => b.publishedAt - a.publishedAt)
+			}
+
+			logger.info(`Fetched ${items.length} items from feed ${source.account}`)
+			return {
+				success: true,
+				feed: info,
+				items,
+				count: items.length
+			}
+
+		} catch (error) {
+			logger.error(`Failed to fetch feed ${source.account}: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				items: []
+			}
+		}
+	}
+
+	/**
+	 * Convert a parsed feed item into a content object
+	 * The guid (or Atom id) identifies the item, falling back to its link
+	 * @param {Object} item - Item from rss-parser
+	 * @param {Object} feed - Feed title, link and image
+	 * @param {Object} source - Source object
+	 * @returns {Object} Content object
+	 */
+	parseItem(item, feed, source) {
+		const date = item.isoDate || item.pubDate
+		const publishedAt = date ? new Date(date) : null
+
+		return {
+			id: item.guid || item.id || item.link,
+			title: item.title || 'Untitled',
+			summary: item.contentSnippet || item.summary || '',
+			author: item.creator || item.author || item.itunes?.author || null,
+			image: this.getItemImage(item) || feed.image,
+			publishedAt: publishedAt && !isNaN(publishedAt) ? publishedAt : null,
+			url: item.link || feed.link,
+			feedTitle: feed.title,
+			feedLink: feed.link,
+			feedImage: feed.image,
+			feedUrl: source.account,
+			sourceId: source.id,
+			platform: 'feed'
+		}
+	}
+
+	/**
+	 * Find an image for a feed item
+	 * Prefers image enclosures, then Media RSS content/thumbnails, then the episode artwork
+	 * @param {Object} item - Item from rss-parser
+	 * @returns {string|null} Image URL
+	 */
+	getItemImage(item) {
+		const enclosure = item.enclosure
+		if (enclosure?.url && (enclosure.type?.startsWith('image/') || IMAGE_EXTENSION_PATTERN.test(enclosure.url))) {
+			return enclosure.url
+		}
+
+		const media = item.mediaContent?.$
+		if (media?.url && (media.medium === 'image' || media.type?.startsWith('image/') || IMAGE_EXTENSION_PATTERN.test(media.url))) {
+			return media.url
+		}
+
+		return item.mediaThumbnail?.$?.url || item.itunes?.image || null
+	}
+
+	/**
+	 * Get feed information
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Feed information
+	 */
+	async getFeedInfo(source) {
+		const result = await this.getLatestItems(source)
+
+		if (!result.success) {
+			return {
+				success: false,
+				error: result.error
+			}
+		}
+
+		return {
+			success: true,
+			feed: {
+				...result.feed,
+				itemCount: result.count
+			}
+		}
+	}
+
+	/**
+	 * Fetch content that hasn't been announced yet
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchNew() {
+		return this.checkForNewItems()
+	}
+
+	/**
+	 * Fetch content of some sources only, so each source can be checked on its own interval
+	 * @param {Array<Object>} sources - Source objects to check
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchSources(sources) {
+		return this.checkForNewItems(sources)
+	}
+
+	/**
+	 * Check all configured feeds for new items since last check
+	 * @param {Array<Object>} sources - Sources to check (defaults to all feeds)
+	 * @returns {Promise<Object>} Result with new items
+	 */
+	async checkForNewItems(sources = this.getSources()) {
+		try {
+			if (!this.isConfigured()) {
+				return {
+					success: false,
+					error: 'Feed service not configured',
+					newContent: []
+				}
+			}
+
+			const sourceResults = []
+			for (const source of sources) {
+				sourceResults.push(await this.checkSource(source))
+			}
+
+			const newContent = sourceResults.flatMap(result => result.newContent)
+			const failed = sourceResults.filter(result => !result.success)
+
+			logger.info(`Found ${newContent.length} new feed items across ${sourceResults.length} feed(s)`)
+
+			return {
+				success: failed.length === 0,
+				error: failed.length > 0
+					? failed.map(result => `${result.account}: ${result.error}`).join('; ')
+					: undefined,
+				newContent,
+				totalChecked: sourceResults.reduce((total, result) => total + (result.totalChecked || 0), 0),
+				sources: sourceResults,
+				platform: 'feed'
+			}
+
+		} catch (error) {
+			logger.error(`Error checking for new feed items: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Check a single feed for new items since its last check
+	 * Items listed above the newest item of the previous check are new. When
+	 * that item is gone (or on the first check) dated items from the last 24
+	 * hours are used instead, so undated history isn't announced.
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Result with new items for this source
+	 */
+	async checkSource(source) {
+		try {
+			const lastUpdate = await database.getLastUpdate(source.id)
+			const lastCheckTime = lastUpdate?.last_content_timestamp
+				? new Date(lastUpdate.last_content_timestamp)
+				: new Date(Date.now() - 24 * 60 * 60 * 1000) // Default to 24 hours ago
+
+			const result = await this.getLatestItems(source)
+
+			if (!result.success) {
+				return {
+					success: false,
+					error: result.error,
+					sourceId: source.id,
+					account: source.account,
+					newContent: []
+				}
+			}
+
+			// Filter for new items
+			const lastIndex = lastUpdate?.last_content_id
+				? result.items.findIndex(item => item.id === lastUpdate.last_content_id)
+				: -1
+			const newItems = lastIndex >= 0
+				? result.items.slice(0, lastIndex)
+				: result.items.filter(item => item.publishedAt && item.publishedAt > lastCheckTime)
+
+			// Filter out already sent notifications
+			const unseenItems = []
+			for (const item of newItems) {
+				const alreadySent = await database.isNotificationSent(source.id, item.id)
+				if (!alreadySent) {
+					unseenItems.push(item)
+				}
+			}
+
+			// Update last check time
+			const latestItem = result.items[0]
+			if (latestItem) {
+				await database.updateLastCheck(
+					source.id,
+					latestItem.id,
+					latestItem.publishedAt?.toISOString() || lastUpdate?.last_content_timestamp || new Date().toISOString()
+				)
+			} else {
+				await database.updateLastCheck(source.id, null, null)
+			}
+
+			logger.info(`Found ${unseenItems.length} new items in feed ${source.account}`)
+
+			return {
+				success: true,
+				sourceId: source.id,
+				account: source.account,
+				newContent: unseenItems,
+				totalChecked: result.items.length
+			}
+
+		} catch (error) {
+			logger.error(`Error checking feed ${source.account}: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				sourceId: source.id,
+				account: source.account,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Format feed item for Discord embed
+	 * @param {Object} item - Feed item object
+	 * @returns {Object} Discord embed object
+	 */
+	formatForDiscord(item) {
+		const embed = {
+			author: {
+				name: item.author ? `${item.author} • ${item.feedTitle}` : item.feedTitle,
+				url: item.feedLink,
+				icon_url: item.feedImage || FEED_ICON_URL
+			},
+			title: item.title,
+			description: this.truncateSummary(item.summary, 300),
+			url: item.url,
+			color: 0xF26522, // Feed orange
+			footer: {
+				text: item.publishedAt
+					? `${item.feedTitle} • ${new Date(item.publishedAt).toLocaleDateString('en-US', {
+						month: 'numeric',
+						day: 'numeric',
+						year: 'numeric',
+						hour: 'numeric',
+						minute: '2-digit',
+						hour12: true
+					})}`
+					: item.feedTitle,
+				icon_url: FEED_ICON_URL
+			}
+		}
+
+		if (item.image) {
+			embed.image = {
+				url: item.image
+			}
+		}
+
+		if (item.publishedAt) {
+			embed.timestamp = item.publishedAt.toISOString()
+		}
+
+		return embed
+	}
+
+	/**
+	 * Get the values announcement templates can use for a feed item
+	 * @param {Object} item - Feed item object
+	 * @returns {Object} Values keyed by placeholder name
+	 */
+	getTemplateVariables(item) {
+		return {
+			description: item.summary?.replace(/\s+/g, ' ').trim() || null,
+			channel: item.feedTitle,
+			author: item.author
+		}
+	}
+
+	/**
+	 * Truncate summary to specified length
+	 * @param {string} summary - Item summary
+	 * @param {number} maxLength - Maximum length
+	 * @returns {string} Truncated summary
+	 */
+	truncateSummary(summary, maxLength = 300) {
+		if (!summary) return 'No summary available'
+
+		const text = summary.replace(/\s+/g, ' ').trim()
+		if (text.length <= maxLength) {
+			return text
+		}
+
+		return text.substring(0, maxLength).trim() + '...'
+	}
+
+	/**
+	 * Check that an account can be monitored before subscribing to it
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Validation result
+	 */
+	async validateSource(source) {
+		const info = await this.getFeedInfo(source)
+		return info.success
+			? { success: true }
+			: { success: false, error: `Could not read feed \`${source.account}\`: ${info.error}` }
+	}
+}
+
+// Create and export singleton instance
+const feedService = new FeedService()
+
+export { feedService, FeedService } 
\ No newline at end of file
@@ -3,6 +3,8 @@ import * as cheerio from 'cheerio'
 import { config } from '../config/config.js'
 import { createServiceLogger } from '../utils/logger.js'
 import { database } from '../database/database.js'
+import { createSource, normalizeAccount } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
 
 const logger = createServiceLogger('instagram')
 
@@ -12,7 +14,11 @@ const logger = createServiceLogger('instagram')
  */
 class InstagramService {
 	constructor() {
-		this.username = config.socialMedia.instagram.username
+		// Provider metadata, see services/registry.js
+		this.id = 'instagram'
+		this.displayName = 'Instagram'
+		this.emoji = '📸'
+		this.username = normalizeAccount('instagram', config.socialMedia.instagram.username)
 		this.accessToken = config.socialMedia.instagram.accessToken
 		this.baseUrl = 'https://www.instagram.com'
 		this.rateLimitDelay = 10000 // 10 seconds between requests (increased)
@@ -21,12 +27,37 @@ class InstagramService {
 		this.maxRetries = 3
 	}
 
+	/**
+	 * Get the Instagram profile configured in the environment
+	 * @returns {Array<Object>} Source objects
+	 */
+	getConfiguredSources() {
+		return this.username ? [createSource('instagram', this.username)] : []
+	}
+
+	/**
+	 * Get all Instagram profiles to monitor, including profiles any guild
+	 * subscribed to with /subscribe
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources() {
+		const sources = this.getConfiguredSources()
+
+		for (const source of subscriptionManager.getSources('instagram')) {
+			if (!sources.some(existing => existing.id === source.id)) {
+				sources.push(source)
+			}
+		}
+
+		return sources
+	}
+
 	/**
 	 * Check if Instagram service is configured
 	 * @returns {boolean} True if configured
 	 */
 	isConfigured() {
-		return !!this.username
+		return this.getSources().length > 0
 	}
 
 	/**
@@ -60,20 +91,21 @@ class InstagramService {
 
 	/**
 	 * Fetch Instagram profile page and extract post data
+	 * @param {string} username - Instagram username
 	 * @returns {Promise<Object>} Result with posts data
 	 */
-	async scrapeProfile() {
+	async scrapeProfile(username) {
 		let attempt = 0
 		
 		while (attempt < this.maxRetries) {
 			try {
-				if (!this.isConfigured()) {
+				if (!username) {
 					throw new Error('Instagram service not configured')
 				}
 
 				await this.respectRateLimit()
 
-				const profileUrl = `${this.baseUrl}/${this.username}/`
+				const profileUrl = `${this.baseUrl}/${username}/`
 				
 				const response = await axios.get(profileUrl, {
 					headers: {
@@ -125,12 +157,12 @@ class InstagramService {
 
 				if (!jsonData) {
 					// Fallback: try to extract basic info from meta tags
-					const result = this.extractBasicInfo($)
+					const result = this.extractBasicInfo($, username)
 					this.failureCount = 0 // Reset on success
 					return result
 				}
 
-				const result = this.parseInstagramData(jsonData)
+				const result = this.parseInstagramData(jsonData, username)
 				this.failureCount = 0 // Reset on success
 				return result
 
@@ -170,9 +202,10 @@ class InstagramService {
 	/**
 	 * Extract basic info from meta tags as fallback
 	 * @param {Object} $ - Cheerio instance
+	 * @param {string} username - Instagram username
 	 * @returns {Object} Basic profile info
 	 */
-	extractBasicInfo($) {
+	extractBasicInfo($, username) {
 		const profileImage = $('meta[property="og:image"]').attr('content')
 		const description = $('meta[property="og:description"]').attr('content')
 		
@@ -182,7 +215,7 @@ class InstagramService {
 			success: true,
 			posts: [],
 			profile: {
-				username: this.username,
+				username,
 				profileImage,
 				description
 			},
@@ -193,9 +226,10 @@ class InstagramService {
 	/**
 	 * Parse Instagram JSON data to extract posts
 	 * @param {Object} data - Instagram JSON data
+	 * @param {string} username - Instagram username the data belongs to
 	 * @returns {Object} Parsed posts data
 	 */
-	parseInstagramData(data) {
+	parseInstagramData(data, username) {
 		try {
 			let posts = []
 			let profile = {}
@@ -235,6 +269,8 @@ class InstagramService {
 							commentsCount: node.edge_media_to_comment?.count || 0,
 							timestamp: new Date(node.taken_at_timestamp * 1000),
 							url: `${this.baseUrl}/p/${node.shortcode}/`,
+							username: user.username || username,
+							sourceId: createSource('instagram', username).id,
 							platform: 'instagram'
 						}
 					})
@@ -261,10 +297,28 @@ class InstagramService {
 	}
 
 	/**
-	 * Check for new posts since last check
+	 * Fetch content that hasn't been announced yet
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchNew() {
+		return this.checkForNewPosts()
+	}
+
+	/**
+	 * Fetch content of some sources only, so each source can be checked on its own interval
+	 * @param {Array<Object>} sources - Source objects to check
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchSources(sources) {
+		return this.checkForNewPosts(sources)
+	}
+
+	/**
+	 * Check all monitored profiles for new posts since last check
+	 * @param {Array<Object>} sources - Sources to check (defaults to all profiles)
 	 * @returns {Promise<Object>} Result with new posts
 	 */
-	async checkForNewPosts() {
+	async checkForNewPosts(sources = this.getSources()) {
 		try {
 			if (!this.isConfigured()) {
 				return {
@@ -274,19 +328,62 @@ class InstagramService {
 				}
 			}
 
-			// Get last update info
-			const lastUpdate = await database.getLastUpdate('instagram')
+			const sourceResults = []
+			for (const source of sources) {
+				sourceResults.push(await this.checkSource(source))
+			}
+
+			const newContent = sourceResults.flatMap(result => result.newContent)
+			const failed = sourceResults.filter(result => !result.success)
+
+			logger.info(`Found ${newContent.length} new Instagram posts across ${sourceResults.length} profile(s)`)
+
+			return {
+				success: failed.length === 0,
+				error: failed.length > 0
+					? failed.map(result => `@${result.account}: ${result.error}`).join('; ')
+					: undefined,
+				newContent,
+				totalChecked: sourceResults.reduce((total, result) => total + (result.totalChecked || 0), 0),
+				sources: sourceResults,
+				platform: 'instagram'
+			}
+
+		} catch (error) {
+			logger.error(`Error checking for new Instagram posts: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Check a single profile for new posts since its last check
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Result with new posts for this source
+	 */
+	async checkSource(source) {
+		try {
+			// Get last update info; the configured profile falls back to the pre
+			// multi-profile 'instagram' row, profiles added later start fresh
+			const isLegacy = this.getConfiguredSources().some(configured => configured.id === source.id)
+			const lastUpdate = await database.getLastUpdate(source.id) ||
+				(isLegacy ? await database.getLastUpdate('instagram') : null)
 			const lastCheckTime = lastUpdate?.last_content_timestamp 
 				? new Date(lastUpdate.last_content_timestamp)
 				: new Date(Date.now() - 24 * 60 * 60 * 1000) // Default to 24 hours ago
 
 			// Scrape profile
-			const result = await this.scrapeProfile()
+			const result = await this.scrapeProfile(source.account)
 			
 			if (!result.success) {
 				return {
 					success: false,
 					error: result.error,
+					sourceId: source.id,
+					account: source.account,
 					newContent: []
 				}
 			}
@@ -299,7 +396,7 @@ class InstagramService {
 			// Filter out already sent notifications
 			const unseenPosts = []
 			for (const post of newPosts) {
-				const alreadySent = await database.isNotificationSent('instagram', post.id)
+				const alreadySent = await database.isNotificationSent(source.id, post.id)
 				if (!alreadySent) {
 					unseenPosts.push(post)
 				}
@@ -309,30 +406,31 @@ class InstagramService {
 			const latestPost = result.posts[0]
 			if (latestPost) {
 				await database.updateLastCheck(
-					'instagram',
+					source.id,
 					latestPost.id,
 					latestPost.timestamp.toISOString()
 				)
 			} else {
-				// Update check time even when no posts found to mark platform as active
-				await database.updateLastCheck('instagram', null, null)
+				// Update check time even when no posts found to mark source as active
+				await database.updateLastCheck(source.id, null, null)
 			}
 
-			logger.info(`Found ${unseenPosts.length} new Instagram posts`)
+			logger.info(`Found ${unseenPosts.length} new Instagram posts for @${source.account}`)
 			
 			return {
 				success: true,
+				sourceId: source.id,
+				account: source.account,
 				newContent: unseenPosts,
-				totalChecked: result.posts.length,
-				platform: 'instagram'
+				totalChecked: result.posts.length
 			}
 
 		} catch (error) {
-			logger.error(`Error checking for new Instagram posts: ${error.message}`)
+			logger.error(`Error checking Instagram profile @${source.account}: ${error.message}`)
 			
-			// Still update database to mark platform as checked, even on error
+			// Still update database to mark source as checked, even on error
 			try {
-				await database.updateLastCheck('instagram', null, null)
+				await database.updateLastCheck(source.id, null, null)
 			} catch (dbError) {
 				logger.error(`Failed to update database after Instagram error: ${dbError.message}`)
 			}
@@ -342,6 +440,8 @@ class InstagramService {
 				error: error.message.includes('Rate limited') 
 					? 'Instagram temporarily rate limited - will retry later'
 					: error.message,
+				sourceId: source.id,
+				account: source.account,
 				newContent: []
 			}
 		}
@@ -354,14 +454,15 @@ class InstagramService {
 	 */
 	formatForDiscord(post) {
 		const postType = post.isVideo ? 'video' : 'post'
+		const username = post.username || this.username
 		
 		const embed = {
 			author: {
-				name: `@${this.username}`,
+				name: `@${username}`,
 				icon_url: 'https://www.instagram.com/static/images/ico/favicon-192.png/68d99ba29cc8.png'
 			},
 			title: `New Instagram ${postType}!`,
-			description: `@${this.username} posted a new ${postType} on Instagram!\n\n**Caption**\n${this.truncateCaption(post.caption, 200)}`,
+			description: `@${username} posted a new ${postType} on Instagram!\n\n**Caption**\n${this.truncateCaption(post.caption, 200)}`,
 			url: post.url,
 			color: 0xE4405F, // Instagram pink
 			image: {
@@ -389,6 +490,22 @@ class InstagramService {
 		return embed
 	}
 
+	/**
+	 * Get the values announcement templates can use for a post
+	 * @param {Object} post - Instagram post object
+	 * @returns {Object} Values keyed by placeholder name
+	 */
+	getTemplateVariables(post) {
+		return {
+			description: post.caption || null,
+			channel: `@${post.username || this.username}`,
+			image: post.imageUrl || null,
+			publishedAt: post.timestamp,
+			likes: post.likesCount ?? null,
+			comments: post.commentsCount ?? null
+		}
+	}
+
 	/**
 	 * Truncate caption to specified length
 	 * @param {string} caption - Post caption
@@ -407,11 +524,12 @@ class InstagramService {
 
 	/**
 	 * Get profile information
+	 * @param {string} username - Instagram username (defaults to INSTAGRAM_USERNAME)
 	 * @returns {Promise<Object>} Profile information
 	 */
-	async getProfileInfo() {
+	async getProfileInfo(username = this.username) {
 		try {
-			const result = await this.scrapeProfile()
+			const result = await this.scrapeProfile(username)
 			
 			if (result.success && result.profile) {
 				return {
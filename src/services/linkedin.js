@@ -3,6 +3,8 @@ import * as cheerio from 'cheerio'
 import { config } from '../config/config.js'
 import { createServiceLogger } from '../utils/logger.js'
 import { database } from '../database/database.js'
+import { createSource, normalizeAccount } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
 
 const logger = createServiceLogger('linkedin')
 
@@ -12,18 +14,50 @@ const logger = createServiceLogger('linkedin')
  */
 class LinkedInService {
 	constructor() {
+		// Provider metadata, see services/registry.js
+		this.id = 'linkedin'
+		this.displayName = 'LinkedIn'
+		this.emoji = '💼'
 		this.profileUrl = config.socialMedia.linkedin.profileUrl
 		this.accessToken = config.socialMedia.linkedin.accessToken
 		this.rateLimitDelay = 3000 // 3 seconds between requests
 		this.lastRequestTime = 0
 	}
 
+	/**
+	 * Get the LinkedIn profile configured in the environment
+	 * @returns {Array<Object>} Source objects with their profile URL
+	 */
+	getConfiguredSources() {
+		if (!this.profileUrl) return []
+
+		const account = this.getUsername() || this.profileUrl
+		return [{ ...createSource('linkedin', account), profileUrl: this.profileUrl }]
+	}
+
+	/**
+	 * Get all LinkedIn profiles to monitor, including profiles any guild
+	 * subscribed to with /subscribe
+	 * @returns {Array<Object>} Source objects with their profile URL
+	 */
+	getSources() {
+		const sources = this.getConfiguredSources()
+
+		for (const source of subscriptionManager.getSources('linkedin')) {
+			if (!sources.some(existing => existing.id === source.id)) {
+				sources.push({ ...source, profileUrl: this.getProfileUrl(source.account) })
+			}
+		}
+
+		return sources
+	}
+
 	/**
 	 * Check if LinkedIn service is configured
 	 * @returns {boolean} True if configured
 	 */
 	isConfigured() {
-		return !!this.profileUrl
+		return this.getSources().length > 0
 	}
 
 	/**
@@ -52,29 +86,39 @@ class LinkedInService {
 
 	/**
 	 * Extract username from LinkedIn profile URL
+	 * @param {string} profileUrl - Profile URL (defaults to LINKEDIN_PROFILE_URL)
 	 * @returns {string} LinkedIn username
 	 */
-	getUsername() {
-		if (!this.profileUrl) return null
+	getUsername(profileUrl = this.profileUrl) {
+		if (!profileUrl) return null
 		
-		const match = this.profileUrl.match(/linkedin\.com\/in\/([^\/]+)/)
-		return match ? match[1] : null
+		return normalizeAccount('linkedin', profileUrl)
+	}
+
+	/**
+	 * Build the public profile URL for a username
+	 * @param {string} username - LinkedIn username
+	 * @returns {string} Profile URL
+	 */
+	getProfileUrl(username) {
+		return `https://www.linkedin.com/in/${username}/`
 	}
 
 	/**
 	 * Scrape LinkedIn profile for recent activity
+	 * @param {Object} source - Source object with profile URL
 	 * @returns {Promise<Object>} Result with posts data
 	 */
-	async scrapeProfile() {
+	async scrapeProfile(source) {
 		try {
-			if (!this.isConfigured()) {
+			if (!source?.profileUrl) {
 				throw new Error('LinkedIn service not configured')
 			}
 
 			await this.respectRateLimit()
 
 			// LinkedIn heavily restricts scraping, so we'll try a basic approach
-			const response = await axios.get(this.profileUrl, {
+			const response = await axios.get(source.profileUrl, {
 				headers: {
 					'User-Agent': this.getUserAgent(),
 					'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -90,10 +134,10 @@ class LinkedInService {
 			const $ = cheerio.load(response.data)
 			
 			// Extract basic profile information
-			const profile = this.extractProfileInfo($)
+			const profile = this.extractProfileInfo($, source)
 			
 			// Try to extract recent activity (limited due to LinkedIn's restrictions)
-			const posts = this.extractRecentActivity($)
+			const posts = this.extractRecentActivity($, source)
 
 			logger.info(`Extracted ${posts.length} LinkedIn posts`)
 			
@@ -109,16 +153,17 @@ class LinkedInService {
 			logger.error(`Failed to scrape LinkedIn profile: ${error.message}`)
 			
 			// If scraping fails, try RSS feed approach
-			return this.tryRSSFeed()
+			return this.tryRSSFeed(source)
 		}
 	}
 
 	/**
 	 * Extract profile information from LinkedIn page
 	 * @param {Object} $ - Cheerio instance
+	 * @param {Object} source - Source the page belongs to
 	 * @returns {Object} Profile information
 	 */
-	extractProfileInfo($) {
+	extractProfileInfo($, source) {
 		const name = $('h1').first().text().trim() || 
 					 $('meta[property="og:title"]').attr('content') || 
 					 'LinkedIn User'
@@ -135,17 +180,18 @@ class LinkedInService {
 			name,
 			headline,
 			profileImage,
-			profileUrl: this.profileUrl,
-			username: this.getUsername()
+			profileUrl: source.profileUrl,
+			username: source.account
 		}
 	}
 
 	/**
 	 * Extract recent activity from LinkedIn page (very limited)
 	 * @param {Object} $ - Cheerio instance
+	 * @param {Object} source - Source the page belongs to
 	 * @returns {Array} Array of posts
 	 */
-	extractRecentActivity($) {
+	extractRecentActivity($, source) {
 		const posts = []
 		
 		// LinkedIn's structure makes it very difficult to extract posts via scraping
@@ -162,7 +208,10 @@ class LinkedInService {
 						id: postId,
 						content: text,
 						timestamp: timestamp ? new Date(timestamp) : new Date(),
-						url: this.profileUrl,
+						url: source.profileUrl,
+						profileUrl: source.profileUrl,
+						username: source.account,
+						sourceId: source.id,
 						platform: 'linkedin',
 						type: 'post'
 					})
@@ -177,12 +226,13 @@ class LinkedInService {
 
 	/**
 	 * Try to get LinkedIn updates via RSS feed (if available)
+	 * @param {Object} source - Source object with profile URL
 	 * @returns {Promise<Object>} RSS feed result
 	 */
-	async tryRSSFeed() {
+	async tryRSSFeed(source) {
 		try {
 			// Some LinkedIn profiles have RSS feeds, but this is rare
-			const username = this.getUsername()
+			const username = source?.account
 			if (!username) {
 				throw new Error('Cannot extract username from profile URL')
 			}
@@ -196,7 +246,7 @@ class LinkedInService {
 				posts: [],
 				profile: {
 					username: username,
-					profileUrl: this.profileUrl
+					profileUrl: source.profileUrl
 				}
 			}
 
@@ -211,10 +261,28 @@ class LinkedInService {
 	}
 
 	/**
-	 * Check for new posts since last check
+	 * Fetch content that hasn't been announced yet
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchNew() {
+		return this.checkForNewPosts()
+	}
+
+	/**
+	 * Fetch content of some sources only, so each source can be checked on its own interval
+	 * @param {Array<Object>} sources - Source objects to check
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchSources(sources) {
+		return this.checkForNewPosts(sources)
+	}
+
+	/**
+	 * Check all monitored profiles for new posts since last check
+	 * @param {Array<Object>} sources - Sources to check (defaults to all profiles)
 	 * @returns {Promise<Object>} Result with new posts
 	 */
-	async checkForNewPosts() {
+	async checkForNewPosts(sources = this.getSources()) {
 		try {
 			if (!this.isConfigured()) {
 				return {
@@ -224,19 +292,63 @@ class LinkedInService {
 				}
 			}
 
-			// Get last update info
-			const lastUpdate = await database.getLastUpdate('linkedin')
+			const sourceResults = []
+			for (const source of sources) {
+				sourceResults.push(await this.checkSource(source))
+			}
+
+			const newContent = sourceResults.flatMap(result => result.newContent)
+			const failed = sourceResults.filter(result => !result.success)
+
+			logger.info(`Found ${newContent.length} new LinkedIn posts across ${sourceResults.length} profile(s)`)
+
+			return {
+				success: failed.length === 0,
+				error: failed.length > 0
+					? failed.map(result => `${result.account}: ${result.error}`).join('; ')
+					: undefined,
+				newContent,
+				totalChecked: sourceResults.reduce((total, result) => total + (result.totalChecked || 0), 0),
+				sources: sourceResults,
+				platform: 'linkedin',
+				message: sourceResults.find(result => result.message)?.message
+			}
+
+		} catch (error) {
+			logger.error(`Error checking for new LinkedIn posts: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Check a single profile for new posts since its last check
+	 * @param {Object} source - Source object with profile URL
+	 * @returns {Promise<Object>} Result with new posts for this source
+	 */
+	async checkSource(source) {
+		try {
+			// Get last update info; the configured profile falls back to the pre
+			// multi-profile 'linkedin' row, profiles added later start fresh
+			const isLegacy = this.getConfiguredSources().some(configured => configured.id === source.id)
+			const lastUpdate = await database.getLastUpdate(source.id) ||
+				(isLegacy ? await database.getLastUpdate('linkedin') : null)
 			const lastCheckTime = lastUpdate?.last_content_timestamp 
 				? new Date(lastUpdate.last_content_timestamp)
 				: new Date(Date.now() - 24 * 60 * 60 * 1000) // Default to 24 hours ago
 
 			// Scrape profile
-			const result = await this.scrapeProfile()
+			const result = await this.scrapeProfile(source)
 			
 			if (!result.success) {
 				return {
 					success: false,
 					error: result.error,
+					sourceId: source.id,
+					account: source.account,
 					newContent: []
 				}
 			}
@@ -249,7 +361,7 @@ class LinkedInService {
 			// Filter out already sent notifications
 			const unseenPosts = []
 			for (const post of newPosts) {
-				const alreadySent = await database.isNotificationSent('linkedin', post.id)
+				const alreadySent = await database.isNotificationSent(source.id, post.id)
 				if (!alreadySent) {
 					unseenPosts.push(post)
 				}
@@ -259,30 +371,33 @@ class LinkedInService {
 			const latestPost = result.posts[0]
 			if (latestPost) {
 				await database.updateLastCheck(
-					'linkedin',
+					source.id,
 					latestPost.id,
 					latestPost.timestamp.toISOString()
 				)
 			} else {
 				// Update check time even if no posts found
-				await database.updateLastCheck('linkedin')
+				await database.updateLastCheck(source.id)
 			}
 
-			logger.info(`Found ${unseenPosts.length} new LinkedIn posts`)
+			logger.info(`Found ${unseenPosts.length} new LinkedIn posts for ${source.account}`)
 			
 			return {
 				success: true,
+				sourceId: source.id,
+				account: source.account,
 				newContent: unseenPosts,
 				totalChecked: result.posts.length,
-				platform: 'linkedin',
 				message: result.message
 			}
 
 		} catch (error) {
-			logger.error(`Error checking for new LinkedIn posts: ${error.message}`)
+			logger.error(`Error checking LinkedIn profile ${source.account}: ${error.message}`)
 			return {
 				success: false,
 				error: error.message,
+				sourceId: source.id,
+				account: source.account,
 				newContent: []
 			}
 		}
@@ -297,12 +412,12 @@ class LinkedInService {
 		const embed = {
 			title: `💼 New LinkedIn Post`,
 			description: this.truncateContent(post.content, 400),
-			url: post.url || this.profileUrl,
+			url: post.url || post.profileUrl || this.profileUrl,
 			color: 0x0077B5, // LinkedIn blue
 			fields: [
 				{
 					name: '👤 Profile',
-					value: `[${this.getUsername() || 'LinkedIn User'}](${this.profileUrl})`,
+					value: `[${post.username || this.getUsername() || 'LinkedIn User'}](${post.profileUrl || this.profileUrl})`,
 					inline: true
 				},
 				{
@@ -321,6 +436,19 @@ class LinkedInService {
 		return embed
 	}
 
+	/**
+	 * Get the values announcement templates can use for a post
+	 * @param {Object} post - LinkedIn post object
+	 * @returns {Object} Values keyed by placeholder name
+	 */
+	getTemplateVariables(post) {
+		return {
+			description: post.content || null,
+			channel: post.username || this.getUsername() || null,
+			publishedAt: post.timestamp
+		}
+	}
+
 	/**
 	 * Truncate content to specified length
 	 * @param {string} content - Post content
@@ -339,11 +467,12 @@ class LinkedInService {
 
 	/**
 	 * Get profile information
+	 * @param {Object} source - Source object (defaults to LINKEDIN_PROFILE_URL)
 	 * @returns {Promise<Object>} Profile information
 	 */
-	async getProfileInfo() {
+	async getProfileInfo(source = this.getSources()[0]) {
 		try {
-			const result = await this.scrapeProfile()
+			const result = await this.scrapeProfile(source)
 			
 			if (result.success && result.profile) {
 				return {
@@ -0,0 +1,186 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { getPluginsPath } from '../config/config.js'
+import { createServiceLogger } from '../utils/logger.js'
+import { normalizeAccount } from '../utils/sources.js'
+import { youtubeService } from './youtube.js'
+import { instagramService } from './instagram.js'
+import { linkedinService } from './linkedin.js'
+import { twitchService } from './twitch.js'
+import { feedService } from './feed.js'
+
+const logger = createServiceLogger('registry')
+
+const REQUIRED_PROPERTIES = ['id', 'displayName', 'emoji']
+const REQUIRED_METHODS = ['isConfigured', 'fetchNew', 'formatForDiscord']
+const PLUGIN_EXTENSIONS = ['.js', '.mjs']
+
+/**
+ * Registry of platform providers
+ *
+ * A provider is an object with:
+ * - `id` - platform name used in source ids, routes and the database (e.g. `youtube`)
+ * - `displayName` and `emoji` - shown in Discord
+ * - `isConfigured()` - whether there is anything to check
+ * - `fetchNew()` - resolves to `{ success, error, newContent }`, where every
+ *   content item has an `id`, `url` and `sourceId`
+ * - `formatForDiscord(content)` - builds the embed for a content item
+ *
+ * Optional: `getSources()`, `getConfiguredSources()` (accounts from the
+ * environment), `normalizeAccount(input)` and `validateSource(source)` to
+ * support /subscribe, and `contentTypes` (labels keyed by the `type` set on
+ * content items) so guilds can pick which kinds of content to announce.
+ * Providers with `fetchSources(sources)` (like `fetchNew()`, for the given
+ * sources only) have every source checked on its own interval, the others
+ * are checked as a whole on the platform's interval.
+ * Content that keeps changing after it is announced (e.g. a scheduled stream)
+ * is tracked while `isInFlight(content)` is true; `refreshContent(items)`
+ * then resolves to the items' current state so the announcements can be
+ * edited, leaving out items that no longer exist. Providers with
+ * `getScheduledEvent(content)` get a Discord Scheduled Event per guild for
+ * content that happens at a set time, kept in sync while it is tracked.
+ * `getPersona(content)` overrides the name and avatar of webhook posts.
+ * `getTemplateVariables(content)` adds placeholder values for announcement
+ * templates (see utils/templates.js) on top of the ones read from the embed.
+ */
+class ProviderRegistry {
+	constructor() {
+		this.providers = new Map()
+		this.pluginsLoaded = false
+	}
+
+	/**
+	 * Register a provider
+	 * @param {Object} provider - Provider implementing the interface above
+	 * @returns {Object} The registered provider
+	 */
+	register(provider) {
+		const missing = [
+			...REQUIRED_PROPERTIES.filter(property => !provider?.[property]),
+			...REQUIRED_METHODS.filter(method => typeof provider?.[method] !== 'function')
+		]
+
+		if (missing.length > 0) {
+			throw new Error(`Provider ${provider?.id || '(unnamed)'} is missing: ${missing.join(', ')}`)
+		}
+
+		if (!/^[a-z0-9_-]+$/.test(provider.id)) {
+			throw new Error(`Provider id "${provider.id}" may only contain lowercase letters, digits, - and _`)
+		}
+
+		if (this.providers.has(provider.id)) {
+			throw new Error(`Provider ${provider.id} is already registered`)
+		}
+
+		this.providers.set(provider.id, provider)
+		return provider
+	}
+
+	/**
+	 * Get a provider by id
+	 * @param {string} id - Provider id
+	 * @returns {Object|undefined} Provider
+	 */
+	get(id) {
+		return this.providers.get(id)
+	}
+
+	/**
+	 * Get all registered providers
+	 * @returns {Array<Object>} Providers in registration order
+	 */
+	list() {
+		return [...this.providers.values()]
+	}
+
+	/**
+	 * Get the providers that have something to check
+	 * @returns {Array<Object>} Configured providers
+	 */
+	getConfigured() {
+		return this.list().filter(provider => provider.isConfigured())
+	}
+
+	/**
+	 * Get a provider's sources
+	 * @param {Object} provider - Provider
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources(provider) {
+		return provider.getSources?.() || []
+	}
+
+	/**
+	 * Get the sources a provider has configured in the environment
+	 * @param {Object} provider - Provider
+	 * @returns {Array<Object>} Source objects
+	 */
+	getConfiguredSources(provider) {
+		return provider.getConfiguredSources?.() || []
+	}
+
+	/**
+	 * Normalize an account entered by a user for a provider
+	 * @param {Object} provider - Provider
+	 * @param {string} input - Raw account
+	 * @returns {string|null} Normalized account, or null if it can't be parsed
+	 */
+	normalizeAccount(provider, input) {
+		if (typeof provider.normalizeAccount === 'function') {
+			return provider.normalizeAccount(input)
+		}
+
+		return normalizeAccount(provider.id, input)
+	}
+
+	/**
+	 * Load third-party providers from the plugins directory
+	 * Each .js/.mjs file must default export a provider or an array of providers.
+	 * A broken plugin is logged and skipped so it can't keep the bot from starting.
+	 * @param {string} directory - Plugins directory (defaults to PLUGINS_DIR)
+	 * @returns {Promise<Array<Object>>} Loaded providers
+	 */
+	async loadPlugins(directory = getPluginsPath()) {
+		if (this.pluginsLoaded) {
+			return []
+		}
+		this.pluginsLoaded = true
+
+		if (!fs.existsSync(directory)) {
+			logger.debug(`No plugins directory at ${directory}`)
+			return []
+		}
+
+		const files = fs.readdirSync(directory)
+			.filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file)))
+			.sort()
+		const loaded = []
+
+		for (const file of files) {
+			try {
+				const module = await import(pathToFileURL(path.join(directory, file)).href)
+				const exported = module.default ?? module.provider
+				const providers = Array.isArray(exported) ? exported : [exported]
+
+				for (const provider of providers) {
+					loaded.push(this.register(provider))
+					logger.info(`Loaded provider plugin ${provider.id} from ${file}`)
+				}
+			} catch (error) {
+				logger.error(`Failed to load provider plugin ${file}: ${error.message}`)
+			}
+		}
+
+		return loaded
+	}
+}
+
+// Create singleton instance with the built-in providers
+const providerRegistry = new ProviderRegistry()
+
+for (const provider of [youtubeService, instagramService, linkedinService, twitchService, feedService]) {
+	providerRegistry.register(provider)
+}
+
+export { providerRegistry, ProviderRegistry } 
\ No newline at end of file
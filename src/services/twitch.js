@@ -0,0 +1,458 @@
+import axios from 'axios'
+import { config } from '../config/config.js'
+import { createServiceLogger } from '../utils/logger.js'
+import { database } from '../database/database.js'
+import { createSource } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
+
+const logger = createServiceLogger('twitch')
+
+const TWITCH_ICON_URL = 'https://static.twitchcdn.net/assets/favicon-32-e29e246c157142c94346.png'
+const HELIX_PAGE_SIZE = 100 // Maximum logins per /streams and /users request
+const TOKEN_EXPIRY_MARGIN = 60 * 1000 // Refresh app tokens a minute before they expire
+const USER_INFO_TTL = 6 * 60 * 60 * 1000 // Refresh display name/avatar every 6 hours
+
+/**
+ * Twitch service for detecting live streams through the Helix API
+ */
+class TwitchService {
+	constructor() {
+		// Provider metadata, see services/registry.js
+		this.id = 'twitch'
+		this.displayName = 'Twitch'
+		this.emoji = '🟣'
+		this.clientId = config.socialMedia.twitch.clientId
+		this.clientSecret = config.socialMedia.twitch.clientSecret
+		this.baseUrl = config.socialMedia.twitch.apiUrl
+		this.authUrl = config.socialMedia.twitch.authUrl
+		this.accessToken = null
+		this.tokenExpiresAt = 0
+		this.userInfo = new Map() // login -> { user, fetchedAt }
+	}
+
+	/**
+	 * Get the Twitch channels configured in the environment
+	 * @returns {Array<Object>} Source objects
+	 */
+	getConfiguredSources() {
+		const logins = config.socialMedia.twitch.channels.map(login => login.toLowerCase())
+		return [...new Set(logins)].map(login => createSource('twitch', login))
+	}
+
+	/**
+	 * Get all Twitch channels to monitor, including channels any guild
+	 * subscribed to with /subscribe
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources() {
+		const sources = this.getConfiguredSources()
+		for (const source of subscriptionManager.getSources('twitch')) {
+			if (!sources.some(existing => existing.id === source.id)) {
+				sources.push(source)
+			}
+		}
+
+		return sources
+	}
+
+	/**
+	 * Check if Twitch service is configured
+	 * @returns {boolean} True if configured
+	 */
+	isConfigured() {
+		return !!(this.clientId && this.clientSecret && this.getSources().length > 0)
+	}
+
+	/**
+	 * Get an app access token, requesting a new one when the cached token expires
+	 * @returns {Promise<string>} Access token
+	 */
+	async getAccessToken() {
+		if (this.accessToken && Date.now() < this.tokenExpiresAt - TOKEN_EXPIRY_MARGIN) {
+			return this.accessToken
+		}
+
+		const response = await axios.post(this.authUrl, null, {
+			params: {
+				client_id: this.clientId,
+				client_secret: this.clientSecret,
+				grant_type: 'client_credentials'
+			},
+			timeout: 10000
+		})
+
+		this.accessToken = response.data.access_token
+		this.tokenExpiresAt = Date.now() + response.data.expires_in * 1000
+		logger.info('Obtained Twitch app access token')
+
+		return this.accessToken
+	}
+
+	/**
+	 * Call a Helix endpoint
+	 * Retries once with a fresh token when Twitch rejects the cached one
+	 * @param {string} endpoint - Endpoint path (e.g. /streams)
+	 * @param {URLSearchParams} params - Query parameters
+	 * @returns {Promise<Array<Object>>} Response data entries
+	 */
+	async helixGet(endpoint, params) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+					params,
+					headers: {
+						'Client-Id': this.clientId,
+						Authorization: `Bearer ${await this.getAccessToken()}`
+					},
+					timeout: 10000
+				})
+
+				return response.data.data || []
+
+			} catch (error) {
+				if (error.response?.status === 401 && attempt === 0) {
+					logger.warn('Twitch rejected the app access token, requesting a new one')
+					this.accessToken = null
+					continue
+				}
+				throw error
+			}
+		}
+	}
+
+	/**
+	 * Call a Helix endpoint for many logins, splitting them into pages
+	 * @param {string} endpoint - Endpoint path
+	 * @param {string} key - Query parameter to repeat for each login
+	 * @param {Array<string>} logins - Channel logins
+	 * @returns {Promise<Array<Object>>} Response data entries
+	 */
+	async helixGetForLogins(endpoint, key, logins) {
+		const entries = []
+
+		for (let index = 0; index < logins.length; index += HELIX_PAGE_SIZE) {
+			const params = new URLSearchParams({ first: String(HELIX_PAGE_SIZE) })
+			for (const login of logins.slice(index, index + HELIX_PAGE_SIZE)) {
+				params.append(key, login)
+			}
+
+			entries.push(...await this.helixGet(endpoint, params))
+		}
+
+		return entries
+	}
+
+	/**
+	 * Get user information for channels (cached per login)
+	 * @param {Array<string>} logins - Channel logins
+	 * @returns {Promise<Map<string, Object>>} User information keyed by login
+	 */
+	async getUsers(logins) {
+		const users = new Map()
+		const missing = []
+
+		for (const login of logins) {
+			const cached = this.userInfo.get(login)
+			if (cached && Date.now() - cached.fetchedAt < USER_INFO_TTL) {
+				users.set(login, cached.user)
+			} else {
+				missing.push(login)
+			}
+		}
+
+		if (missing.length > 0) {
+			for (const entry of await this.helixGetForLogins('/users', 'login', missing)) {
+				const user = {
+					id: entry.id,
+					login: entry.login,
+					displayName: entry.display_name,
+					description: entry.description,
+					profileImage: entry.profile_image_url
+				}
+
+				this.userInfo.set(user.login, { user, fetchedAt: Date.now() })
+				users.set(user.login, user)
+			}
+		}
+
+		return users
+	}
+
+	/**
+	 * Get channel information
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Channel information
+	 */
+	async getChannelInfo(source) {
+		try {
+			const users = await this.getUsers([source.account])
+			const user = users.get(source.account)
+
+			if (!user) {
+				return {
+					success: false,
+					error: 'Channel not found'
+				}
+			}
+
+			return {
+				success: true,
+				channel: user
+			}
+
+		} catch (error) {
+			logger.error(`Failed to get Twitch channel info: ${error.message}`)
+			return {
+				success: false,
+				error: error.message
+			}
+		}
+	}
+
+	/**
+	 * Fetch the current streams of the given channels
+	 * Channels that are offline are simply missing from the result
+	 * @param {Array<Object>} sources - Source objects
+	 * @returns {Promise<Map<string, Object>>} Live streams keyed by source ID
+	 */
+	async getLiveStreams(sources) {
+		const sourcesByLogin = new Map(sources.map(source => [source.account, source]))
+		const entries = await this.helixGetForLogins('/streams', 'user_login', [...sourcesByLogin.keys()])
+		const streams = new Map()
+
+		for (const entry of entries) {
+			const source = sourcesByLogin.get(entry.user_login)
+			if (!source || entry.type !== 'live') continue
+
+			const startedAt = new Date(entry.started_at)
+			streams.set(source.id, {
+				id: entry.id,
+				title: entry.title || `${entry.user_name} is live`,
+				gameName: entry.game_name,
+				viewerCount: entry.viewer_count,
+				// The preview changes during the stream, the timestamp keeps Discord from caching it
+				thumbnail: `${entry.thumbnail_url.replace('{width}', '1280').replace('{height}', '720')}?t=${startedAt.getTime()}`,
+				startedAt,
+				url: `https://www.twitch.tv/${entry.user_login}`,
+				userId: entry.user_id,
+				userLogin: entry.user_login,
+				userName: entry.user_name,
+				sourceId: source.id,
+				platform: 'twitch'
+			})
+		}
+
+		logger.info(`${streams.size} of ${sources.length} Twitch channel(s) are live`)
+		return streams
+	}
+
+	/**
+	 * Fetch content that hasn't been announced yet
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchNew() {
+		return this.checkForNewStreams()
+	}
+
+	/**
+	 * Fetch content of some sources only, so each source can be checked on its own interval
+	 * @param {Array<Object>} sources - Source objects to check
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchSources(sources) {
+		return this.checkForNewStreams(sources)
+	}
+
+	/**
+	 * Check all configured channels for streams that haven't been announced yet
+	 * Each stream is announced once, keyed by its Helix stream ID
+	 * @param {Array<Object>} sources - Sources to check (defaults to all channels)
+	 * @returns {Promise<Object>} Result with new streams
+	 */
+	async checkForNewStreams(sources = this.getSources()) {
+		try {
+			if (!this.isConfigured()) {
+				return {
+					success: false,
+					error: 'Twitch service not configured',
+					newContent: []
+				}
+			}
+
+			const streams = await this.getLiveStreams(sources)
+
+			const sourceResults = []
+			for (const source of sources) {
+				sourceResults.push(await this.checkSource(source, streams.get(source.id)))
+			}
+
+			const newContent = sourceResults.flatMap(result => result.newContent)
+			const failed = sourceResults.filter(result => !result.success)
+
+			// Attach the channel avatar so each embed carries its own author
+			if (newContent.length > 0) {
+				try {
+					const users = await this.getUsers(newContent.map(stream => stream.userLogin))
+					for (const stream of newContent) {
+						stream.profileImage = users.get(stream.userLogin)?.profileImage || null
+					}
+				} catch (error) {
+					logger.warn(`Failed to fetch Twitch channel avatars: ${error.message}`)
+				}
+			}
+
+			logger.info(`Found ${newContent.length} new Twitch streams across ${sourceResults.length} channel(s)`)
+
+			return {
+				success: failed.length === 0,
+				error: failed.length > 0
+					? failed.map(result => `${result.account}: ${result.error}`).join('; ')
+					: undefined,
+				newContent,
+				totalChecked: sources.length,
+				sources: sourceResults,
+				platform: 'twitch'
+			}
+
+		} catch (error) {
+			logger.error(`Error checking for new Twitch streams: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Check whether a channel's current stream still needs announcing
+	 * The last update holds the channel's latest stream and is only written
+	 * when a new stream starts; polls of a stream that is still running or of
+	 * an offline channel leave it alone
+	 * @param {Object} source - Source object
+	 * @param {Object} stream - The channel's current stream, if it is live
+	 * @returns {Promise<Object>} Result with the new stream for this source
+	 */
+	async checkSource(source, stream) {
+		try {
+			const newContent = []
+
+			if (stream) {
+				const alreadySent = await database.isNotificationSent(source.id, stream.id)
+				if (!alreadySent) {
+					newContent.push(stream)
+				}
+
+				const lastUpdate = await database.getLastUpdate(source.id)
+				if (lastUpdate?.last_content_id !== stream.id) {
+					await database.updateLastCheck(source.id, stream.id, stream.startedAt.toISOString())
+				}
+			}
+
+			if (newContent.length > 0) {
+				logger.info(`Twitch channel ${source.account} went live: ${stream.title}`)
+			}
+
+			return {
+				success: true,
+				sourceId: source.id,
+				account: source.account,
+				newContent,
+				totalChecked: 1
+			}
+
+		} catch (error) {
+			logger.error(`Error checking Twitch channel ${source.account}: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				sourceId: source.id,
+				account: source.account,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Format stream data for Discord embed
+	 * @param {Object} stream - Stream object
+	 * @returns {Object} Discord embed object
+	 */
+	formatForDiscord(stream) {
+		const fields = []
+
+		if (stream.gameName) {
+			fields.push({ name: 'Game', value: stream.gameName, inline: true })
+		}
+
+		if (stream.viewerCount !== undefined) {
+			fields.push({ name: 'Viewers', value: stream.viewerCount.toLocaleString('en-US'), inline: true })
+		}
+
+		const embed = {
+			author: {
+				name: stream.userName,
+				url: stream.url,
+				icon_url: stream.profileImage || TWITCH_ICON_URL
+			},
+			title: stream.title,
+			description: `${stream.userName} went live on Twitch!`,
+			url: stream.url,
+			color: 0x9146FF, // Twitch purple
+			fields,
+			image: {
+				url: stream.thumbnail
+			},
+			footer: {
+				text: `Twitch • ${new Date(stream.startedAt).toLocaleDateString('en-US', {
+					month: 'numeric',
+					day: 'numeric',
+					year: 'numeric',
+					hour: 'numeric',
+					minute: '2-digit',
+					hour12: true
+				})}`,
+				icon_url: TWITCH_ICON_URL
+			},
+			timestamp: stream.startedAt.toISOString()
+		}
+
+		return embed
+	}
+
+	/**
+	 * Get the values announcement templates can use for a stream
+	 * @param {Object} stream - Stream object
+	 * @returns {Object} Values keyed by placeholder name
+	 */
+	getTemplateVariables(stream) {
+		return {
+			description: null,
+			channel: stream.userName,
+			game: stream.gameName || null,
+			viewers: stream.viewerCount ?? null,
+			publishedAt: stream.startedAt
+		}
+	}
+
+	/**
+	 * Check that an account can be monitored before subscribing to it
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Validation result
+	 */
+	async validateSource(source) {
+		if (!this.clientId || !this.clientSecret) {
+			return { success: false, error: 'TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET must be configured to monitor Twitch channels' }
+		}
+
+		const info = await this.getChannelInfo(source)
+		return info.success
+			? { success: true }
+			: { success: false, error: `Could not find Twitch channel \`${source.account}\`: ${info.error}` }
+	}
+}
+
+// Create and export singleton instance
+const twitchService = new TwitchService()
+
+export { twitchService, TwitchService } 
\ No newline at end of file
@@ -0,0 +1,384 @@
+import http from 'http'
+import crypto from 'crypto'
+import axios from 'axios'
+import * as cheerio from 'cheerio'
+import { config } from '../config/config.js'
+import { createServiceLogger } from '../utils/logger.js'
+import { scheduler } from '../utils/scheduler.js'
+import { youtubeService } from './youtube.js'
+
+const logger = createServiceLogger('websub')
+
+const CALLBACK_PATH = '/websub/youtube'
+const TOPIC_URL = 'https://www.youtube.com/xml/feeds/videos.xml?channel_id='
+const SYNC_INTERVAL = 60 * 60 * 1000 // Check for leases to renew every hour
+const RENEWAL_MARGIN = 24 * 60 * 60 * 1000 // Renew leases a day before they expire
+const MAX_BODY_SIZE = 1024 * 1024
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512']
+
+/**
+ * WebSub (PubSubHubbub) subscriber for YouTube upload notifications
+ *
+ * Runs a small HTTP callback server, subscribes every monitored channel's
+ * feed at the hub and announces pushed videos right away. Polling keeps
+ * running as a fallback, see YouTubeService.isCoveredByPush().
+ */
+class WebSubService {
+	constructor() {
+		this.server = null
+		this.syncTimer = null
+		this.secret = null
+		this.subscriptions = new Map() // topic -> { channelId, mode, state, requestedAt, expiresAt }
+	}
+
+	/**
+	 * Check if WebSub is enabled and has a public callback URL
+	 * @returns {boolean} True if enabled
+	 */
+	isEnabled() {
+		const { enabled, callbackUrl } = config.socialMedia.youtube.websub
+		return !!(enabled && callbackUrl)
+	}
+
+	/**
+	 * Start the callback server and subscribe to all channels
+	 * @returns {Promise<void>}
+	 */
+	async start() {
+		if (!this.isEnabled() || this.server) {
+			return
+		}
+
+		const { port, secret } = config.socialMedia.youtube.websub
+
+		// Without a configured secret a random one is used, subscriptions are renewed on every start anyway
+		this.secret = secret || crypto.randomBytes(20).toString('hex')
+
+		this.server = http.createServer((req, res) => {
+			this.handleRequest(req, res).catch(error => {
+				logger.error(`Error handling WebSub request: ${error.message}`)
+				if (!res.headersSent) {
+					res.writeHead(500)
+				}
+				res.end()
+			})
+		})
+
+		await new Promise((resolve, reject) => {
+			this.server.once('error', reject)
+			this.server.listen(port, () => {
+				this.server.off('error', reject)
+				resolve()
+			})
+		})
+
+		logger.info(`WebSub callback server listening on port ${port} (${this.getCallbackUrl()})`)
+
+		await this.syncSubscriptions()
+		this.syncTimer = setInterval(() => this.syncSubscriptions(), SYNC_INTERVAL)
+	}
+
+	/**
+	 * Stop the callback server
+	 * Leases are left to expire, the hub stops pushing once they do
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		if (this.syncTimer) {
+			clearInterval(this.syncTimer)
+			this.syncTimer = null
+		}
+
+		if (this.server) {
+			await new Promise(resolve => this.server.close(resolve))
+			this.server = null
+			logger.info('WebSub callback server stopped')
+		}
+	}
+
+	/**
+	 * Get the URL the hub sends verifications and notifications to
+	 * @returns {string} Callback URL
+	 */
+	getCallbackUrl() {
+		return `${config.socialMedia.youtube.websub.callbackUrl.replace(/\/+$/, '')}${CALLBACK_PATH}`
+	}
+
+	/**
+	 * Subscribe new channels, renew expiring leases and unsubscribe removed channels
+	 * @returns {Promise<void>}
+	 */
+	async syncSubscriptions() {
+		try {
+			const wanted = new Map()
+
+			for (const source of youtubeService.getSources()) {
+				try {
+					const channelId = await youtubeService.getChannelId(source)
+					wanted.set(`${TOPIC_URL}${channelId}`, channelId)
+				} catch (error) {
+					logger.warn(`Cannot subscribe ${source.account} to WebSub: ${error.message}`)
+				}
+			}
+
+			const now = Date.now()
+
+			for (const [topic, channelId] of wanted) {
+				const subscription = this.subscriptions.get(topic)
+				const needsRequest = !subscription ||
+					subscription.mode !== 'subscribe' ||
+					(subscription.state === 'active' && subscription.expiresAt - now < RENEWAL_MARGIN) ||
+					(subscription.state === 'pending' && now - subscription.requestedAt > SYNC_INTERVAL)
+
+				if (needsRequest) {
+					await this.requestSubscription(topic, channelId, 'subscribe')
+				}
+			}
+
+			for (const [topic, subscription] of this.subscriptions) {
+				if (subscription.mode === 'subscribe' && !wanted.has(topic)) {
+					youtubeService.setPushLease(subscription.channelId, null)
+					await this.requestSubscription(topic, subscription.channelId, 'unsubscribe')
+				}
+			}
+
+		} catch (error) {
+			logger.error(`Failed to sync WebSub subscriptions: ${error.message}`)
+		}
+	}
+
+	/**
+	 * Ask the hub to subscribe or unsubscribe a topic
+	 * The hub confirms asynchronously through a verification request
+	 * @param {string} topic - Topic URL
+	 * @param {string} channelId - YouTube channel ID
+	 * @param {string} mode - 'subscribe' or 'unsubscribe'
+	 * @returns {Promise<boolean>} True if the hub accepted the request
+	 */
+	async requestSubscription(topic, channelId, mode) {
+		const { hubUrl, leaseSeconds } = config.socialMedia.youtube.websub
+		const previous = this.subscriptions.get(topic)
+
+		this.subscriptions.set(topic, {
+			channelId,
+			mode,
+			state: 'pending',
+			requestedAt: Date.now(),
+			expiresAt: previous?.expiresAt || null
+		})
+
+		const params = new URLSearchParams({
+			'hub.callback': this.getCallbackUrl(),
+			'hub.topic': topic,
+			'hub.mode': mode,
+			'hub.verify': 'async'
+		})
+
+		if (mode === 'subscribe') {
+			params.set('hub.lease_seconds', String(leaseSeconds))
+			params.set('hub.secret', this.secret)
+		}
+
+		try {
+			await axios.post(hubUrl, params.toString(), {
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				timeout: 10000
+			})
+
+			logger.info(`Requested WebSub ${mode} for channel ${channelId}`)
+			return true
+
+		} catch (error) {
+			// Forget the request so the next sync retries it
+			this.subscriptions.delete(topic)
+			logger.error(`WebSub ${mode} request for channel ${channelId} failed: ${error.message}`)
+			return false
+		}
+	}
+
+	/**
+	 * Route a request to the callback server
+	 * @param {Object} req - HTTP request
+	 * @param {Object} res - HTTP response
+	 * @returns {Promise<void>}
+	 */
+	async handleRequest(req, res) {
+		const url = new URL(req.url, 'http://localhost')
+
+		if (url.pathname !== CALLBACK_PATH) {
+			res.writeHead(404)
+			res.end()
+			return
+		}
+
+		if (req.method === 'GET') {
+			this.handleVerification(url.searchParams, res)
+		} else if (req.method === 'POST') {
+			await this.handleNotification(req, res)
+		} else {
+			res.writeHead(405, { Allow: 'GET, POST' })
+			res.end()
+		}
+	}
+
+	/**
+	 * Answer a hub verification request
+	 * Only (un)subscriptions this instance asked for are confirmed
+	 * @param {URLSearchParams} params - Query parameters
+	 * @param {Object} res - HTTP response
+	 */
+	handleVerification(params, res) {
+		const mode = params.get('hub.mode')
+		const topic = params.get('hub.topic')
+		const challenge = params.get('hub.challenge')
+		const subscription = this.subscriptions.get(topic)
+
+		if (mode === 'denied') {
+			logger.warn(`WebSub hub denied subscription for ${topic}: ${params.get('hub.reason') || 'no reason given'}`)
+			if (subscription) {
+				youtubeService.setPushLease(subscription.channelId, null)
+				this.subscriptions.delete(topic)
+			}
+			res.writeHead(200)
+			res.end()
+			return
+		}
+
+		if (!subscription || subscription.mode !== mode || !challenge) {
+			logger.warn(`Rejected unexpected WebSub ${mode} verification for ${topic}`)
+			res.writeHead(404)
+			res.end()
+			return
+		}
+
+		if (mode === 'subscribe') {
+			const leaseSeconds = parseInt(params.get('hub.lease_seconds')) || config.socialMedia.youtube.websub.leaseSeconds
+			subscription.state = 'active'
+			subscription.expiresAt = Date.now() + leaseSeconds * 1000
+			youtubeService.setPushLease(subscription.channelId, subscription.expiresAt)
+			logger.info(`WebSub subscription for channel ${subscription.channelId} active for ${Math.round(leaseSeconds / 3600)} hours`)
+		} else {
+			this.subscriptions.delete(topic)
+			logger.info(`WebSub subscription for channel ${subscription.channelId} removed`)
+		}
+
+		res.writeHead(200, { 'Content-Type': 'text/plain' })
+		res.end(challenge)
+	}
+
+	/**
+	 * Handle a content notification pushed by the hub
+	 * Notifications with a missing or wrong signature are acknowledged but ignored
+	 * @param {Object} req - HTTP request
+	 * @param {Object} res - HTTP response
+	 * @returns {Promise<void>}
+	 */
+	async handleNotification(req, res) {
+		let body
+
+		try {
+			body = await this.readBody(req)
+		} catch (error) {
+			res.writeHead(413)
+			res.end()
+			return
+		}
+
+		const signatureValid = this.verifySignature(body, req.headers['x-hub-signature'])
+
+		// Acknowledge right away, the hub doesn't wait for us to announce anything
+		res.writeHead(signatureValid ? 204 : 202)
+		res.end()
+
+		if (!signatureValid) {
+			logger.warn('Ignored WebSub notification with an invalid signature')
+			return
+		}
+
+		const entries = this.parseNotification(body.toString('utf8'))
+
+		for (const entry of entries) {
+			await scheduler.receivePush(youtubeService, entry)
+		}
+	}
+
+	/**
+	 * Read a request body, refusing bodies over MAX_BODY_SIZE
+	 * @param {Object} req - HTTP request
+	 * @returns {Promise<Buffer>} Body
+	 */
+	readBody(req) {
+		return new Promise((resolve, reject) => {
+			const chunks = []
+			let size = 0
+
+			req.on('data', chunk => {
+				size += chunk.length
+				if (size > MAX_BODY_SIZE) {
+					reject(new Error('Body too large'))
+					req.destroy()
+					return
+				}
+				chunks.push(chunk)
+			})
+			req.on('end', () => resolve(Buffer.concat(chunks)))
+			req.on('error', reject)
+		})
+	}
+
+	/**
+	 * Verify the X-Hub-Signature HMAC of a notification
+	 * @param {Buffer} body - Raw request body
+	 * @param {string} header - Signature header (e.g. sha1=abcdef...)
+	 * @returns {boolean} True if the signature matches our secret
+	 */
+	verifySignature(body, header) {
+		const [algorithm, signature] = (header || '').split('=')
+
+		if (!SIGNATURE_ALGORITHMS.includes(algorithm) || !signature) {
+			return false
+		}
+
+		const expected = crypto.createHmac(algorithm, this.secret).update(body).digest()
+		const received = Buffer.from(signature, 'hex')
+
+		return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+	}
+
+	/**
+	 * Parse the Atom payload of a YouTube push notification
+	 * Deleted videos arrive as at:deleted-entry elements and are skipped
+	 * @param {string} xml - Atom document
+	 * @returns {Array<Object>} Entries with videoId, channelId, title, link, author and published date
+	 */
+	parseNotification(xml) {
+		const $ = cheerio.load(xml, { xmlMode: true })
+		const entries = []
+
+		$('entry').each((_, element) => {
+			const entry = $(element)
+			const videoId = entry.find('yt\\:videoId').text().trim()
+			const channelId = entry.find('yt\\:channelId').text().trim()
+
+			if (!videoId || !channelId) return
+
+			const published = new Date(entry.children('published').text())
+
+			entries.push({
+				videoId,
+				channelId,
+				title: entry.children('title').text().trim(),
+				link: entry.find('link[rel="alternate"]').attr('href'),
+				author: entry.find('author > name').text().trim(),
+				published: isNaN(published) ? new Date() : published
+			})
+		})
+
+		return entries
+	}
+}
+
+// Create and export singleton instance
+const websubService = new WebSubService()
+
+export { websubService, WebSubService } 
\ No newline at end of file
@@ -1,19 +1,114 @@
 import axios from 'axios'
+import * as cheerio from 'cheerio'
 import { config } from '../config/config.js'
 import { createServiceLogger } from '../utils/logger.js'
 import { database } from '../database/database.js'
+import { createSource } from '../utils/sources.js'
+import { subscriptionManager } from '../utils/subscriptions.js'
 
 const logger = createServiceLogger('youtube')
 
+const YOUTUBE_ICON_URL = 'https://www.youtube.com/s/desktop/f506bd45/img/favicon_32.png'
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/
+const CHANNEL_INFO_TTL = 6 * 60 * 60 * 1000 // Refresh channel title/avatar every 6 hours
+const WEBSITE_URL = 'https://www.youtube.com'
+const FEED_URL = `${WEBSITE_URL}/feeds/videos.xml?channel_id=`
+const SHORTS_MAX_DURATION = 180 // Shorts can be up to 3 minutes long
+const DEFAULT_EVENT_DURATION = 60 * 60 * 1000 // Streams have no known length, assume an hour
+const DURATION_PATTERN = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+
+/**
+ * Kinds of uploads, with the wording and color of their announcement
+ */
+const CONTENT_TYPES = {
+	video: { label: 'Videos', color: 0xFF0000, action: 'published a video on YouTube!' },
+	short: { label: 'Shorts', color: 0xFF0050, action: 'posted a Short on YouTube!' },
+	upcoming: { label: 'Upcoming premieres and streams', color: 0x3EA6FF, action: 'scheduled a live stream on YouTube!', premiereAction: 'scheduled a premiere on YouTube!' },
+	live: { label: 'Live streams and premieres', color: 0xCC0000, action: 'is live on YouTube!', premiereAction: 'is premiering a video on YouTube!' },
+	ended: { label: 'Ended streams', color: 0x606060, action: 'was live on YouTube', premiereAction: 'premiered a video on YouTube!' }
+}
+
+const PAGE_HEADERS = {
+	'User-Agent': 'Mozilla/5.0 (compatible; InfoBot/1.0)',
+	'Accept-Language': 'en-US,en;q=0.5',
+	'Cookie': 'CONSENT=YES+' // Skip the EU cookie consent interstitial
+}
+
 /**
  * YouTube service for fetching latest videos
+ *
+ * With YOUTUBE_API_KEY set videos come from the Data API. Without a key the
+ * public channel feed (feeds/videos.xml) and channel pages are used instead,
+ * which need no quota but carry no statistics.
  */
 class YouTubeService {
 	constructor() {
+		// Provider metadata, see services/registry.js
+		this.id = 'youtube'
+		this.displayName = 'YouTube'
+		this.emoji = '📺'
+		this.contentTypes = Object.fromEntries(Object.entries(CONTENT_TYPES).map(([type, { label }]) => [type, label]))
 		this.apiKey = config.socialMedia.youtube.apiKey
-		this.channelId = config.socialMedia.youtube.channelId
-		this.channelHandle = config.socialMedia.youtube.channelHandle
 		this.baseUrl = 'https://www.googleapis.com/youtube/v3'
+		this.channelIds = new Map() // account -> resolved channel ID
+		this.channelInfo = new Map() // channel ID -> { channel, fetchedAt }
+		this.pushLeases = new Map() // channel ID -> WebSub lease expiry (ms)
+		this.lastPolled = new Map() // source ID -> last poll (ms)
+	}
+
+	/**
+	 * Get the YouTube channels configured in the environment
+	 * Combines YOUTUBE_CHANNELS with the legacy YOUTUBE_CHANNEL_ID/YOUTUBE_CHANNEL_HANDLE
+	 * @returns {Array<Object>} Source objects
+	 */
+	getConfiguredSources() {
+		const { channelId, channelHandle, channels } = config.socialMedia.youtube
+		const accounts = [...channels]
+
+		if (channelId || channelHandle) {
+			accounts.unshift(channelId || channelHandle)
+		}
+
+		return [...new Set(accounts)].map(account => createSource('youtube', account))
+	}
+
+	/**
+	 * Get all YouTube channels to monitor, including channels any guild
+	 * subscribed to with /subscribe
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources() {
+		const sources = this.getConfiguredSources()
+		for (const source of subscriptionManager.getSources('youtube')) {
+			if (!sources.some(existing => existing.id === source.id)) {
+				sources.push(source)
+			}
+		}
+
+		return sources
+	}
+
+	/**
+	 * Get the last update of a channel
+	 * The channel from the legacy YOUTUBE_CHANNEL_ID/YOUTUBE_CHANNEL_HANDLE falls
+	 * back to the pre multi-channel 'youtube' row, so upgrading doesn't
+	 * re-announce its last day of uploads. Other channels start fresh.
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object|null>} Last update row
+	 */
+	async getLastUpdate(source) {
+		const lastUpdate = await database.getLastUpdate(source.id)
+		if (lastUpdate) {
+			return lastUpdate
+		}
+
+		const { channelId, channelHandle } = config.socialMedia.youtube
+		const legacyAccount = channelId || channelHandle
+		if (!legacyAccount || createSource('youtube', legacyAccount).id !== source.id) {
+			return null
+		}
+
+		return database.getLastUpdate('youtube')
 	}
 
 	/**
@@ -21,26 +116,42 @@ class YouTubeService {
 	 * @returns {boolean} True if configured
 	 */
 	isConfigured() {
-		return !!(this.apiKey && (this.channelId || this.channelHandle))
+		return this.getSources().length > 0
+	}
+
+	/**
+	 * Check if the Data API can be used
+	 * @returns {boolean} True if an API key is configured
+	 */
+	hasApiKey() {
+		return !!this.apiKey
 	}
 
 	/**
-	 * Get channel ID from handle if not provided
+	 * Get channel ID for a source, resolving handles when needed
+	 * @param {Object} source - Source object
 	 * @returns {Promise<string>} Channel ID
 	 */
-	async getChannelId() {
-		if (this.channelId) {
-			return this.channelId
+	async getChannelId(source) {
+		if (CHANNEL_ID_PATTERN.test(source.account)) {
+			return source.account
 		}
 
-		if (!this.channelHandle) {
-			throw new Error('Neither channel ID nor handle provided')
+		if (this.channelIds.has(source.account)) {
+			return this.channelIds.get(source.account)
 		}
 
 		try {
-			const handle = this.channelHandle.startsWith('@') 
-				? this.channelHandle.slice(1) 
-				: this.channelHandle
+			const handle = source.account.startsWith('@') 
+				? source.account.slice(1) 
+				: source.account
+
+			if (!this.hasApiKey()) {
+				const channelId = await this.getChannelIdFromPage(handle)
+				logger.info(`Found channel ID for handle ${source.account}: ${channelId}`)
+				this.channelIds.set(source.account, channelId)
+				return channelId
+			}
 
 			const response = await axios.get(`${this.baseUrl}/search`, {
 				params: {
@@ -54,11 +165,12 @@ class YouTubeService {
 
 			if (response.data.items && response.data.items.length > 0) {
 				const channelId = response.data.items[0].snippet.channelId
-				logger.info(`Found channel ID for handle ${this.channelHandle}: ${channelId}`)
+				logger.info(`Found channel ID for handle ${source.account}: ${channelId}`)
+				this.channelIds.set(source.account, channelId)
 				return channelId
 			}
 
-			throw new Error(`Channel not found for handle: ${this.channelHandle}`)
+			throw new Error(`Channel not found for handle: ${source.account}`)
 		} catch (error) {
 			logger.error(`Failed to get channel ID from handle: ${error.message}`)
 			throw error
@@ -66,17 +178,48 @@ class YouTubeService {
 	}
 
 	/**
-	 * Fetch latest videos from the YouTube channel
+	 * Resolve a handle to a channel ID from its channel page, for use without an API key
+	 * @param {string} handle - Handle without the leading @
+	 * @returns {Promise<string>} Channel ID
+	 */
+	async getChannelIdFromPage(handle) {
+		const response = await axios.get(`${WEBSITE_URL}/@${encodeURIComponent(handle)}`, {
+			headers: PAGE_HEADERS,
+			timeout: 15000
+		})
+
+		const $ = cheerio.load(response.data)
+		const candidates = [
+			$('meta[itemprop="identifier"]').attr('content'),
+			$('link[rel="canonical"]').attr('href')?.split('/channel/')[1],
+			response.data.match?.(/"externalId":"(UC[\w-]{22})"/)?.[1]
+		]
+
+		const channelId = candidates.find(candidate => CHANNEL_ID_PATTERN.test(candidate || ''))
+		if (!channelId) {
+			throw new Error(`Channel not found for handle: @${handle}`)
+		}
+
+		return channelId
+	}
+
+	/**
+	 * Fetch latest videos from a YouTube channel
+	 * @param {Object} source - Source object
 	 * @param {number} maxResults - Maximum number of videos to fetch
 	 * @returns {Promise<Object>} Result object with success status and videos
 	 */
-	async getLatestVideos(maxResults = 5) {
+	async getLatestVideos(source, maxResults = 5) {
 		try {
 			if (!this.isConfigured()) {
 				throw new Error('YouTube service not configured')
 			}
 
-			const channelId = await this.getChannelId()
+			const channelId = await this.getChannelId(source)
+
+			if (!this.hasApiKey()) {
+				return await this.getFeedVideos(source, channelId, maxResults)
+			}
 
 			// Get the uploads playlist ID (it's usually UC + channel ID with UC replaced by UU)
 			const uploadsPlaylistId = channelId.replace('UC', 'UU')
@@ -98,11 +241,13 @@ class YouTubeService {
 				thumbnail: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default?.url,
 				publishedAt: new Date(item.snippet.publishedAt),
 				url: `https://www.youtube.com/watch?v=${item.contentDetails.videoId}`,
+				channelId,
 				channelTitle: item.snippet.channelTitle,
+				sourceId: source.id,
 				platform: 'youtube'
 			}))
 
-			logger.info(`Fetched ${videos.length} videos from YouTube`)
+			logger.info(`Fetched ${videos.length} videos from YouTube channel ${source.account}`)
 			return {
 				success: true,
 				videos: videos,
@@ -110,7 +255,7 @@ class YouTubeService {
 			}
 
 		} catch (error) {
-			logger.error(`Failed to fetch YouTube videos: ${error.message}`)
+			logger.error(`Failed to fetch YouTube videos for ${source.account}: ${error.message}`)
 			return {
 				success: false,
 				error: error.message,
@@ -120,10 +265,89 @@ class YouTubeService {
 	}
 
 	/**
-	 * Check for new videos since last check
+	 * Fetch latest videos from the public channel feed
+	 * The feed lists the 15 most recent uploads, newest first
+	 * @param {Object} source - Source object
+	 * @param {string} channelId - YouTube channel ID
+	 * @param {number} maxResults - Maximum number of videos to return
+	 * @returns {Promise<Object>} Result object with success status and videos
+	 */
+	async getFeedVideos(source, channelId, maxResults = 5) {
+		const response = await axios.get(`${FEED_URL}${channelId}`, {
+			headers: PAGE_HEADERS,
+			timeout: 15000
+		})
+
+		const videos = this.parseFeed(response.data, source, channelId).slice(0, maxResults)
+
+		logger.info(`Fetched ${videos.length} videos from YouTube feed of ${source.account}`)
+		return {
+			success: true,
+			videos: videos,
+			count: videos.length
+		}
+	}
+
+	/**
+	 * Map the entries of a channel feed to video objects
+	 * @param {string} xml - Atom document
+	 * @param {Object} source - Source object
+	 * @param {string} channelId - YouTube channel ID
+	 * @returns {Array<Object>} Videos, newest first
+	 */
+	parseFeed(xml, source, channelId) {
+		const $ = cheerio.load(xml, { xmlMode: true })
+		const channelTitle = $('feed > title').first().text().trim()
+		const videos = []
+
+		$('entry').each((_, element) => {
+			const entry = $(element)
+			const videoId = entry.find('yt\\:videoId').text().trim()
+			const publishedAt = new Date(entry.children('published').text())
+
+			if (!videoId || isNaN(publishedAt)) return
+
+			const media = entry.find('media\\:group')
+			videos.push({
+				id: videoId,
+				title: media.find('media\\:title').text().trim() || entry.children('title').text().trim(),
+				description: media.find('media\\:description').text().trim(),
+				thumbnail: media.find('media\\:thumbnail').attr('url') || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+				publishedAt,
+				url: entry.find('link[rel="alternate"]').attr('href') || `https://www.youtube.com/watch?v=${videoId}`,
+				channelId,
+				channelTitle: entry.find('author > name').text().trim() || channelTitle,
+				sourceId: source.id,
+				platform: 'youtube'
+			})
+		})
+
+		return videos.sort((a, b) => b.publishedAt - a.publishedAt)
+	}
+
+	/**
+	 * Fetch content that hasn't been announced yet
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchNew() {
+		return this.checkForNewVideos()
+	}
+
+	/**
+	 * Fetch content of some sources only, so each source can be checked on its own interval
+	 * @param {Array<Object>} sources - Source objects to check
+	 * @returns {Promise<Object>} Check result with new content
+	 */
+	async fetchSources(sources) {
+		return this.checkForNewVideos(sources)
+	}
+
+	/**
+	 * Check all configured channels for new videos since last check
+	 * @param {Array<Object>} sources - Sources to check (defaults to all channels)
 	 * @returns {Promise<Object>} Result with new videos
 	 */
-	async checkForNewVideos() {
+	async checkForNewVideos(sources = this.getSources()) {
 		try {
 			if (!this.isConfigured()) {
 				return {
@@ -133,17 +357,74 @@ class YouTubeService {
 				}
 			}
 
-			// Get last update info
-			const lastUpdate = await database.getLastUpdate('youtube')
+			const sourceResults = []
+			for (const source of sources) {
+				sourceResults.push(await this.checkSource(source))
+			}
+
+			const newContent = sourceResults.flatMap(result => result.newContent)
+			const failed = sourceResults.filter(result => !result.success)
+
+			logger.info(`Found ${newContent.length} new YouTube videos across ${sourceResults.length} channel(s)`)
+
+			// Videos from healthy channels are still returned when another channel fails,
+			// since their last update has already been recorded
+			return {
+				success: failed.length === 0,
+				error: failed.length > 0
+					? failed.map(result => `${result.account}: ${result.error}`).join('; ')
+					: undefined,
+				newContent,
+				totalChecked: sourceResults.reduce((total, result) => total + (result.totalChecked || 0), 0),
+				sources: sourceResults,
+				platform: 'youtube'
+			}
+
+		} catch (error) {
+			logger.error(`Error checking for new YouTube videos: ${error.message}`)
+			return {
+				success: false,
+				error: error.message,
+				newContent: []
+			}
+		}
+	}
+
+	/**
+	 * Check a single channel for new videos since its last check
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Result with new videos for this source
+	 */
+	async checkSource(source) {
+		try {
+			if (this.isCoveredByPush(source)) {
+				return {
+					success: true,
+					skipped: true,
+					sourceId: source.id,
+					account: source.account,
+					newContent: [],
+					totalChecked: 0
+				}
+			}
+
+			const lastUpdate = await this.getLastUpdate(source)
 			const lastCheckTime = lastUpdate?.last_content_timestamp 
 				? new Date(lastUpdate.last_content_timestamp)
 				: new Date(Date.now() - 24 * 60 * 60 * 1000) // Default to 24 hours ago
 
 			// Fetch latest videos
-			const result = await this.getLatestVideos(10)
+			const result = await this.getLatestVideos(source, 10)
+			this.lastPolled.set(source.id, Date.now())
 			
 			if (!result.success) {
-				return result
+				return {
+					success: false,
+					error: result.error,
+					sourceId: source.id,
+					account: source.account,
+					newContent: []
+				}
 			}
 
 			// Filter for new videos
@@ -154,47 +435,395 @@ class YouTubeService {
 			// Filter out already sent notifications
 			const unseenVideos = []
 			for (const video of newVideos) {
-				const alreadySent = await database.isNotificationSent('youtube', video.id)
+				const alreadySent = await database.isNotificationSent(source.id, video.id)
 				if (!alreadySent) {
 					unseenVideos.push(video)
 				}
 			}
 
+			// Attach the channel avatar so each embed carries its own author
+			if (unseenVideos.length > 0) {
+				await this.classifyVideos(unseenVideos)
+
+				const info = await this.getChannelInfo(source)
+				for (const video of unseenVideos) {
+					video.channelThumbnail = info.success ? info.channel.thumbnail : null
+				}
+			}
+
 			// Update last check time
 			const latestVideo = result.videos[0]
 			if (latestVideo) {
 				await database.updateLastCheck(
-					'youtube',
+					source.id,
 					latestVideo.id,
 					latestVideo.publishedAt.toISOString()
 				)
 			}
 
-			logger.info(`Found ${unseenVideos.length} new YouTube videos`)
-			
+			logger.info(`Found ${unseenVideos.length} new YouTube videos for ${source.account}`)
+
 			return {
 				success: true,
+				sourceId: source.id,
+				account: source.account,
 				newContent: unseenVideos,
-				totalChecked: result.videos.length,
-				platform: 'youtube'
+				totalChecked: result.videos.length
 			}
 
 		} catch (error) {
-			logger.error(`Error checking for new YouTube videos: ${error.message}`)
+			logger.error(`Error checking YouTube channel ${source.account}: ${error.message}`)
 			return {
 				success: false,
 				error: error.message,
+				sourceId: source.id,
+				account: source.account,
 				newContent: []
 			}
 		}
 	}
 
+	/**
+	 * Get the cached channel ID of a source without calling the API
+	 * @param {Object} source - Source object
+	 * @returns {string|undefined} Channel ID
+	 */
+	getKnownChannelId(source) {
+		return CHANNEL_ID_PATTERN.test(source.account)
+			? source.account
+			: this.channelIds.get(source.account)
+	}
+
+	/**
+	 * Record the WebSub lease of a channel
+	 * @param {string} channelId - YouTube channel ID
+	 * @param {number} expiresAt - Lease expiry (ms), or null when the lease ended
+	 */
+	setPushLease(channelId, expiresAt) {
+		if (expiresAt) {
+			this.pushLeases.set(channelId, expiresAt)
+		} else {
+			this.pushLeases.delete(channelId)
+		}
+	}
+
+	/**
+	 * Whether a source is kept up to date by WebSub pushes, so polling can be skipped
+	 * Sources are still polled every fallbackPollMinutes in case a push was missed
+	 * @param {Object} source - Source object
+	 * @returns {boolean} True if polling can be skipped
+	 */
+	isCoveredByPush(source) {
+		const channelId = this.getKnownChannelId(source)
+		const leaseExpiresAt = channelId && this.pushLeases.get(channelId)
+		if (!leaseExpiresAt || leaseExpiresAt <= Date.now()) {
+			return false
+		}
+
+		const lastPolled = this.lastPolled.get(source.id)
+		const fallbackInterval = config.socialMedia.youtube.websub.fallbackPollMinutes * 60 * 1000
+		return !!lastPolled && Date.now() - lastPolled < fallbackInterval
+	}
+
+	/**
+	 * Get the sources following the channel of a pushed entry
+	 * @param {Object} entry - Parsed Atom entry (videoId, channelId, title, link, published)
+	 * @returns {Array<Object>} Source objects
+	 */
+	getPushSources(entry) {
+		return this.getSources().filter(source => this.getKnownChannelId(source) === entry.channelId)
+	}
+
+	/**
+	 * Handle a video pushed by the WebSub hub for one of the sources following its channel
+	 * Pushes are also sent when an older video is edited, those are ignored
+	 * the same way polling ignores them. The last update is left to polling:
+	 * moving it here would make the fallback poll skip an earlier upload whose
+	 * push got lost. Polling finding a pushed video again is harmless, the
+	 * outbox and sent notifications dedupe it. Called by the scheduler holding
+	 * the source's lock, so a push can't interleave with a poll.
+	 * @param {Object} entry - Parsed Atom entry (videoId, channelId, title, link, published)
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object|null>} The new video, or null if it isn't new
+	 */
+	async handlePush(entry, source) {
+		const lastUpdate = await this.getLastUpdate(source)
+		const lastCheckTime = lastUpdate?.last_content_timestamp
+			? new Date(lastUpdate.last_content_timestamp)
+			: new Date(Date.now() - 24 * 60 * 60 * 1000) // Default to 24 hours ago
+
+		if (entry.published <= lastCheckTime) {
+			logger.debug(`Ignoring push for older video ${entry.videoId} on ${source.account}`)
+			return null
+		}
+
+		if (await database.isNotificationSent(source.id, entry.videoId)) {
+			return null
+		}
+
+		const video = await this.getPushedVideo(entry, source)
+
+		logger.info(`Received push for new YouTube video ${video.id} on ${source.account}`)
+		return video
+	}
+
+	/**
+	 * Build the video object for a pushed entry
+	 * Uses the API for the description, thumbnail and type when a key is configured
+	 * @param {Object} entry - Parsed Atom entry
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Video object
+	 */
+	async getPushedVideo(entry, source) {
+		const video = {
+			id: entry.videoId,
+			title: entry.title,
+			description: '',
+			thumbnail: `https://i.ytimg.com/vi/${entry.videoId}/hqdefault.jpg`,
+			publishedAt: entry.published,
+			url: entry.link || `https://www.youtube.com/watch?v=${entry.videoId}`,
+			channelId: entry.channelId,
+			channelTitle: entry.author,
+			sourceId: source.id,
+			platform: 'youtube'
+		}
+
+		await this.classifyVideos([video])
+
+		const info = await this.getChannelInfo(source)
+		video.channelThumbnail = info.success ? info.channel.thumbnail : null
+		video.channelTitle = video.channelTitle || (info.success ? info.channel.title : source.account)
+
+		return video
+	}
+
+	/**
+	 * Fetch snippet, duration and live streaming details of videos
+	 * @param {Array<string>} videoIds - YouTube video IDs
+	 * @returns {Promise<Map>} API video resources keyed by video ID
+	 */
+	async getVideoDetails(videoIds) {
+		const details = new Map()
+
+		// videos.list accepts up to 50 IDs per request
+		for (let i = 0; i < videoIds.length; i += 50) {
+			const response = await axios.get(`${this.baseUrl}/videos`, {
+				params: {
+					key: this.apiKey,
+					id: videoIds.slice(i, i + 50).join(','),
+					part: 'snippet,contentDetails,liveStreamingDetails'
+				}
+			})
+
+			for (const item of response.data.items || []) {
+				details.set(item.id, item)
+			}
+		}
+
+		return details
+	}
+
+	/**
+	 * Classify videos as video, short, upcoming, live or ended stream
+	 * Without an API key only Shorts can be told apart from regular videos.
+	 * Videos that can't be classified are treated as regular videos.
+	 * @param {Array<Object>} videos - Video objects, updated in place
+	 * @returns {Promise<void>}
+	 */
+	async classifyVideos(videos) {
+		let details = new Map()
+
+		if (this.hasApiKey() && videos.length > 0) {
+			try {
+				details = await this.getVideoDetails(videos.map(video => video.id))
+			} catch (error) {
+				logger.warn(`Failed to fetch video details: ${error.message}`)
+			}
+		}
+
+		for (const video of videos) {
+			const item = details.get(video.id)
+			if (item) {
+				this.applyVideoDetails(video, item)
+			}
+
+			video.type = item ? this.getContentType(item) : 'video'
+
+			const mayBeShort = video.duration === undefined || (video.duration > 0 && video.duration <= SHORTS_MAX_DURATION)
+			if (video.type === 'video' && mayBeShort && await this.isShort(video.id)) {
+				video.type = 'short'
+			}
+		}
+	}
+
+	/**
+	 * Copy the details of a videos.list resource onto a video object
+	 * @param {Object} video - Video object
+	 * @param {Object} item - API video resource
+	 */
+	applyVideoDetails(video, item) {
+		const { snippet, contentDetails, liveStreamingDetails } = item
+
+		if (snippet) {
+			video.title = snippet.title || video.title
+			video.description = snippet.description ?? video.description
+			video.thumbnail = snippet.thumbnails?.high?.url || snippet.thumbnails?.default?.url || video.thumbnail
+			video.channelTitle = snippet.channelTitle || video.channelTitle
+		}
+
+		video.duration = this.parseDuration(contentDetails?.duration)
+
+		if (liveStreamingDetails) {
+			// Premieres are uploaded files, so unlike streams they have a duration before airing.
+			// Once aired both have one, so a premiere stays a premiere for tracked content
+			video.isPremiere = video.isPremiere || (video.duration > 0 && snippet?.liveBroadcastContent !== 'none')
+			video.scheduledStartTime = liveStreamingDetails.scheduledStartTime ? new Date(liveStreamingDetails.scheduledStartTime) : null
+			video.actualStartTime = liveStreamingDetails.actualStartTime ? new Date(liveStreamingDetails.actualStartTime) : null
+			video.actualEndTime = liveStreamingDetails.actualEndTime ? new Date(liveStreamingDetails.actualEndTime) : null
+			video.concurrentViewers = liveStreamingDetails.concurrentViewers ? parseInt(liveStreamingDetails.concurrentViewers) : null
+		}
+	}
+
+	/**
+	 * Get the content type of a videos.list resource
+	 * @param {Object} item - API video resource
+	 * @returns {string} Content type (video, upcoming, live or ended)
+	 */
+	getContentType(item) {
+		switch (item.snippet?.liveBroadcastContent) {
+			case 'upcoming':
+				return 'upcoming'
+			case 'live':
+				return 'live'
+			default:
+				return item.liveStreamingDetails?.actualEndTime ? 'ended' : 'video'
+		}
+	}
+
+	/**
+	 * Whether an announced video can still change state (upcoming or live)
+	 * Only the API can tell when it does, so nothing is tracked without a key
+	 * @param {Object} video - Video object
+	 * @returns {boolean} True while the video should be tracked
+	 */
+	isInFlight(video) {
+		return this.hasApiKey() && (video.type === 'upcoming' || video.type === 'live')
+	}
+
+	/**
+	 * Describe the Discord Scheduled Event for a premiere or live stream
+	 * @param {Object} video - Video object
+	 * @returns {Object|null} Event details, or null for regular uploads
+	 */
+	getScheduledEvent(video) {
+		const status = { upcoming: 'scheduled', live: 'active', ended: 'completed' }[video.type]
+		if (!status || !video.scheduledStartTime) {
+			return null
+		}
+
+		const scheduledStartTime = new Date(video.scheduledStartTime)
+		const length = video.duration > 0 ? video.duration * 1000 : DEFAULT_EVENT_DURATION
+		const kind = video.isPremiere ? 'Premiere' : 'Live stream'
+
+		return {
+			status,
+			name: video.title.length > 100 ? `${video.title.substring(0, 97)}...` : video.title,
+			description: `${kind} by ${video.channelTitle} on YouTube\n${video.url}`,
+			scheduledStartTime,
+			scheduledEndTime: new Date(scheduledStartTime.getTime() + length),
+			location: video.url,
+			image: video.thumbnail
+		}
+	}
+
+	/**
+	 * Fetch the current state of tracked videos
+	 * Videos that were deleted or made private are left out of the result,
+	 * as are all videos when the API key was removed since they were tracked
+	 * @param {Array<Object>} videos - Stored video objects
+	 * @returns {Promise<Array<Object>>} Updated video objects
+	 */
+	async refreshContent(videos) {
+		if (!this.hasApiKey()) {
+			return []
+		}
+
+		const details = await this.getVideoDetails(videos.map(video => video.id))
+
+		return videos
+			.filter(video => details.has(video.id))
+			.map(stored => {
+				const item = details.get(stored.id)
+				const video = { ...stored, publishedAt: new Date(stored.publishedAt) }
+
+				this.applyVideoDetails(video, item)
+				video.type = this.getContentType(item)
+				return video
+			})
+	}
+
+	/**
+	 * Check whether a video is a Short
+	 * The API doesn't say, but /shorts/ URLs of regular videos redirect to /watch
+	 * @param {string} videoId - YouTube video ID
+	 * @returns {Promise<boolean>} True if the video is a Short
+	 */
+	async isShort(videoId) {
+		try {
+			const response = await axios.head(`${WEBSITE_URL}/shorts/${videoId}`, {
+				headers: PAGE_HEADERS,
+				maxRedirects: 0,
+				validateStatus: status => status < 400,
+				timeout: 10000
+			})
+			return response.status === 200
+		} catch (error) {
+			logger.debug(`Could not check whether ${videoId} is a Short: ${error.message}`)
+			return false
+		}
+	}
+
+	/**
+	 * Convert an ISO 8601 duration (e.g. PT1H2M3S) to seconds
+	 * @param {string} duration - ISO 8601 duration
+	 * @returns {number|undefined} Seconds, or undefined if missing
+	 */
+	parseDuration(duration) {
+		const match = duration?.match(DURATION_PATTERN)
+		if (!match) return undefined
+
+		const [, days, hours, minutes, seconds] = match.map(part => parseInt(part) || 0)
+		return ((days * 24 + hours) * 60 + minutes) * 60 + seconds
+	}
+
+	/**
+	 * Format seconds as H:MM:SS or M:SS
+	 * @param {number} totalSeconds - Duration in seconds
+	 * @returns {string} Formatted duration
+	 */
+	formatDuration(totalSeconds) {
+		const hours = Math.floor(totalSeconds / 3600)
+		const minutes = Math.floor((totalSeconds % 3600) / 60)
+		const seconds = String(totalSeconds % 60).padStart(2, '0')
+
+		return hours > 0
+			? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+			: `${minutes}:${seconds}`
+	}
+
 	/**
 	 * Get video statistics (views, likes, comments)
 	 * @param {string} videoId - YouTube video ID
 	 * @returns {Promise<Object>} Video statistics
 	 */
 	async getVideoStats(videoId) {
+		if (!this.hasApiKey()) {
+			return {
+				success: false,
+				error: 'Video statistics require YOUTUBE_API_KEY'
+			}
+		}
+
 		try {
 			const response = await axios.get(`${this.baseUrl}/videos`, {
 				params: {
@@ -236,15 +865,19 @@ class YouTubeService {
 	 * @returns {Object} Discord embed object
 	 */
 	formatForDiscord(video) {
+		const type = CONTENT_TYPES[video.type] || CONTENT_TYPES.video
+		const action = video.isPremiere && type.premiereAction ? type.premiereAction : type.action
+
 		const embed = {
 			author: {
 				name: video.channelTitle,
-				icon_url: 'https://www.youtube.com/s/desktop/f506bd45/img/favicon_32.png'
+				url: `https://www.youtube.com/channel/${video.channelId}`,
+				icon_url: video.channelThumbnail || YOUTUBE_ICON_URL
 			},
 			title: video.title,
-			description: `${video.channelTitle} published a video on YouTube!\n\n**Description**\n${this.truncateDescription(video.description, 150)}`,
+			description: `${video.channelTitle} ${action}\n\n**Description**\n${this.truncateDescription(video.description, 150)}`,
 			url: video.url,
-			color: 0xFF0000, // YouTube red
+			color: type.color,
 			image: {
 				url: video.thumbnail
 			},
@@ -257,14 +890,51 @@ class YouTubeService {
 					minute: '2-digit',
 					hour12: true
 				})}`,
-				icon_url: 'https://www.youtube.com/s/desktop/f506bd45/img/favicon_32.png'
+				icon_url: YOUTUBE_ICON_URL
 			},
 			timestamp: video.publishedAt.toISOString()
 		}
 
+		const fields = []
+
+		if (video.type === 'upcoming' && video.scheduledStartTime) {
+			const startsAt = Math.floor(video.scheduledStartTime.getTime() / 1000)
+			fields.push({ name: '🗓️ Starts', value: `<t:${startsAt}:F> (<t:${startsAt}:R>)`, inline: true })
+		}
+
+		if (video.type === 'live' && video.concurrentViewers !== null && video.concurrentViewers !== undefined) {
+			fields.push({ name: '👀 Watching', value: video.concurrentViewers.toLocaleString('en-US'), inline: true })
+		}
+
+		if (video.type === 'ended' && video.duration > 0) {
+			fields.push({ name: '⏱️ Duration', value: this.formatDuration(video.duration), inline: true })
+		}
+
+		if (fields.length > 0) {
+			embed.fields = fields
+		}
+
 		return embed
 	}
 
+	/**
+	 * Get the values announcement templates can use for a video
+	 * @param {Object} video - Video object
+	 * @returns {Object} Values keyed by placeholder name
+	 */
+	getTemplateVariables(video) {
+		return {
+			title: video.title,
+			description: video.description || null,
+			channel: video.channelTitle,
+			image: video.thumbnail || null,
+			publishedAt: video.publishedAt,
+			startsAt: video.scheduledStartTime ? new Date(video.scheduledStartTime) : null,
+			viewers: video.concurrentViewers ?? null,
+			duration: video.duration > 0 ? this.formatDuration(video.duration) : null
+		}
+	}
+
 	/**
 	 * Truncate description to specified length
 	 * @param {string} description - Video description
@@ -282,12 +952,27 @@ class YouTubeService {
 	}
 
 	/**
-	 * Get channel information
+	 * Get channel information (cached per channel)
+	 * @param {Object} source - Source object
 	 * @returns {Promise<Object>} Channel information
 	 */
-	async getChannelInfo() {
+	async getChannelInfo(source) {
 		try {
-			const channelId = await this.getChannelId()
+			const channelId = await this.getChannelId(source)
+
+			const cached = this.channelInfo.get(channelId)
+			if (cached && Date.now() - cached.fetchedAt < CHANNEL_INFO_TTL) {
+				return { success: true, channel: cached.channel }
+			}
+
+			if (!this.hasApiKey()) {
+				const info = await this.getChannelInfoFromPage(channelId)
+				this.channelInfo.set(channelId, { channel: info, fetchedAt: Date.now() })
+				return {
+					success: true,
+					channel: info
+				}
+			}
 
 			const response = await axios.get(`${this.baseUrl}/channels`, {
 				params: {
@@ -299,17 +984,20 @@ class YouTubeService {
 
 			if (response.data.items && response.data.items.length > 0) {
 				const channel = response.data.items[0]
+				const info = {
+					id: channel.id,
+					title: channel.snippet.title,
+					description: channel.snippet.description,
+					thumbnail: channel.snippet.thumbnails.high?.url,
+					subscriberCount: parseInt(channel.statistics.subscriberCount) || 0,
+					videoCount: parseInt(channel.statistics.videoCount) || 0,
+					viewCount: parseInt(channel.statistics.viewCount) || 0
+				}
+
+				this.channelInfo.set(channelId, { channel: info, fetchedAt: Date.now() })
 				return {
 					success: true,
-					channel: {
-						id: channel.id,
-						title: channel.snippet.title,
-						description: channel.snippet.description,
-						thumbnail: channel.snippet.thumbnails.high?.url,
-						subscriberCount: parseInt(channel.statistics.subscriberCount) || 0,
-						videoCount: parseInt(channel.statistics.videoCount) || 0,
-						viewCount: parseInt(channel.statistics.viewCount) || 0
-					}
+					channel: info
 				}
 			}
 
@@ -326,6 +1014,47 @@ class YouTubeService {
 			}
 		}
 	}
+
+	/**
+	 * Read channel information from the channel page, for use without an API key
+	 * Statistics are only available through the API and are left empty
+	 * @param {string} channelId - YouTube channel ID
+	 * @returns {Promise<Object>} Channel information
+	 */
+	async getChannelInfoFromPage(channelId) {
+		const response = await axios.get(`${WEBSITE_URL}/channel/${channelId}`, {
+			headers: PAGE_HEADERS,
+			timeout: 15000
+		})
+
+		const $ = cheerio.load(response.data)
+		const title = $('meta[property="og:title"]').attr('content')
+		if (!title) {
+			throw new Error('Channel not found')
+		}
+
+		return {
+			id: channelId,
+			title,
+			description: $('meta[property="og:description"]').attr('content') || '',
+			thumbnail: $('meta[property="og:image"]').attr('content') || null,
+			subscriberCount: null,
+			videoCount: null,
+			viewCount: null
+		}
+	}
+
+	/**
+	 * Check that an account can be monitored before subscribing to it
+	 * @param {Object} source - Source object
+	 * @returns {Promise<Object>} Validation result
+	 */
+	async validateSource(source) {
+		const info = await this.getChannelInfo(source)
+		return info.success
+			? { success: true }
+			: { success: false, error: `Could not find YouTube channel \`${source.account}\`: ${info.error}` }
+	}
 }
 
 // Create and export singleton instance
@@ -0,0 +1,65 @@
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time
+ * Tasks beyond the limit wait in order until a running one settles
+ * @param {number} limit - Maximum number of tasks running at once
+ * @returns {Function} Runs a task function through the limiter, resolving to its result
+ */
+function createLimiter(limit) {
+	const queue = []
+	let active = 0
+
+	const next = () => {
+		if (active >= limit || queue.length === 0) {
+			return
+		}
+
+		const { task, resolve, reject } = queue.shift()
+		active++
+
+		Promise.resolve()
+			.then(task)
+			.then(resolve, reject)
+			.finally(() => {
+				active--
+				next()
+			})
+	}
+
+	const run = task => new Promise((resolve, reject) => {
+		queue.push({ task, resolve, reject })
+		next()
+	})
+
+	run.getActiveCount = () => active
+	run.getQueuedCount = () => queue.length
+
+	return run
+}
+
+/**
+ * Reject when a promise doesn't settle in time
+ * The promise itself keeps running; the error has `timedOut` set so callers
+ * can tell a timeout from a failure
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, message = `Timed out after ${Math.round(ms / 1000)}s`) {
+	let timer = null
+
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(message)
+			error.timedOut = true
+			reject(error)
+		}, ms)
+	})
+
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+export {
+	createLimiter,
+	withTimeout
+} 
\ No newline at end of file
@@ -0,0 +1,215 @@
+import { database } from '../database/database.js'
+import { createServiceLogger } from './logger.js'
+
+const logger = createServiceLogger('crosspost')
+
+const RATE_LIMIT = 10 // Crossposts Discord allows per channel...
+const RATE_WINDOW = 60 * 60 * 1000 // ...per hour
+const MAX_ATTEMPTS = 5
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000]
+
+// Discord API errors retrying won't fix
+const ALREADY_CROSSPOSTED = 40033
+const PERMANENT_ERRORS = [
+	10003, // Unknown channel
+	10008, // Unknown message
+	50001, // Missing access
+	50013, // Missing permissions
+	50024 // Cannot execute action on this channel type
+]
+
+/**
+ * Queue that publishes announcements in Announcement channels to the servers
+ * following them
+ *
+ * Discord allows 10 crossposts per channel per hour. Each channel keeps a
+ * sliding window of its recent crossposts and waits when it is full, instead
+ * of letting the request sit in discord.js' rate limit queue. Failed
+ * crossposts are retried with a growing delay. The state of every message is
+ * stored in sent_notifications, so pending crossposts survive a restart.
+ */
+class CrosspostQueue {
+	/**
+	 * @param {Function} publish - Crossposts a message, called with { channelId, messageId }
+	 */
+	constructor(publish) {
+		this.publish = publish
+		this.channels = new Map() // channel ID -> { jobs, sentAt, timer, running }
+	}
+
+	/**
+	 * Get the queue state of a channel
+	 * @param {string} channelId - Discord channel ID
+	 * @returns {Object} Channel state
+	 */
+	getChannel(channelId) {
+		if (!this.channels.has(channelId)) {
+			this.channels.set(channelId, { jobs: [], sentAt: [], timer: null, running: false })
+		}
+
+		return this.channels.get(channelId)
+	}
+
+	/**
+	 * Queue a message for crossposting
+	 * @param {string} channelId - Discord channel ID
+	 * @param {string} messageId - Discord message ID
+	 * @param {number} attempts - Attempts made before (e.g. before a restart)
+	 */
+	enqueue(channelId, messageId, attempts = 0) {
+		const channel = this.getChannel(channelId)
+
+		if (channel.jobs.some(job => job.messageId === messageId)) {
+			return
+		}
+
+		channel.jobs.push({ channelId, messageId, attempts, notBefore: 0 })
+		this.run(channelId)
+	}
+
+	/**
+	 * Requeue crossposts left pending by a previous run
+	 * Crossposts of the last hour are counted so the rate limit windows stay accurate
+	 * @returns {Promise<number>} Number of requeued messages
+	 */
+	async restore() {
+		for (const row of await database.getRecentCrossposts()) {
+			this.getChannel(row.channel_id).sentAt.push(new Date(`${row.crossposted_at.replace(' ', 'T')}Z`).getTime())
+		}
+
+		const pending = await database.getPendingCrossposts()
+		for (const row of pending) {
+			this.enqueue(row.channel_id, row.discord_message_id, row.crosspost_attempts || 0)
+		}
+
+		if (pending.length > 0) {
+			logger.info(`Requeued ${pending.length} pending crosspost(s)`)
+		}
+
+		return pending.length
+	}
+
+	/**
+	 * Crosspost the queued messages of a channel, as far as its rate limit allows
+	 * @param {string} channelId - Discord channel ID
+	 * @returns {Promise<void>}
+	 */
+	async process(channelId) {
+		const channel = this.getChannel(channelId)
+
+		if (channel.running) {
+			return
+		}
+
+		channel.running = true
+		clearTimeout(channel.timer)
+		channel.timer = null
+
+		try {
+			while (channel.jobs.length > 0) {
+				const now = Date.now()
+				channel.sentAt = channel.sentAt.filter(time => now - time < RATE_WINDOW)
+
+				const job = channel.jobs.find(queued => queued.notBefore <= now)
+				const waitUntil = channel.sentAt.length >= RATE_LIMIT
+					? channel.sentAt[0] + RATE_WINDOW
+					: job ? now : Math.min(...channel.jobs.map(queued => queued.notBefore))
+
+				if (waitUntil > now) {
+					this.schedule(channelId, waitUntil - now)
+					return
+				}
+
+				channel.jobs.splice(channel.jobs.indexOf(job), 1)
+				channel.sentAt.push(now)
+				await this.attempt(job)
+			}
+		} finally {
+			channel.running = false
+		}
+	}
+
+	/**
+	 * Crosspost a single message and record the outcome
+	 * @param {Object} job - Queued crosspost
+	 * @returns {Promise<void>}
+	 */
+	async attempt(job) {
+		job.attempts++
+
+		try {
+			await this.publish(job)
+			await database.updateCrosspostStatus(job.channelId, job.messageId, 'published', job.attempts)
+			logger.info(`Crossposted message ${job.messageId} in channel ${job.channelId}`)
+
+		} catch (error) {
+			if (error.code === ALREADY_CROSSPOSTED) {
+				await database.updateCrosspostStatus(job.channelId, job.messageId, 'published', job.attempts)
+				return
+			}
+
+			const channel = this.getChannel(job.channelId)
+
+			// Someone else used up the channel's rate limit (or we restarted without knowing about it)
+			if (error.retryAfter !== undefined || error.status === 429) {
+				channel.sentAt = Array(RATE_LIMIT).fill(Date.now() - RATE_WINDOW + (error.retryAfter || RETRY_DELAYS[0]))
+				channel.jobs.unshift({ ...job, attempts: job.attempts - 1 })
+				logger.warn(`Crosspost rate limit hit in channel ${job.channelId}, retrying in ${Math.ceil((error.retryAfter || RETRY_DELAYS[0]) / 60000)} minute(s)`)
+				return
+			}
+
+			if (PERMANENT_ERRORS.includes(error.code) || job.attempts >= MAX_ATTEMPTS) {
+				await database.updateCrosspostStatus(job.channelId, job.messageId, 'failed', job.attempts)
+				logger.error(`Giving up crossposting message ${job.messageId} in channel ${job.channelId}: ${error.message}`)
+				return
+			}
+
+			const delay = RETRY_DELAYS[Math.min(job.attempts - 1, RETRY_DELAYS.length - 1)]
+			channel.jobs.push({ ...job, notBefore: Date.now() + delay })
+			await database.updateCrosspostStatus(job.channelId, job.messageId, 'pending', job.attempts)
+			logger.warn(`Failed to crosspost message ${job.messageId} (attempt ${job.attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delay / 60000)} minute(s): ${error.message}`)
+		}
+	}
+
+	/**
+	 * Process a channel again after a delay
+	 * @param {string} channelId - Discord channel ID
+	 * @param {number} delay - Delay in milliseconds
+	 */
+	schedule(channelId, delay) {
+		const channel = this.getChannel(channelId)
+		clearTimeout(channel.timer)
+		channel.timer = setTimeout(() => this.run(channelId), delay)
+	}
+
+	/**
+	 * Process a channel in the background
+	 * @param {string} channelId - Discord channel ID
+	 */
+	run(channelId) {
+		this.process(channelId).catch(error => {
+			logger.error(`Error processing crossposts for channel ${channelId}: ${error.message}`)
+		})
+	}
+
+	/**
+	 * Get the number of messages waiting to be crossposted
+	 * @returns {number} Queued messages
+	 */
+	size() {
+		return [...this.channels.values()].reduce((total, channel) => total + channel.jobs.length, 0)
+	}
+
+	/**
+	 * Stop all timers, pending crossposts are picked up again by restore()
+	 */
+	stop() {
+		for (const channel of this.channels.values()) {
+			clearTimeout(channel.timer)
+		}
+
+		this.channels.clear()
+	}
+}
+
+export { CrosspostQueue } 
\ No newline at end of file
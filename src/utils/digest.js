@@ -0,0 +1,130 @@
+/**
+ * Announcement digests.
+ *
+ * Sources in digest mode don't get a message per post. Their content is
+ * collected in digest_items and posted on the DIGEST_SCHEDULE as one summary,
+ * with an embed per platform listing the new posts. Sources in `both` mode
+ * are announced right away and also show up in the digest.
+ */
+
+import { providerRegistry } from '../services/registry.js'
+
+const DIGEST_MODES = {
+	instant: 'Announce right away',
+	digest: 'Digest only',
+	both: 'Announce right away and in the digest'
+}
+
+// Discord limits for a single message
+const MAX_EMBEDS = 10
+const MAX_MESSAGE_LENGTH = 6000
+const MAX_DESCRIPTION_LENGTH = 4096
+const MAX_TITLE_LENGTH = 100
+
+/**
+ * Format a digest item as a line of its platform's embed
+ * @param {Object} item - Digest item row
+ * @returns {string} Markdown line
+ */
+function formatItem(item) {
+	const title = (item.title || item.url || item.content_id).replace(/[[\]]/g, '')
+	const shortTitle = title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 3).trim()}...` : title
+	const published = item.published_at ? ` - <t:${Math.floor(new Date(item.published_at).getTime() / 1000)}:R>` : ''
+
+	return item.url ? `• [${shortTitle}](${item.url})${published}` : `• ${shortTitle}${published}`
+}
+
+/**
+ * Build the embed of a platform's items
+ * Items that don't fit are counted at the end, the thumbnail is the newest item's
+ * @param {string} platform - Platform name
+ * @param {Array<Object>} items - Digest item rows, oldest first
+ * @returns {Object} Embed data
+ */
+function buildPlatformEmbed(platform, items) {
+	const provider = providerRegistry.get(platform)
+	const lines = []
+	let length = 0
+
+	for (const [index, item] of items.entries()) {
+		const line = formatItem(item)
+		const more = `\n...and ${items.length - index} more`
+
+		if (length + line.length + 1 + more.length > MAX_DESCRIPTION_LENGTH) {
+			lines.push(more.trim())
+			break
+		}
+
+		lines.push(line)
+		length += line.length + 1
+	}
+
+	const thumbnail = items.findLast(item => item.image_url)?.image_url
+
+	return {
+		title: `${provider?.emoji || '📢'} ${provider?.displayName || platform} (${items.length})`,
+		description: lines.join('\n'),
+		color: 0x0099FF,
+		...(thumbnail && { thumbnail: { url: thumbnail } })
+	}
+}
+
+/**
+ * Get the number of characters Discord counts for an embed
+ * @param {Object} embed - Embed data
+ * @returns {number} Length
+ */
+function getEmbedLength(embed) {
+	return (embed.title?.length || 0) + (embed.description?.length || 0) + (embed.footer?.text?.length || 0)
+}
+
+/**
+ * Build the messages of a digest, grouped by platform
+ * Usually one message; digests too long for one are split between platforms
+ * @param {Array<Object>} items - Digest item rows of one channel, oldest first
+ * @param {string} title - Heading of the digest
+ * @returns {Array<Object>} Message options with the items each message lists
+ */
+function buildDigestMessages(items, title = 'Digest') {
+	const byPlatform = new Map()
+	for (const item of items) {
+		byPlatform.set(item.platform, [...(byPlatform.get(item.platform) || []), item])
+	}
+
+	const heading = `📰 **${title}** - ${items.length} new post${items.length === 1 ? '' : 's'}`
+	const messages = []
+	let embeds = []
+	let messageItems = []
+	let length = 0
+
+	for (const [platform, platformItems] of byPlatform) {
+		const embed = buildPlatformEmbed(platform, platformItems)
+		const embedLength = getEmbedLength(embed)
+
+		if (embeds.length > 0 && (embeds.length >= MAX_EMBEDS || length + embedLength > MAX_MESSAGE_LENGTH)) {
+			messages.push({ message: { embeds }, items: messageItems })
+			embeds = []
+			messageItems = []
+			length = 0
+		}
+
+		embeds.push(embed)
+		messageItems.push(...platformItems)
+		length += embedLength
+	}
+
+	if (embeds.length > 0) {
+		messages.push({ message: { embeds }, items: messageItems })
+	}
+
+	if (messages.length > 0) {
+		messages[0].message.content = heading
+	}
+
+	return messages
+}
+
+export {
+	DIGEST_MODES,
+	buildDigestMessages
+} 
\ No newline at end of file
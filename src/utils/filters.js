@@ -0,0 +1,248 @@
+/**
+ * Content filters.
+ *
+ * Guilds can limit what gets announced for a source with include and exclude
+ * rules. A rule matches the title, caption or description of a content item
+ * by keyword, hashtag or regular expression. Exclude rules win; when there
+ * are include rules, at least one of them has to match. Videos can also be
+ * filtered on a minimum duration and on being a Short.
+ *
+ * Filters are stored as JSON in source_settings.filters:
+ * `{ include: [{ type, value }], exclude: [{ type, value }], minDuration, shorts }`
+ */
+
+import isSafeRegex from 'safe-regex2'
+
+const RULE_TYPES = {
+	keyword: 'Keyword',
+	hashtag: 'Hashtag',
+	regex: 'Regex'
+}
+
+const SHORTS_MODES = {
+	only: 'Only Shorts',
+	exclude: 'No Shorts'
+}
+
+const MAX_RULES = 25
+const MAX_REGEX_LENGTH = 200
+
+// Content fields rules are matched against, across providers
+const TEXT_FIELDS = ['title', 'caption', 'description', 'summary', 'content']
+
+/**
+ * Create an empty filter set
+ * @returns {Object} Filters that let everything through
+ */
+function createFilters() {
+	return { include: [], exclude: [], minDuration: null, shorts: null }
+}
+
+/**
+ * Parse the filters stored for a source
+ * @param {string} json - Stored filters (optional)
+ * @returns {Object|null} Filters, or null if none are set
+ */
+function parseFilters(json) {
+	if (!json) {
+		return null
+	}
+
+	return { ...createFilters(), ...JSON.parse(json) }
+}
+
+/**
+ * Whether a filter set would filter anything
+ * @param {Object} filters - Filters
+ * @returns {boolean} True if any rule or option is set
+ */
+function hasFilters(filters) {
+	return !!filters && (filters.include.length > 0 || filters.exclude.length > 0 || !!filters.minDuration || !!filters.shorts)
+}
+
+/**
+ * Check and normalize a rule before it is stored
+ * @param {string} type - Rule type (see RULE_TYPES)
+ * @param {string} value - Keyword, hashtag or pattern
+ * @returns {Object} Rule, or an error message
+ */
+function createRule(type, value) {
+	const text = value?.trim()
+
+	if (!RULE_TYPES[type] || !text) {
+		return { error: 'A rule needs a type and a value' }
+	}
+
+	if (type === 'hashtag') {
+		const tag = text.replace(/^#/, '')
+		return /^[\p{L}\p{N}_]+$/u.test(tag)
+			? { rule: { type, value: tag.toLowerCase() } }
+			: { error: `\`${text}\` is not a valid hashtag` }
+	}
+
+	if (type === 'regex') {
+		if (text.length > MAX_REGEX_LENGTH) {
+			return { error: `Patterns can be at most ${MAX_REGEX_LENGTH} characters long` }
+		}
+
+		try {
+			new RegExp(text, 'iu')
+		} catch (error) {
+			return { error: `Invalid pattern: ${error.message}` }
+		}
+
+		// Rules run on every new post, a pattern that backtracks catastrophically would block the bot
+		if (!isSafeRegex(text)) {
+			return { error: 'Patterns with nested repetition like `(a+)+` can take forever to match, please simplify it' }
+		}
+	}
+
+	return { rule: { type, value: text } }
+}
+
+/**
+ * Get the text of a content item that rules are matched against
+ * @param {Object} content - Content object
+ * @returns {string} Title, caption and description joined
+ */
+function getFilterText(content) {
+	return TEXT_FIELDS
+		.map(field => content[field])
+		.filter(value => typeof value === 'string' && value)
+		.join('\n')
+}
+
+/**
+ * Check whether a rule matches a text
+ * @param {Object} rule - Rule
+ * @param {string} text - Text from getFilterText()
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, text) {
+	switch (rule.type) {
+		case 'keyword':
+			return text.toLowerCase().includes(rule.value.toLowerCase())
+		case 'hashtag':
+			return new RegExp(`#${rule.value}(?![\\p{L}\\p{N}_])`, 'iu').test(text)
+		case 'regex':
+			return new RegExp(rule.value, 'iu').test(text)
+		default:
+			return false
+	}
+}
+
+/**
+ * Describe a rule for display and logs
+ * @param {Object} rule - Rule
+ * @returns {string} Human readable rule
+ */
+function describeRule(rule) {
+	switch (rule.type) {
+		case 'hashtag':
+			return `#${rule.value}`
+		case 'regex':
+			return `/${rule.value}/`
+		default:
+			return `"${rule.value}"`
+	}
+}
+
+/**
+ * Decide whether a content item passes a source's filters
+ * Durations and Short checks only apply to content that has them
+ * @param {Object} filters - Filters (optional)
+ * @param {Object} content - Content object
+ * @returns {Object} Whether the content is allowed, and why not
+ */
+function evaluateFilters(filters, content) {
+	if (!hasFilters(filters)) {
+		return { allowed: true }
+	}
+
+	if (filters.shorts === 'only' && content.type !== 'short') {
+		return { allowed: false, reason: 'not a Short' }
+	}
+
+	if (filters.shorts === 'exclude' && content.type === 'short') {
+		return { allowed: false, reason: 'is a Short' }
+	}
+
+	if (filters.minDuration && content.duration > 0 && content.duration < filters.minDuration) {
+		return { allowed: false, reason: `shorter than ${filters.minDuration} seconds` }
+	}
+
+	const text = getFilterText(content)
+
+	const excludedBy = filters.exclude.find(rule => matchesRule(rule, text))
+	if (excludedBy) {
+		return { allowed: false, reason: `matches exclude rule ${describeRule(excludedBy)}` }
+	}
+
+	if (filters.include.length > 0 && !filters.include.some(rule => matchesRule(rule, text))) {
+		return { allowed: false, reason: 'matches no include rule' }
+	}
+
+	return { allowed: true }
+}
+
+/**
+ * Describe a filter set, numbering rules so they can be removed by number
+ * @param {Object} filters - Filters (optional)
+ * @returns {Array<string>} Lines describing the filters
+ */
+function describeFilters(filters) {
+	if (!hasFilters(filters)) {
+		return ['No filters, everything is announced']
+	}
+
+	const rules = [
+		...filters.include.map(rule => `Include ${RULE_TYPES[rule.type].toLowerCase()} ${describeRule(rule)}`),
+		...filters.exclude.map(rule => `Exclude ${RULE_TYPES[rule.type].toLowerCase()} ${describeRule(rule)}`)
+	]
+	const lines = rules.map((rule, index) => `${index + 1}. ${rule}`)
+
+	if (filters.minDuration) {
+		lines.push(`Minimum duration: ${filters.minDuration} seconds`)
+	}
+
+	if (filters.shorts) {
+		lines.push(SHORTS_MODES[filters.shorts])
+	}
+
+	return lines
+}
+
+/**
+ * Remove a rule by the number describeFilters() shows for it
+ * @param {Object} filters - Filters, changed in place
+ * @param {number} number - Rule number, starting at 1
+ * @returns {Object|null} Removed rule, or null if there is no such rule
+ */
+function removeRule(filters, number) {
+	const index = number - 1
+
+	if (index >= 0 && index < filters.include.length) {
+		return filters.include.splice(index, 1)[0]
+	}
+
+	const excludeIndex = index - filters.include.length
+	if (excludeIndex >= 0 && excludeIndex < filters.exclude.length) {
+		return filters.exclude.splice(excludeIndex, 1)[0]
+	}
+
+	return null
+}
+
+export {
+	RULE_TYPES,
+	SHORTS_MODES,
+	MAX_RULES,
+	createFilters,
+	parseFilters,
+	hasFilters,
+	createRule,
+	evaluateFilters,
+	describeFilters,
+	describeRule,
+	removeRule
+} 
\ No newline at end of file
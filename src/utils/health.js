@@ -0,0 +1,159 @@
+import { database } from '../database/database.js'
+import { discordService } from '../services/discord.js'
+import { createServiceLogger } from './logger.js'
+
+const logger = createServiceLogger('health')
+
+const OPEN_AFTER = 3 // Consecutive failures before a source's circuit opens
+const BASE_COOLDOWN = 5 * 60 * 1000
+const MAX_COOLDOWN = 24 * 60 * 60 * 1000
+
+const HEALTH_STATES = {
+	healthy: '🟢 Healthy',
+	degraded: '🟡 Degraded',
+	open: '🔴 Circuit open'
+}
+
+/**
+ * Circuit breaker for checked sources
+ *
+ * A source that fails a check is degraded; after OPEN_AFTER failures in a row
+ * its circuit opens and it isn't checked again until a cooldown has passed,
+ * which doubles with every failed probe (up to a day). The first check after
+ * the cooldown is a probe: if it succeeds the source is healthy again,
+ * otherwise the circuit stays open. Every guild following the source gets an
+ * alert when its circuit opens and when it recovers. State is stored in
+ * source_health, so cooldowns survive a restart.
+ */
+class HealthTracker {
+	constructor() {
+		this.sources = new Map() // source ID -> { state, failures, lastError, retryAt }
+	}
+
+	/**
+	 * Load the stored health of all sources
+	 * @returns {Promise<void>}
+	 */
+	async load() {
+		for (const row of await database.getSourceHealth()) {
+			this.sources.set(row.source_id, {
+				state: HEALTH_STATES[row.state] ? row.state : 'healthy',
+				failures: row.consecutive_failures || 0,
+				lastError: row.last_error,
+				retryAt: row.retry_at ? new Date(row.retry_at) : null
+			})
+		}
+	}
+
+	/**
+	 * Get the health of a source
+	 * @param {string} sourceId - Source identifier (or platform name)
+	 * @returns {Object} State, consecutive failures, last error and retry time
+	 */
+	get(sourceId) {
+		return this.sources.get(sourceId) || { state: 'healthy', failures: 0, lastError: null, retryAt: null }
+	}
+
+	/**
+	 * Get when a source may be checked again
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Date|null} End of the cooldown, or null if the circuit is closed
+	 */
+	getRetryTime(sourceId) {
+		const health = this.get(sourceId)
+		return health.state === 'open' ? health.retryAt : null
+	}
+
+	/**
+	 * Get the cooldown after a number of consecutive failures
+	 * @param {number} failures - Consecutive failed checks
+	 * @returns {number} Cooldown in milliseconds
+	 */
+	getCooldown(failures) {
+		return Math.min(BASE_COOLDOWN * Math.pow(2, Math.max(failures - OPEN_AFTER, 0)), MAX_COOLDOWN)
+	}
+
+	/**
+	 * Record a successful check, closing the circuit
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Promise<void>}
+	 */
+	async recordSuccess(sourceId) {
+		const previous = this.get(sourceId)
+		if (previous.state === 'healthy') {
+			return
+		}
+
+		const health = { state: 'healthy', failures: 0, lastError: null, retryAt: null }
+		await this.save(sourceId, health, previous)
+
+		if (previous.state === 'open') {
+			logger.info(`${sourceId} recovered after ${previous.failures} failed check(s)`)
+			await this.alert(sourceId, `🟢 **${sourceId}** is working again after ${previous.failures} failed checks.`)
+		}
+	}
+
+	/**
+	 * Record a failed check, opening the circuit when the source keeps failing
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} error - Error message
+	 * @returns {Promise<void>}
+	 */
+	async recordFailure(sourceId, error) {
+		const previous = this.get(sourceId)
+		const failures = previous.failures + 1
+		const health = failures >= OPEN_AFTER
+			? { state: 'open', failures, lastError: error, retryAt: new Date(Date.now() + this.getCooldown(failures)) }
+			: { state: 'degraded', failures, lastError: error, retryAt: null }
+
+		await this.save(sourceId, health, previous)
+
+		if (health.state === 'open') {
+			logger.warn(`Circuit of ${sourceId} open after ${failures} failed check(s), retrying ${health.retryAt.toISOString()}: ${error}`)
+		}
+
+		if (health.state === 'open' && previous.state !== 'open') {
+			await this.alert(sourceId,
+				`🔴 **${sourceId}** stopped working: ${error}\n` +
+				`It failed ${failures} checks in a row and is retried <t:${Math.floor(health.retryAt.getTime() / 1000)}:R>, waiting longer after every failed retry.`
+			)
+		}
+	}
+
+	/**
+	 * Store a source's health
+	 * Failing to store it must not fail the check, it is kept in memory either way
+	 * @param {string} sourceId - Source identifier
+	 * @param {Object} health - New health
+	 * @param {Object} previous - Health before the check
+	 * @returns {Promise<void>}
+	 */
+	async save(sourceId, health, previous) {
+		this.sources.set(sourceId, health)
+
+		try {
+			await database.saveSourceHealth(sourceId, { ...health, stateChanged: health.state !== previous.state })
+		} catch (error) {
+			logger.error(`Failed to store health of ${sourceId}: ${error.message}`)
+		}
+	}
+
+	/**
+	 * Tell the guilds following a source that it broke or recovered
+	 * @param {string} sourceId - Source identifier
+	 * @param {string} message - Alert text
+	 * @returns {Promise<void>}
+	 */
+	async alert(sourceId, message) {
+		try {
+			await discordService.sendSourceAlert(sourceId, message)
+		} catch (error) {
+			logger.error(`Failed to send health alert: ${error.message}`)
+		}
+	}
+}
+
+// Create and export singleton instance
+const healthTracker = new HealthTracker()
+
+export { healthTracker, HealthTracker, HEALTH_STATES } 
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { database } from '../database/database.js'
+import { discordService } from '../services/discord.js'
+import { providerRegistry } from '../services/registry.js'
+import { createServiceLogger } from './logger.js'
+import { parseContent } from './templates.js'
+
+const logger = createServiceLogger('lifecycle')
+
+/**
+ * Follows announced content that is still changing, like a scheduled premiere
+ * or a running live stream. Tracked content is stored by
+ * DiscordService.sendSocialMediaUpdate() and refreshed by the scheduler after
+ * every check; announcements are edited in place whenever the content changed,
+ * until the provider reports it as finished or it disappears.
+ */
+class LifecycleTracker {
+	/**
+	 * Refresh all tracked content and edit announcements that are out of date
+	 * @returns {Promise<Object>} Number of refreshed, edited and finished items
+	 */
+	async refresh() {
+		const summary = { refreshed: 0, edited: 0, finished: 0 }
+
+		try {
+			if (!discordService.isReady) {
+				return summary
+			}
+
+			const rows = await database.getTrackedContent()
+			const rowsByPlatform = new Map()
+			for (const row of rows) {
+				rowsByPlatform.set(row.platform, [...(rowsByPlatform.get(row.platform) || []), row])
+			}
+
+			for (const [platform, platformRows] of rowsByPlatform) {
+				await this.refreshPlatform(platform, platformRows, summary)
+			}
+
+			if (summary.refreshed > 0) {
+				logger.info(`Refreshed ${summary.refreshed} tracked item(s): ${summary.edited} edited, ${summary.finished} finished`)
+			}
+
+		} catch (error) {
+			logger.error(`Error refreshing tracked content: ${error.message}`)
+		}
+
+		return summary
+	}
+
+	/**
+	 * Refresh the tracked content of one platform
+	 * @param {string} platform - Platform name
+	 * @param {Array<Object>} rows - Tracked content rows
+	 * @param {Object} summary - Counters, updated in place
+	 * @returns {Promise<void>}
+	 */
+	async refreshPlatform(platform, rows, summary) {
+		const provider = providerRegistry.get(platform)
+
+		// Providers that were removed or can't refresh would keep content tracked forever
+		if (typeof provider?.refreshContent !== 'function') {
+			for (const row of rows) {
+				await database.untrackContent(row.source_id, row.content_id)
+			}
+			return
+		}
+
+		// A row that can't be read would fail every pass, it is dropped instead
+		const tracked = []
+		for (const row of rows) {
+			try {
+				tracked.push({ row, content: parseContent(row.content) })
+			} catch (error) {
+				logger.warn(`Stopped tracking ${platform} content ${row.content_id}, its stored content is unreadable: ${error.message}`)
+				await database.untrackContent(row.source_id, row.content_id)
+			}
+		}
+
+		if (tracked.length === 0) {
+			return
+		}
+
+		let current
+		try {
+			current = await provider.refreshContent(tracked.map(({ content }) => content))
+		} catch (error) {
+			logger.warn(`Failed to refresh tracked ${provider.displayName} content: ${error.message}`)
+			return
+		}
+
+		for (const { row } of tracked) {
+			summary.refreshed++
+
+			try {
+				const content = current.find(item => item.id === row.content_id)
+
+				if (!content) {
+					logger.info(`Tracked ${platform} content ${row.content_id} no longer exists`)
+					await discordService.cancelScheduledEvents(row.source_id, row.content_id)
+					await database.untrackContent(row.source_id, row.content_id)
+					summary.finished++
+					continue
+				}
+
+				const serialized = JSON.stringify(content)
+				if (serialized !== row.content) {
+					if (content.type !== row.state) {
+						logger.info(`${platform} content ${content.id} changed from ${row.state} to ${content.type}`)
+					}
+
+					await discordService.updateSocialMediaUpdate(content, platform)
+					summary.edited++
+				}
+
+				if (provider.isInFlight?.(content)) {
+					await database.trackContent(row.source_id, content.id, content.type || null, serialized)
+				} else {
+					await database.untrackContent(row.source_id, row.content_id)
+					summary.finished++
+				}
+
+			} catch (error) {
+				logger.error(`Failed to refresh tracked ${platform} content ${row.content_id}: ${error.message}`)
+			}
+		}
+	}
+}
+
+// Create and export singleton instance
+const lifecycleTracker = new LifecycleTracker()
+
+export { lifecycleTracker, LifecycleTracker } 
\ No newline at end of file
@@ -169,6 +169,10 @@ function logBotStartup() {
  * @param {Object} validation - Validation result from config
  */
 function logConfigValidation(validation) {
+	for (const warning of validation.warnings || []) {
+		logger.warn(`⚠️ ${warning}`)
+	}
+
 	if (validation.isValid) {
 		logger.info('✅ Configuration validation passed')
 	} else {
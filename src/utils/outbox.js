@@ -0,0 +1,210 @@
+import { database } from '../database/database.js'
+import { createServiceLogger } from './logger.js'
+import { parseContent } from './templates.js'
+
+const logger = createServiceLogger('outbox')
+
+const MAX_ATTEMPTS = 8
+const RETRY_DELAYS = [60, 5 * 60, 15 * 60, 30 * 60, 60 * 60, 2 * 60 * 60, 4 * 60 * 60] // Seconds
+const BATCH_SIZE = 50
+const DELIVERY_DELAY = 1000 // Between deliveries, to avoid rate limiting
+const MAX_TIMER_DELAY = 60 * 60 * 1000
+
+/**
+ * Durable queue of content waiting to be announced
+ *
+ * New content is stored in the outbox table before anything is sent, since
+ * providers have recorded their last update by then and wouldn't find it
+ * again. Every guild gets its own item, so a guild that fails is retried on
+ * its own and /queue in one guild doesn't touch the others. The outbox
+ * delivers items in order in the background and keeps those that fail (a
+ * Discord outage, missing permissions) for a later attempt with a growing
+ * delay. After MAX_ATTEMPTS an item is dead: it stays in the outbox for
+ * /queue to retry or drop, and is cleaned up after 30 days.
+ */
+class Outbox {
+	/**
+	 * @param {Function} deliver - Announces an item, called with (content, platform, guildId); throws if it wasn't delivered
+	 */
+	constructor(deliver) {
+		this.deliver = deliver
+		this.timer = null
+		this.running = null
+		this.rerun = false
+		this.stopped = false
+	}
+
+	/**
+	 * Store new content for a guild and start delivering it in the background
+	 * Resolves once the content is stored, not when it is delivered
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object} content - Content item
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<void>}
+	 */
+	async add(guildId, content, platform) {
+		await database.enqueueOutboxItem(guildId, content.sourceId || platform, content.id, JSON.stringify(content))
+		this.run()
+	}
+
+	/**
+	 * Deliver the items that are due, joining a delivery run that is in progress
+	 * A run asked for while one is in progress follows it, so items added after
+	 * it last looked aren't left waiting
+	 * @returns {Promise<void>}
+	 */
+	process() {
+		if (this.running) {
+			this.rerun = true
+			return this.running
+		}
+
+		this.running = this.deliverDue().finally(() => {
+			this.running = null
+
+			if (this.rerun) {
+				this.rerun = false
+				this.run()
+			}
+		})
+
+		return this.running
+	}
+
+	/**
+	 * Deliver due items until there are none left, then wait for the next retry
+	 * If the outbox itself can't be read or updated the run stops and is tried
+	 * again after the first retry delay, so delivery never stalls for good
+	 * @returns {Promise<void>}
+	 */
+	async deliverDue() {
+		clearTimeout(this.timer)
+		this.timer = null
+
+		try {
+			let items = await database.getDueOutboxItems(BATCH_SIZE)
+			while (items.length > 0 && !this.stopped) {
+				for (const [index, item] of items.entries()) {
+					await this.attempt(item)
+
+					if (index < items.length - 1) {
+						await new Promise(resolve => setTimeout(resolve, DELIVERY_DELAY))
+					}
+				}
+
+				items = await database.getDueOutboxItems(BATCH_SIZE)
+			}
+
+			await this.scheduleNext()
+
+		} catch (error) {
+			logger.error(`Error delivering outbox, trying again in ${Math.round(RETRY_DELAYS[0] / 60)} minute(s): ${error.message}`)
+			this.setTimer(RETRY_DELAYS[0] * 1000)
+		}
+	}
+
+	/**
+	 * Try to deliver an item and record the outcome
+	 * @param {Object} item - Outbox row
+	 * @returns {Promise<void>}
+	 */
+	async attempt(item) {
+		const attempts = item.attempts + 1
+
+		try {
+			await this.deliver(parseContent(item.content), item.platform, item.guild_id)
+			await database.removeOutboxItem(item.id)
+
+		} catch (error) {
+			if (attempts >= MAX_ATTEMPTS) {
+				await database.updateOutboxItem(item.id, 'dead', attempts, error.message)
+				logger.error(`Giving up delivering ${item.platform} content ${item.content_id} of ${item.source_id} to guild ${item.guild_id} after ${attempts} attempts: ${error.message}`)
+				return
+			}
+
+			const delay = RETRY_DELAYS[Math.min(attempts - 1, RETRY_DELAYS.length - 1)]
+			await database.updateOutboxItem(item.id, 'pending', attempts, error.message, delay)
+			logger.warn(`Failed to deliver ${item.platform} content ${item.content_id} to guild ${item.guild_id} (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delay / 60)} minute(s): ${error.message}`)
+		}
+	}
+
+	/**
+	 * Set a timer for the next pending retry
+	 * @returns {Promise<void>}
+	 */
+	async scheduleNext() {
+		const next = await database.getNextOutboxAttempt()
+		if (!next || this.stopped) {
+			return
+		}
+
+		this.setTimer(new Date(`${next.replace(' ', 'T')}Z`).getTime() - Date.now())
+	}
+
+	/**
+	 * Set the timer for the next delivery run, replacing the current one
+	 * @param {number} delay - Delay in milliseconds
+	 */
+	setTimer(delay) {
+		if (this.stopped) {
+			return
+		}
+
+		clearTimeout(this.timer)
+		this.timer = setTimeout(() => this.run(), Math.min(Math.max(delay, 0), MAX_TIMER_DELAY))
+	}
+
+	/**
+	 * Deliver due items in the background
+	 */
+	run() {
+		this.process().catch(error => {
+			logger.error(`Error delivering outbox: ${error.message}`)
+		})
+	}
+
+	/**
+	 * Put an item back in line for delivery, resetting its attempts
+	 * @param {number} id - Outbox item ID
+	 * @returns {Promise<boolean>} False if there is no such item
+	 */
+	async retry(id) {
+		const item = await database.getOutboxItem(id)
+		if (!item) {
+			return false
+		}
+
+		await database.updateOutboxItem(id, 'pending', 0, item.last_error)
+		this.run()
+		return true
+	}
+
+	/**
+	 * Remove an item without delivering it
+	 * @param {number} id - Outbox item ID
+	 * @returns {Promise<boolean>} False if there is no such item
+	 */
+	async drop(id) {
+		const { affectedRows } = await database.removeOutboxItem(id)
+		return affectedRows > 0
+	}
+
+	/**
+	 * Deliver what is left over from a previous run
+	 */
+	start() {
+		this.stopped = false
+		this.run()
+	}
+
+	/**
+	 * Stop the retry timer, pending items are picked up again by start()
+	 */
+	stop() {
+		this.stopped = true
+		clearTimeout(this.timer)
+		this.timer = null
+	}
+}
+
+export { Outbox, MAX_ATTEMPTS, RETRY_DELAYS } 
\ No newline at end of file
@@ -1,20 +1,56 @@
 import cron from 'node-cron'
-import { config } from '../config/config.js'
+import { config, getCheckIntervalMinutes, MIN_INTERVAL_MINUTES, MAX_INTERVAL_MINUTES } from '../config/config.js'
 import { createServiceLogger, logSocialMediaCheck } from './logger.js'
 import { discordService } from '../services/discord.js'
-import { youtubeService } from '../services/youtube.js'
-import { instagramService } from '../services/instagram.js'
-import { linkedinService } from '../services/linkedin.js'
+import { providerRegistry } from '../services/registry.js'
 import { database } from '../database/database.js'
+import { subscriptionManager } from './subscriptions.js'
+import { lifecycleTracker } from './lifecycle.js'
+import { parseFilters, evaluateFilters } from './filters.js'
+import { createLimiter, withTimeout } from './concurrency.js'
+import { healthTracker } from './health.js'
+import { Outbox } from './outbox.js'
+import { getPlatformFromSourceId } from './sources.js'
 
 const logger = createServiceLogger('scheduler')
 
+const INITIAL_CHECK_DELAY = 5000
+const SYNC_INTERVAL = 60 * 1000 // How often added and removed sources are picked up
+
+/**
+ * Format a duration for logs
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration like "850ms" or "12.4s"
+ */
+function formatDuration(ms) {
+	return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`
+}
+
 /**
  * Scheduler class for managing periodic social media checks
+ *
+ * Every source is checked on its own timer, at the interval set for it or its
+ * platform (see CHECK_INTERVALS). Providers that can't check a single source
+ * are checked as a whole on their platform's interval. Daily jobs like the
+ * cleanup and digests run as cron tasks.
+ *
+ * Checks run concurrently, up to CHECK_CONCURRENCY at a time, and each one is
+ * given up on after CHECK_TIMEOUT_SECONDS so a slow source can't hold back
+ * the others. A source is never checked twice at once: a check requested
+ * while one is running (from its timer or /check-now) joins the running one,
+ * and everything else touching a source's last update waits for its lock.
+ * Sources that keep failing are paused by their circuit breaker (see
+ * utils/health.js) until their cooldown has passed.
  */
 class Scheduler {
 	constructor() {
 		this.tasks = new Map()
+		this.checks = new Map() // source ID (or platform) -> { id, provider, sources, intervalMinutes, timer, nextCheck, lastCheck, running, fetching }
+		this.locks = new Map() // source ID (or platform) -> last task holding it
+		this.syncTimer = null
+		this.lifecycleTimer = null
+		this.limitChecks = createLimiter(config.bot.checkConcurrency)
+		this.outbox = new Outbox((content, platform, guildId) => this.deliver(content, platform, guildId))
 		this.isRunning = false
 	}
 
@@ -29,21 +65,7 @@ class Scheduler {
 				return
 			}
 
-			// Create cron expression for the check interval
-			const intervalMinutes = config.bot.checkIntervalMinutes
-			const cronExpression = `*/${intervalMinutes} * * * *`
-
-			logger.info(`Starting scheduler with ${intervalMinutes} minute intervals`)
-
-			// Schedule the main check task
-			const mainTask = cron.schedule(cronExpression, async () => {
-				await this.performScheduledCheck()
-			}, {
-				scheduled: false,
-				timezone: 'UTC'
-			})
-
-			this.tasks.set('main-check', mainTask)
+			logger.info(`Starting scheduler with ${config.bot.checkIntervalMinutes} minute default interval`)
 
 			// Schedule daily cleanup task (runs at 2 AM UTC)
 			const cleanupTask = cron.schedule('0 2 * * *', async () => {
@@ -55,6 +77,26 @@ class Scheduler {
 
 			this.tasks.set('daily-cleanup', cleanupTask)
 
+			// Schedule digests of sources in digest mode
+			// A typo in the digest settings shouldn't keep the checks from running
+			const { schedule, timezone } = config.bot.digest
+			try {
+				if (!cron.validate(schedule)) {
+					throw new Error(`invalid DIGEST_SCHEDULE "${schedule}"`)
+				}
+
+				const digestTask = cron.schedule(schedule, async () => {
+					await this.performDigest()
+				}, {
+					scheduled: false,
+					timezone
+				})
+
+				this.tasks.set('digest', digestTask)
+			} catch (error) {
+				logger.error(`Digests won't be posted: ${error.message}`)
+			}
+
 			// Start all tasks
 			for (const [name, task] of this.tasks) {
 				task.start()
@@ -62,12 +104,23 @@ class Scheduler {
 			}
 
 			this.isRunning = true
-			logger.info('Scheduler started successfully')
 
-			// Perform an initial check after a short delay
-			setTimeout(() => {
-				this.performScheduledCheck()
-			}, 5000) // 5 second delay
+			// Deliver announcements left in the outbox by a previous run
+			this.outbox.start()
+
+			// Every source gets its first check after a short delay, or when its cooldown ends
+			await healthTracker.load()
+			await this.syncChecks()
+			this.syncTimer = setInterval(() => {
+				this.syncChecks().catch(error => logger.error(`Failed to update check schedule: ${error.message}`))
+			}, SYNC_INTERVAL)
+
+			// Edit announcements of upcoming and live content that changed since
+			this.lifecycleTimer = setInterval(() => {
+				lifecycleTracker.refresh().catch(error => logger.error(`Failed to refresh tracked content: ${error.message}`))
+			}, config.bot.checkIntervalMinutes * 60 * 1000)
+
+			logger.info(`Scheduler started successfully, checking ${this.checks.size} source(s)`)
 
 		} catch (error) {
 			logger.error(`Failed to start scheduler: ${error.message}`)
@@ -92,7 +145,17 @@ class Scheduler {
 				logger.info(`Stopped scheduled task: ${name}`)
 			}
 
+			for (const check of this.checks.values()) {
+				clearTimeout(check.timer)
+			}
+
+			this.outbox.stop()
+			clearInterval(this.syncTimer)
+			clearInterval(this.lifecycleTimer)
+			this.syncTimer = null
+			this.lifecycleTimer = null
 			this.tasks.clear()
+			this.checks.clear()
 			this.isRunning = false
 			logger.info('Scheduler stopped successfully')
 
@@ -102,138 +165,416 @@ class Scheduler {
 	}
 
 	/**
-	 * Perform the main scheduled check for all platforms
+	 * Bring the check timers in line with the configured providers and subscriptions
+	 * Sources that are new get their first check after a short delay
 	 * @returns {Promise<void>}
 	 */
-	async performScheduledCheck() {
+	async syncChecks() {
+		// Pick up subscriptions added or removed since the last run
+		await subscriptionManager.load()
+
+		const wanted = new Map()
+		for (const provider of providerRegistry.getConfigured()) {
+			if (typeof provider.fetchSources === 'function') {
+				for (const source of providerRegistry.getSources(provider)) {
+					wanted.set(source.id, { provider, sources: [source] })
+				}
+			} else {
+				wanted.set(provider.id, { provider, sources: null })
+			}
+		}
+
+		for (const [id, check] of this.checks) {
+			if (!wanted.has(id)) {
+				clearTimeout(check.timer)
+				this.checks.delete(id)
+				logger.info(`Stopped checking ${id}`)
+			}
+		}
+
+		for (const [id, { provider, sources }] of wanted) {
+			const existing = this.checks.get(id)
+			if (existing) {
+				existing.sources = sources
+				continue
+			}
+
+			const check = {
+				id,
+				provider,
+				sources,
+				intervalMinutes: getCheckIntervalMinutes(id, provider.id),
+				timer: null,
+				nextCheck: null,
+				lastCheck: null,
+				running: null,
+				fetching: null
+			}
+
+			this.checks.set(id, check)
+			if (this.isRunning) {
+				this.scheduleCheck(check, this.getDelay(check, this.applyJitter(INITIAL_CHECK_DELAY)))
+			}
+		}
+	}
+
+	/**
+	 * Spread a delay randomly by CHECK_JITTER_PERCENT, so checks don't line up
+	 * @param {number} delay - Delay in milliseconds
+	 * @returns {number} Delay with jitter
+	 */
+	applyJitter(delay) {
+		const jitter = config.bot.checkJitterPercent / 100
+		return Math.round(delay * (1 + (Math.random() * 2 - 1) * jitter))
+	}
+
+	/**
+	 * Get the delay until a source's next check, holding it back while its circuit is open
+	 * @param {Object} check - Scheduled check
+	 * @param {number} delay - Regular delay in milliseconds
+	 * @returns {number} Delay in milliseconds
+	 */
+	getDelay(check, delay) {
+		const retryAt = healthTracker.getRetryTime(check.id)
+		return Math.max(delay, retryAt ? retryAt.getTime() - Date.now() : 0, 0)
+	}
+
+	/**
+	 * Set the timer for the next check of a source
+	 * @param {Object} check - Scheduled check
+	 * @param {number} delay - Delay in milliseconds
+	 */
+	scheduleCheck(check, delay) {
+		clearTimeout(check.timer)
+		check.nextCheck = new Date(Date.now() + delay)
+		check.timer = setTimeout(() => this.runScheduledCheck(check), delay)
+	}
+
+	/**
+	 * Run a source's check from its timer and schedule the next one
+	 * The next check is due an interval after this one started, however long it took.
+	 * A check skipped because the circuit is still open is due when it closes.
+	 * @param {Object} check - Scheduled check
+	 * @returns {Promise<void>}
+	 */
+	async runScheduledCheck(check) {
+		const startedAt = Date.now()
+		check.nextCheck = null
+		let result = null
+
 		try {
-			logger.info('🔄 Starting scheduled social media check')
+			result = await this.runCheck(check)
+			logger.debug(`Checked ${check.id} in ${formatDuration(result.durationMs)}`)
+		} catch (error) {
+			logger.error(`Error during scheduled check of ${check.id}: ${error.message}`)
+		} finally {
+			// Unless the source was removed or the scheduler stopped in the meantime
+			if (this.isRunning && this.checks.get(check.id) === check) {
+				const interval = this.applyJitter(check.intervalMinutes * 60 * 1000)
+				this.scheduleCheck(check, this.getDelay(check, result?.coolingDown ? 0 : startedAt + interval - Date.now()))
+			}
+		}
+	}
 
-			const results = []
-			let totalNewContent = 0
+	/**
+	 * Run a task holding a source's lock
+	 * Everything that reads or moves a source's last update (checks, late
+	 * results of a timed out check, pushes, resets) runs under it, one at a time
+	 * @param {string} id - Source ID (or platform)
+	 * @param {Function} task - Task to run
+	 * @returns {Promise} Result of the task
+	 */
+	withLock(id, task) {
+		const previous = this.locks.get(id) || Promise.resolve()
+		const result = previous.then(task)
+		const released = result.catch(() => {})
+
+		this.locks.set(id, released)
+		released.then(() => {
+			if (this.locks.get(id) === released) {
+				this.locks.delete(id)
+			}
+		})
 
-			// Check YouTube
-			if (youtubeService.isConfigured()) {
-				try {
-					const result = await youtubeService.checkForNewVideos()
-					results.push({ platform: 'YouTube', ...result })
-					logSocialMediaCheck('youtube', result)
+		return result
+	}
 
-					if (result.success && result.newContent?.length > 0) {
-						totalNewContent += result.newContent.length
-						await this.sendNotifications(result.newContent, 'youtube')
-					}
-				} catch (error) {
-					logger.error(`YouTube check failed: ${error.message}`)
-					results.push({ platform: 'YouTube', success: false, error: error.message })
-				}
+	/**
+	 * Check a source, or join its check if one is already running
+	 * Sources whose circuit is open aren't checked until their cooldown has
+	 * passed, whoever asks; the first check after it is the probe
+	 * @param {Object} check - Scheduled check
+	 * @returns {Promise<Object>} Check result
+	 */
+	runCheck(check) {
+		const retryAt = healthTracker.getRetryTime(check.id)
+		if (!check.running && retryAt > Date.now()) {
+			const { failures } = healthTracker.get(check.id)
+			return Promise.resolve({
+				platform: check.provider.displayName,
+				checkId: check.id,
+				success: false,
+				coolingDown: true,
+				error: `Cooling down after ${failures} failed checks, retried <t:${Math.floor(retryAt.getTime() / 1000)}:R>`,
+				newContent: [],
+				durationMs: 0
+			})
+		}
+
+		if (!check.running) {
+			check.running = this.withLock(check.id, () => this.limitChecks(() => this.performCheck(check)))
+				.finally(() => {
+					check.running = null
+				})
+		}
+
+		return check.running
+	}
+
+	/**
+	 * Check a source (or a whole platform) and announce what is new
+	 * The last updates the provider records are held back until what it found
+	 * is in the outbox, so a check whose content couldn't be stored fails and
+	 * finds the content again next time. A check that times out keeps running
+	 * in the background; whatever it still finds is stored then, holding the
+	 * source's lock again. Until it finishes the source isn't checked again,
+	 * both would read the same last update.
+	 * @param {Object} check - Scheduled check
+	 * @returns {Promise<Object>} Check result with its duration in milliseconds
+	 */
+	async performCheck(check) {
+		const { provider } = check
+		const startedAt = Date.now()
+
+		if (check.fetching) {
+			logger.warn(`Skipping check of ${check.id}, the previous one is still running`)
+			return { platform: provider.displayName, checkId: check.id, success: false, error: 'Previous check is still running', newContent: [], durationMs: 0 }
+		}
+
+		check.lastCheck = new Date(startedAt)
+
+		const { result: fetching, held } = database.holdLastUpdates(() => check.sources
+			? provider.fetchSources(check.sources)
+			: provider.fetchNew())
+
+		check.fetching = fetching
+		fetching
+			.catch(() => {})
+			.finally(() => {
+				check.fetching = null
+			})
+
+		try {
+			const result = await withTimeout(fetching, config.bot.checkTimeoutSeconds * 1000,
+				`Check timed out after ${config.bot.checkTimeoutSeconds}s`)
+			logSocialMediaCheck(provider.id, result)
+
+			// A failing source must not hold back content already found on the others
+			if (result.newContent?.length > 0) {
+				await this.sendNotifications(result.newContent, provider.id)
 			}
+			await database.commitLastUpdates(held)
 
-			// Check Instagram
-			if (instagramService.isConfigured()) {
-				try {
-					const result = await instagramService.checkForNewPosts()
-					results.push({ platform: 'Instagram', ...result })
-					logSocialMediaCheck('instagram', result)
+			if (result.success) {
+				await healthTracker.recordSuccess(check.id)
+			} else {
+				await healthTracker.recordFailure(check.id, result.error || 'Check failed')
+			}
 
-					if (result.success && result.newContent?.length > 0) {
-						totalNewContent += result.newContent.length
-						await this.sendNotifications(result.newContent, 'instagram')
-					}
-				} catch (error) {
-					logger.error(`Instagram check failed: ${error.message}`)
-					results.push({ platform: 'Instagram', success: false, error: error.message })
-				}
+			return { ...result, platform: provider.displayName, checkId: check.id, durationMs: Date.now() - startedAt }
+		} catch (error) {
+			logger.error(`${check.id} check failed: ${error.message}`)
+			await healthTracker.recordFailure(check.id, error.message)
+
+			if (error.timedOut) {
+				fetching
+					.then(result => this.withLock(check.id, async () => {
+						if (result.newContent?.length > 0) {
+							await this.sendNotifications(result.newContent, provider.id)
+						}
+						await database.commitLastUpdates(held)
+					}))
+					.catch(lateError => logger.error(`${check.id} check failed after timing out: ${lateError.message}`))
 			}
 
-			// Check LinkedIn
-			if (linkedinService.isConfigured()) {
-				try {
-					const result = await linkedinService.checkForNewPosts()
-					results.push({ platform: 'LinkedIn', ...result })
-					logSocialMediaCheck('linkedin', result)
+			return { platform: provider.displayName, checkId: check.id, success: false, error: error.message, newContent: [], durationMs: Date.now() - startedAt }
+		}
+	}
 
-					if (result.success && result.newContent?.length > 0) {
-						totalNewContent += result.newContent.length
-						await this.sendNotifications(result.newContent, 'linkedin')
+	/**
+	 * Announce content pushed to us (e.g. by WebSub) for every source it belongs to
+	 * Each source is handled holding its lock, so a push can't interleave with a
+	 * poll of the same source; failures count towards the source's health
+	 * @param {Object} provider - Provider with getPushSources(entry) and handlePush(entry, source)
+	 * @param {Object} entry - Pushed entry
+	 * @returns {Promise<void>}
+	 */
+	async receivePush(provider, entry) {
+		for (const source of provider.getPushSources(entry)) {
+			try {
+				await this.withLock(source.id, async () => {
+					const content = await provider.handlePush(entry, source)
+					if (content) {
+						await this.sendNotifications([content], provider.id)
 					}
-				} catch (error) {
-					logger.error(`LinkedIn check failed: ${error.message}`)
-					results.push({ platform: 'LinkedIn', success: false, error: error.message })
-				}
+				})
+			} catch (error) {
+				logger.error(`Failed to handle push for ${source.id}: ${error.message}`)
+				await healthTracker.recordFailure(source.id, error.message)
 			}
+		}
+	}
+
+	/**
+	 * Check a source right away, its next regular check is then due an interval later
+	 * @param {Object} check - Scheduled check
+	 * @returns {Promise<Object>} Check result
+	 */
+	async runNow(check) {
+		const result = await this.runCheck(check)
+
+		if (this.isRunning && this.checks.get(check.id) === check) {
+			this.scheduleCheck(check, this.getDelay(check, this.applyJitter(check.intervalMinutes * 60 * 1000)))
+		}
+
+		return result
+	}
+
+	/**
+	 * Get the checks covering the given sources
+	 * A provider that is checked as a whole covers every source of its platform
+	 * @param {Array<string>} sourceIds - Source identifiers (or legacy platform names)
+	 * @returns {Array<Object>} Checks, with the given source IDs they cover in `ids`
+	 */
+	findChecks(sourceIds) {
+		return [...this.checks.values()]
+			.map(check => ({
+				check,
+				ids: sourceIds.filter(id => id === check.id || (!check.sources && getPlatformFromSourceId(id) === check.id))
+			}))
+			.filter(({ ids }) => ids.length > 0)
+	}
+
+	/**
+	 * Check every source right away
+	 * Each source's next regular check is then due an interval later
+	 * @returns {Promise<Array<Object>>} Check result per source
+	 */
+	async performScheduledCheck() {
+		try {
+			logger.info('🔄 Starting social media check of all sources')
+
+			await this.syncChecks()
+
+			const startedAt = Date.now()
+			const results = await Promise.all([...this.checks.values()].map(check => this.runNow(check)))
+
+			// Edit announcements of upcoming and live content that changed since
+			await lifecycleTracker.refresh()
 
 			// Log summary
 			const successfulChecks = results.filter(r => r.success).length
 			const totalChecks = results.length
+			const totalNewContent = results.reduce((total, result) => total + (result.newContent?.length || 0), 0)
 
-			logger.info(`✅ Scheduled check complete: ${successfulChecks}/${totalChecks} platforms successful, ${totalNewContent} new posts found`)
-
-			// Send summary to Discord if there were any issues
-			if (successfulChecks < totalChecks) {
-				await this.sendErrorSummary(results)
+			logger.info(`✅ Check complete in ${formatDuration(Date.now() - startedAt)}: ${successfulChecks}/${totalChecks} sources successful, ${totalNewContent} new posts found`)
+			for (const result of [...results].sort((a, b) => b.durationMs - a.durationMs)) {
+				logger.info(`   ${result.success ? '✅' : '❌'} ${result.checkId}: ${formatDuration(result.durationMs)}, ${result.newContent?.length || 0} new`)
 			}
 
+			return results
+
 		} catch (error) {
 			logger.error(`Error during scheduled check: ${error.message}`)
+			return []
 		}
 	}
 
 	/**
-	 * Send notifications for new content
+	 * Send notifications for new content through the outbox
+	 * Every guild that wants an item gets its own outbox item; delivery runs in
+	 * the background, so a slow or failing guild doesn't hold up the check.
+	 * Throws if content can't be stored, the caller must not record the content
+	 * as seen then.
 	 * @param {Array} content - Array of content items
 	 * @param {string} platform - Platform name
 	 * @returns {Promise<void>}
 	 */
 	async sendNotifications(content, platform) {
-		try {
-			for (const item of content) {
-				try {
-					await discordService.sendSocialMediaUpdate(item, platform)
-					
-					// Add a small delay between messages to avoid rate limiting
-					if (content.length > 1) {
-						await new Promise(resolve => setTimeout(resolve, 1000))
-					}
-				} catch (error) {
-					logger.error(`Failed to send notification for ${platform} content ${item.id}: ${error.message}`)
+		// Stored before anything is sent, so content isn't lost when Discord is unavailable
+		for (const item of content) {
+			for (const guildId of await this.getRecipients(item, platform)) {
+				await this.outbox.add(guildId, item, platform)
+			}
+		}
+	}
+
+	/**
+	 * Announce a content item from the outbox in a guild
+	 * @param {Object} content - Content item
+	 * @param {string} platform - Platform name
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<void>}
+	 */
+	async deliver(content, platform, guildId) {
+		const results = await discordService.sendSocialMediaUpdate(content, platform, [guildId])
+		const failed = results.filter(result => !result.success)
+
+		if (failed.length > 0) {
+			throw new Error(failed.map(result => result.error).join('; '))
+		}
+	}
+
+	/**
+	 * Get the guilds that want a content item announced, applying their filters
+	 * Guilds whose filters reject the item get it recorded as seen with the
+	 * reason, so it isn't evaluated again and sendSocialMediaUpdate() skips them
+	 * @param {Object} item - Content item
+	 * @param {string} platform - Platform name
+	 * @returns {Promise<Array<string>>} Guild IDs
+	 */
+	async getRecipients(item, platform) {
+		const sourceId = item.sourceId || platform
+		const recipients = []
+
+		for (const { guildId } of await discordService.getDeliveryTargets(sourceId, platform)) {
+			try {
+				const settings = await database.getSourceSettings(guildId, sourceId)
+				const { allowed, reason } = evaluateFilters(parseFilters(settings?.filters), item)
+
+				if (allowed) {
+					recipients.push(guildId)
+					continue
+				}
+
+				if (!(await database.isNotificationSent(sourceId, item.id, guildId))) {
+					await database.recordFilteredNotification(guildId, sourceId, item.id, item.url, reason)
+					logger.info(`Filtered ${platform} content ${item.id} of ${sourceId} for guild ${guildId}: ${reason}`)
 				}
+			} catch (error) {
+				// Broken filters shouldn't swallow content
+				logger.error(`Failed to apply filters of guild ${guildId} to ${sourceId}: ${error.message}`)
+				recipients.push(guildId)
 			}
-		} catch (error) {
-			logger.error(`Error sending notifications for ${platform}: ${error.message}`)
 		}
+
+		return recipients
 	}
 
 	/**
-	 * Send error summary to Discord if there were check failures
-	 * @param {Array} results - Check results
+	 * Post the digests of sources in digest mode
 	 * @returns {Promise<void>}
 	 */
-	async sendErrorSummary(results) {
+	async performDigest() {
 		try {
-			const failedChecks = results.filter(r => !r.success)
-			
-			if (failedChecks.length === 0) return
-
-			const errorMessage = `⚠️ **Social Media Check Issues**\n\n${
-				failedChecks.map(check => 
-					`**${check.platform}**: ${check.error}`
-				).join('\n')
-			}\n\n*Check logs for more details*`
-
-			// Only send error summary if it's been a while since the last one
-			// to avoid spamming the channel
-			const lastErrorTime = this.lastErrorSummaryTime || 0
-			const now = Date.now()
-			const oneHour = 60 * 60 * 1000
-
-			if (now - lastErrorTime > oneHour) {
-				await discordService.sendMessage(errorMessage)
-				this.lastErrorSummaryTime = now
+			const { posted, failed } = await discordService.sendDigests()
+
+			if (posted > 0 || failed > 0) {
+				logger.info(`📰 Digest posted: ${posted} item(s)${failed > 0 ? `, ${failed} left queued after failures` : ''}`)
 			}
 
 		} catch (error) {
-			logger.error(`Failed to send error summary: ${error.message}`)
+			logger.error(`Error posting digests: ${error.message}`)
 		}
 	}
 
@@ -254,6 +595,17 @@ class Scheduler {
 				logger.error(`Database cleanup failed: ${cleanupResult.error}`)
 			}
 
+			// Stop following content that never reached a final state
+			const trackedResult = await database.cleanupTrackedContent()
+			if (trackedResult.affectedRows > 0) {
+				logger.info(`Stopped tracking ${trackedResult.affectedRows} stale content item(s)`)
+			}
+
+			const outboxResult = await database.cleanupOutbox()
+			if (outboxResult.affectedRows > 0) {
+				logger.info(`Removed ${outboxResult.affectedRows} dead outbox item(s)`)
+			}
+
 			// Log daily statistics
 			const stats = await database.getBotStats()
 			logger.info('📊 Daily Stats:', {
@@ -271,17 +623,27 @@ class Scheduler {
 	}
 
 	/**
-	 * Manually trigger a check for all platforms
-	 * @returns {Promise<Object>} Check results
+	 * Manually trigger a check of all sources, or of the given ones
+	 * Sources that are being checked already aren't checked again, their running check is awaited
+	 * @param {Array<string>} sourceIds - Source identifiers (optional, all sources if not given)
+	 * @returns {Promise<Object>} Check results, with the result per check in `results`
 	 */
-	async triggerManualCheck() {
+	async triggerManualCheck(sourceIds = null) {
 		try {
-			logger.info('🔄 Manual check triggered')
-			await this.performScheduledCheck()
+			logger.info(`🔄 Manual check triggered${sourceIds ? ` for ${sourceIds.length} source(s)` : ''}`)
+
+			let results
+			if (sourceIds) {
+				await this.syncChecks()
+				results = await Promise.all(this.findChecks(sourceIds).map(({ check }) => this.runNow(check)))
+			} else {
+				results = await this.performScheduledCheck()
+			}
 			
 			return {
 				success: true,
-				message: 'Manual check completed'
+				message: 'Manual check completed',
+				results
 			}
 		} catch (error) {
 			logger.error(`Manual check failed: ${error.message}`)
@@ -292,6 +654,30 @@ class Scheduler {
 		}
 	}
 
+	/**
+	 * Forget the last update of sources and check them again right away
+	 * The reset holds each source's lock, so it can't interleave with a running
+	 * check, and what the fresh check finds is announced like any other check
+	 * @param {Array<string>} sourceIds - Source identifiers (or legacy platform names)
+	 * @returns {Promise<Array<Object>>} Check result per reset check
+	 */
+	async resetSources(sourceIds) {
+		await this.syncChecks()
+
+		const resets = this.findChecks(sourceIds)
+
+		// Rows without a check of their own, like the legacy per-platform rows
+		const covered = new Set(resets.flatMap(({ ids }) => ids))
+		await database.clearLastUpdates(sourceIds.filter(id => !covered.has(id)))
+
+		logger.info(`🔄 Resetting ${covered.size} source(s)`)
+
+		return Promise.all(resets.map(async ({ check, ids }) => {
+			await this.withLock(check.id, () => database.clearLastUpdates(ids))
+			return this.runCheck(check)
+		}))
+	}
+
 	/**
 	 * Get scheduler status
 	 * @returns {Object} Scheduler status
@@ -301,24 +687,37 @@ class Scheduler {
 			isRunning: this.isRunning,
 			activeTasks: Array.from(this.tasks.keys()),
 			checkInterval: config.bot.checkIntervalMinutes,
-			nextCheck: this.getNextCheckTime()
+			nextCheck: this.getNextCheckTime(),
+			checks: this.getNextCheckTimes()
 		}
 	}
 
 	/**
-	 * Get the next scheduled check time
+	 * Get the next scheduled check time of any source
 	 * @returns {Date|null} Next check time
 	 */
 	getNextCheckTime() {
-		const mainTask = this.tasks.get('main-check')
-		if (!mainTask) return null
-
-		// Calculate next check time based on interval
-		const now = new Date()
-		const intervalMs = config.bot.checkIntervalMinutes * 60 * 1000
-		const nextCheck = new Date(Math.ceil(now.getTime() / intervalMs) * intervalMs)
-		
-		return nextCheck
+		const times = [...this.checks.values()]
+			.map(check => check.nextCheck)
+			.filter(Boolean)
+
+		return times.length > 0 ? new Date(Math.min(...times)) : null
+	}
+
+	/**
+	 * Get the check schedule of every source
+	 * A source that is being checked right now has no next check time yet
+	 * @returns {Array<Object>} Source ID, platform, interval, last and next check time and health
+	 */
+	getNextCheckTimes() {
+		return [...this.checks.values()].map(check => ({
+			id: check.id,
+			platform: check.provider.id,
+			intervalMinutes: check.intervalMinutes,
+			lastCheck: check.lastCheck,
+			nextCheck: check.nextCheck,
+			health: healthTracker.get(check.id)
+		}))
 	}
 
 	/**
@@ -328,8 +727,8 @@ class Scheduler {
 	 */
 	async updateCheckInterval(minutes) {
 		try {
-			if (minutes < 5 || minutes > 1440) { // 5 minutes to 24 hours
-				throw new Error('Check interval must be between 5 and 1440 minutes')
+			if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+				throw new Error(`Check interval must be between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES} minutes`)
 			}
 
 			logger.info(`Updating check interval to ${minutes} minutes`)
@@ -0,0 +1,109 @@
+/**
+ * Helpers for working with monitored sources.
+ *
+ * A source is a single account on a platform (one YouTube channel, one
+ * Instagram profile, ...). Its id is used as the key for per-source state
+ * in the database, e.g. `youtube:UCxxxxxxxxxxxxxxxxxxxxxx`.
+ */
+
+/**
+ * Split a comma separated environment value into a clean list
+ * @param {string} value - Raw value (e.g. "UCabc, @handle")
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+	if (!value) return []
+
+	return value
+		.split(',')
+		.map(entry => entry.trim())
+		.filter(Boolean)
+}
+
+/**
+ * Build the identifier used to key state for a source
+ * @param {string} platform - Platform name (youtube, instagram, ...)
+ * @param {string} account - Account identifier on that platform
+ * @returns {string} Source identifier
+ */
+function buildSourceId(platform, account) {
+	return `${platform}:${account}`
+}
+
+/**
+ * Get the platform name from a source identifier
+ * Legacy identifiers are plain platform names and are returned as-is
+ * @param {string} sourceId - Source identifier
+ * @returns {string} Platform name
+ */
+function getPlatformFromSourceId(sourceId) {
+	return sourceId.split(':')[0]
+}
+
+/**
+ * Normalize an account entered by a user into the form used for source ids
+ * Accepts bare identifiers as well as profile/channel URLs
+ * @param {string} platform - Platform name
+ * @param {string} input - Raw account (ID, @handle, username or URL)
+ * @returns {string|null} Normalized account, or null if it can't be parsed
+ */
+function normalizeAccount(platform, input) {
+	const value = input?.trim()
+	if (!value) return null
+
+	switch (platform) {
+		case 'youtube': {
+			const urlMatch = value.match(/youtube\.com\/(?:channel\/(UC[\w-]{22})|(@[\w.-]+))/)
+			if (urlMatch) return urlMatch[1] || urlMatch[2]
+			if (/^UC[\w-]{22}$/.test(value)) return value
+			return /^@?[\w.-]+$/.test(value) ? `@${value.replace(/^@/, '')}` : null
+		}
+		case 'instagram': {
+			const urlMatch = value.match(/instagram\.com\/([\w.]+)/)
+			const username = (urlMatch ? urlMatch[1] : value.replace(/^@/, '')).toLowerCase()
+			return /^[\w.]{1,30}$/.test(username) ? username : null
+		}
+		case 'linkedin': {
+			const urlMatch = value.match(/linkedin\.com\/in\/([^/?#]+)/)
+			const username = urlMatch ? urlMatch[1] : value
+			return /^[\w%-]+$/.test(username) ? username : null
+		}
+		case 'twitch': {
+			const urlMatch = value.match(/twitch\.tv\/(\w+)/)
+			const login = (urlMatch ? urlMatch[1] : value).toLowerCase()
+			return /^\w{1,25}$/.test(login) ? login : null
+		}
+		case 'feed': {
+			try {
+				const url = new URL(value)
+				return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null
+			} catch (error) {
+				return null
+			}
+		}
+		default:
+			return null
+	}
+}
+
+/**
+ * Create a source object
+ * @param {string} platform - Platform name
+ * @param {string} account - Account identifier on that platform
+ * @returns {Object} Source with id, platform and account
+ */
+function createSource(platform, account) {
+	return {
+		id: buildSourceId(platform, account),
+		platform,
+		account
+	}
+}
+
+export {
+	parseList,
+	buildSourceId,
+	getPlatformFromSourceId,
+	normalizeAccount,
+	createSource
+} 
\ No newline at end of file
@@ -10,7 +10,39 @@ const client = new Client({
 	intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]
 })
 
+/**
+ * Print the announcement channel and permissions of a guild
+ * @param {Object} guild - Discord guild
+ * @param {string} channelId - Announcement channel ID
+ * @returns {boolean} True if the bot can post announcements
+ */
+function checkGuildChannel(guild, channelId) {
+	if (!channelId) {
+		console.log('   📢 Channel: ❌ Not set (use /settings)')
+		return false
+	}
+
+	const channel = guild.channels.cache.get(channelId)
+	if (!channel) {
+		console.log(`   📢 Channel: ❌ Not found (${channelId})`)
+		return false
+	}
+
+	// Check permissions
+	const perms = channel.permissionsFor(client.user)
+	const canSend = perms.has('SendMessages')
+	const canEmbed = perms.has('EmbedLinks')
+	const canMention = perms.has('MentionEveryone')
+
+	console.log(`   📢 Channel: #${channel.name} (${channel.id})`)
+	console.log(`   🔑 Send Messages: ${canSend ? '✅' : '❌'}  Embed Links: ${canEmbed ? '✅' : '❌'}  Mention Everyone: ${canMention ? '✅' : '❌'}`)
+
+	return canSend && canEmbed
+}
+
 client.once('ready', async () => {
+	let databaseReady = false
+
 	try {
 		console.log(`✅ Bot Online: ${client.user.tag}`)
 		console.log(`🏠 Connected Servers: ${client.guilds.cache.size}`)
@@ -19,91 +51,93 @@ client.once('ready', async () => {
 			console.log('❌ Bot not in any servers!')
 			process.exit(1)
 		}
-		
-		const guild = client.guilds.cache.get(config.discord.guildId)
-		if (!guild) {
-			console.log('❌ Bot not in configured server!')
-			console.log(`Looking for server ID: ${config.discord.guildId}`)
-			console.log('Available servers:')
-			client.guilds.cache.forEach(g => {
-				console.log(`   - ${g.name} (${g.id})`)
-			})
-			process.exit(1)
+
+		try {
+			await database.initialize()
+			databaseReady = true
+		} catch (dbError) {
+			console.log(`❌ Database error: ${dbError.message}`)
 		}
-		
-		console.log(`🏠 Server: ${guild.name}`)
-		console.log(`🆔 Server ID: ${guild.id}`)
-		console.log(`👥 Members: ${guild.memberCount}`)
-		
-		const channel = guild.channels.cache.get(config.discord.announcementChannelId)
-		if (!channel) {
-			console.log('❌ Announcement channel not found!')
-			console.log(`Looking for channel ID: ${config.discord.announcementChannelId}`)
-			process.exit(1)
+
+		// Environment sources and ANNOUNCEMENT_CHANNEL_ID belong to the default guild
+		const defaultChannel = client.channels.cache.get(config.discord.announcementChannelId)
+		const defaultGuildId = config.discord.guildId || defaultChannel?.guildId
+
+		if (config.discord.guildId && !client.guilds.cache.has(config.discord.guildId)) {
+			console.log(`⚠️ Bot not in configured server ${config.discord.guildId}`)
+		}
+
+		const problems = []
+
+		for (const guild of client.guilds.cache.values()) {
+			const isDefaultGuild = guild.id === defaultGuildId
+
+			console.log(`\n🏠 Server: ${guild.name}${isDefaultGuild ? ' (default)' : ''}`)
+			console.log(`   🆔 Server ID: ${guild.id}`)
+			console.log(`   👥 Members: ${guild.memberCount}`)
+
+			const settings = databaseReady ? await database.getGuildSettings(guild.id) : null
+			const channelId = settings?.announcement_channel_id || (isDefaultGuild ? config.discord.announcementChannelId : null)
+
+			if (!checkGuildChannel(guild, channelId)) {
+				problems.push(guild.name)
+			}
+
+			if (databaseReady) {
+				const stats = await database.getBotStats(guild.id)
+				console.log(`   📊 Notifications: ${stats.total_notifications || 0} total, ${stats.notifications_24h || 0} in the last 24h`)
+			}
 		}
-		
-		console.log(`📢 Channel: #${channel.name}`)
-		console.log(`🆔 Channel ID: ${channel.id}`)
-		
-		// Check permissions
-		const perms = channel.permissionsFor(client.user)
-		const canSend = perms.has('SendMessages')
-		const canEmbed = perms.has('EmbedLinks')
-		const canMention = perms.has('MentionEveryone')
-		
-		console.log('\n🔑 Bot Permissions:')
-		console.log(`   Send Messages: ${canSend ? '✅' : '❌'}`)
-		console.log(`   Embed Links: ${canEmbed ? '✅' : '❌'}`)
-		console.log(`   Mention Everyone: ${canMention ? '✅' : '❌'}`)
 		
 		// Check database
 		console.log('\n💾 Database Status:')
-		try {
-			await database.initialize()
+		if (databaseReady) {
 			const stats = await database.getBotStats()
 			console.log(`   Active Platforms: ${stats.active_platforms || 0}`)
 			console.log(`   Total Notifications: ${stats.total_notifications || 0}`)
 			console.log(`   Last Check: ${stats.last_global_check || 'Never'}`)
-			await database.close()
 			console.log('   Database: ✅ Connected')
-		} catch (dbError) {
+		} else {
 			console.log('   Database: ❌ Error')
-			console.log(`   Error: ${dbError.message}`)
 		}
 		
 		// Check configuration
+		const { youtube, instagram, linkedin, twitch, feed } = config.socialMedia
 		console.log('\n⚙️ Configuration:')
-		console.log(`   YouTube API Key: ${config.youtube.apiKey ? '✅ Set' : '❌ Missing'}`)
-		console.log(`   YouTube Channel ID: ${config.youtube.channelId ? '✅ Set' : '❌ Missing'}`)
-		console.log(`   Instagram Username: ${config.instagram.username ? '✅ Set' : '❌ Missing'}`)
+		console.log(`   YouTube API Key: ${youtube.apiKey ? '✅ Set' : '➖ Not set (using channel RSS feeds)'}`)
+		console.log(`   YouTube Channels: ${youtube.channelId || youtube.channelHandle || youtube.channels.length ? '✅ Set' : '➖ None (use /subscribe)'}`)
+		console.log(`   Instagram Username: ${instagram.username ? '✅ Set' : '➖ None (use /subscribe)'}`)
+		console.log(`   LinkedIn Profile: ${linkedin.profileUrl ? '✅ Set' : '➖ None (use /subscribe)'}`)
+		console.log(`   Twitch Credentials: ${twitch.clientId && twitch.clientSecret ? '✅ Set' : '➖ Missing'}`)
+		console.log(`   Twitch Channels: ${twitch.channels.length ? '✅ Set' : '➖ None (use /subscribe)'}`)
+		console.log(`   RSS/Atom Feeds: ${feed.urls.length ? `✅ ${feed.urls.length} set` : '➖ None (use /subscribe)'}`)
 		console.log(`   Check Interval: ${config.bot.checkIntervalMinutes} minutes`)
 		console.log(`   Mention Everyone: ${config.bot.mentionEveryone ? 'Yes' : 'No'}`)
 		console.log(`   Log Level: ${config.bot.logLevel}`)
 		
 		// Overall status
 		console.log('\n🎯 Overall Status:')
-		const configGood = guild.id === config.discord.guildId && !!channel
-		const permsGood = canSend && canEmbed
-		const apisGood = config.youtube.apiKey && config.youtube.channelId && config.instagram.username
+		const guildsGood = problems.length === 0
+		const apisGood = !!(twitch.clientId && twitch.clientSecret) || twitch.channels.length === 0
 		
-		if (configGood && permsGood && apisGood) {
+		if (guildsGood && apisGood && databaseReady) {
 			console.log('🎉 FULLY OPERATIONAL!')
 			console.log('✅ Ready to monitor social media and send notifications')
 		} else {
 			console.log('🟡 NEEDS ATTENTION')
-			if (!configGood) console.log('❌ Discord configuration issues')
-			if (!permsGood) console.log('❌ Missing Discord permissions')
+			if (!guildsGood) console.log(`❌ Announcement channel or permission issues in: ${problems.join(', ')}`)
 			if (!apisGood) console.log('❌ Missing API configuration')
+			if (!databaseReady) console.log('❌ Database unavailable')
 		}
 		
 		console.log('\n📋 Next Steps:')
-		if (!permsGood) {
-			console.log('   1. Fix Discord permissions in #' + channel.name)
+		if (!guildsGood) {
+			console.log('   1. Set a channel with /settings and check the bot\'s permissions in it')
 		}
 		if (!apisGood) {
 			console.log('   2. Complete API configuration in .env file')
 		}
-		if (configGood && permsGood && apisGood) {
+		if (guildsGood && apisGood && databaseReady) {
 			console.log('   ✅ Bot is ready! Use /check-now to test manually')
 		}
 		
@@ -112,6 +146,9 @@ client.once('ready', async () => {
 		logger.error('Status check failed', { error: error.message })
 		process.exit(1)
 	} finally {
+		if (databaseReady) {
+			await database.close()
+		}
 		client.destroy()
 	}
 })
@@ -0,0 +1,122 @@
+import { database } from '../database/database.js'
+import { createServiceLogger } from './logger.js'
+import { createSource } from './sources.js'
+
+const logger = createServiceLogger('subscriptions')
+
+/**
+ * Keeps the runtime subscriptions in memory so services can list their
+ * sources synchronously. The scheduler reloads it before every check, so
+ * changes made through slash commands are picked up without a restart.
+ */
+class SubscriptionManager {
+	constructor() {
+		this.subscriptions = []
+	}
+
+	/**
+	 * Reload subscriptions from the database
+	 * @returns {Promise<void>}
+	 */
+	async load() {
+		try {
+			this.subscriptions = await database.getSubscriptions()
+		} catch (error) {
+			logger.error(`Failed to load subscriptions: ${error.message}`)
+		}
+	}
+
+	/**
+	 * Get subscriptions, optionally filtered by platform and guild
+	 * @param {string} platform - Platform name (optional)
+	 * @param {string} guildId - Discord guild ID (optional)
+	 * @returns {Array<Object>} Subscription rows
+	 */
+	list(platform = null, guildId = null) {
+		return this.subscriptions.filter(subscription =>
+			(!platform || subscription.platform === platform) &&
+			(!guildId || subscription.guild_id === guildId)
+		)
+	}
+
+	/**
+	 * Find a guild's subscription to a source
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Object|undefined} Subscription row
+	 */
+	get(guildId, sourceId) {
+		return this.subscriptions.find(subscription =>
+			subscription.guild_id === guildId && subscription.source_id === sourceId
+		)
+	}
+
+	/**
+	 * Get every guild's subscription to a source
+	 * @param {string} sourceId - Source identifier
+	 * @returns {Array<Object>} Subscription rows
+	 */
+	getSubscribers(sourceId) {
+		return this.subscriptions.filter(subscription => subscription.source_id === sourceId)
+	}
+
+	/**
+	 * Get the sources subscribed to for a platform
+	 * Sources followed by several guilds are only returned once, so they are fetched once
+	 * @param {string} platform - Platform name
+	 * @param {string} guildId - Only sources this guild subscribed to (optional)
+	 * @returns {Array<Object>} Source objects
+	 */
+	getSources(platform, guildId = null) {
+		const accounts = new Set(this.list(platform, guildId).map(subscription => subscription.account))
+		return [...accounts].map(account => createSource(platform, account))
+	}
+
+	/**
+	 * Subscribe a guild to an account
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} platform - Platform name
+	 * @param {string} account - Normalized account
+	 * @param {Object} options - Target channel and creator
+	 * @returns {Promise<Object>} Created source
+	 */
+	async add(guildId, platform, account, { channelId = null, createdBy = null } = {}) {
+		const source = createSource(platform, account)
+
+		await database.addSubscription({
+			guildId,
+			sourceId: source.id,
+			platform,
+			account,
+			channelId,
+			createdBy
+		})
+		await this.load()
+
+		logger.info(`Guild ${guildId} subscribed to ${source.id}`)
+		return source
+	}
+
+	/**
+	 * Unsubscribe a guild from an account
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} platform - Platform name
+	 * @param {string} account - Normalized account
+	 * @returns {Promise<boolean>} True if a subscription was removed
+	 */
+	async remove(guildId, platform, account) {
+		const source = createSource(platform, account)
+		const result = await database.removeSubscription(guildId, source.id)
+		await this.load()
+
+		if (result.affectedRows > 0) {
+			logger.info(`Guild ${guildId} unsubscribed from ${source.id}`)
+		}
+		return result.affectedRows > 0
+	}
+}
+
+// Create and export singleton instance
+const subscriptionManager = new SubscriptionManager()
+
+export { subscriptionManager, SubscriptionManager } 
\ No newline at end of file
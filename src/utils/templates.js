@@ -0,0 +1,223 @@
+/**
+ * Announcement templates.
+ *
+ * A template is a string with placeholders like `{title}`, `{url}`,
+ * `{description:150}` (cut to 150 characters) or `{publishedAt:relative}`.
+ * Guilds can set a template per part of an announcement for each source;
+ * parts without a template keep what the provider's formatForDiscord() built.
+ */
+
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::([\w-]+))?\}/g
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+
+/**
+ * Parts of an announcement that can be templated
+ * Markdown parts render dates as Discord timestamps, which show in the reader's
+ * own time zone; Discord shows other parts as plain text
+ */
+const TEMPLATE_PARTS = {
+	content: { label: 'Message text', limit: 2000, markdown: true },
+	author: { label: 'Embed author', limit: 256, markdown: false },
+	title: { label: 'Embed title', limit: 256, markdown: false },
+	description: { label: 'Embed description', limit: 4096, markdown: true },
+	footer: { label: 'Embed footer', limit: 2048, markdown: false },
+	color: { label: 'Embed color (hex, e.g. #FF0000)', limit: 7, markdown: false },
+	image: { label: 'Embed image URL', limit: 2048, markdown: false }
+}
+
+const DISCORD_TIMESTAMP_STYLES = {
+	relative: 'R',
+	date: 'D',
+	time: 't',
+	short: 'f',
+	full: 'F'
+}
+
+const RELATIVE_UNITS = [
+	['year', 365 * 24 * 60 * 60],
+	['month', 30 * 24 * 60 * 60],
+	['week', 7 * 24 * 60 * 60],
+	['day', 24 * 60 * 60],
+	['hour', 60 * 60],
+	['minute', 60],
+	['second', 1]
+]
+
+/**
+ * Collect the values placeholders can use for a content item
+ * Values taken from the embed work for every provider; providers can add their
+ * own (e.g. a video's duration) with getTemplateVariables(content)
+ * @param {Object} provider - Provider of the content
+ * @param {Object} content - Content object
+ * @param {Object} embed - Embed built by the provider
+ * @returns {Object} Values keyed by placeholder name
+ */
+function getTemplateVariables(provider, content, embed) {
+	return {
+		platform: provider.displayName,
+		type: provider.contentTypes?.[content.type] || content.type || null,
+		title: embed.title || null,
+		url: content.url || embed.url || null,
+		description: embed.description || null,
+		channel: embed.author?.name || null,
+		image: embed.image?.url || embed.thumbnail?.url || null,
+		publishedAt: embed.timestamp ? new Date(embed.timestamp) : null,
+		...provider.getTemplateVariables?.(content)
+	}
+}
+
+/**
+ * Render a template
+ * Unknown placeholders are left as they are so typos show up in previews
+ * @param {string} template - Template string
+ * @param {Object} variables - Values keyed by placeholder name
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.markdown - Whether the rendered text supports Discord markdown
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables, { markdown = true } = {}) {
+	return template.replace(PLACEHOLDER_PATTERN, (placeholder, name, format) => {
+		if (!(name in variables)) {
+			return placeholder
+		}
+
+		return formatValue(variables[name], format, markdown)
+	})
+}
+
+/**
+ * Format a placeholder value
+ * Text is cut to a length (`{description:150}`), dates take a style
+ * (`relative`, `date`, `time`, `short`, `full` or `iso`)
+ * @param {*} value - Value to format
+ * @param {string} format - Format after the colon (optional)
+ * @param {boolean} markdown - Whether Discord timestamps can be used
+ * @returns {string} Formatted value
+ */
+function formatValue(value, format, markdown) {
+	if (value === null || value === undefined) {
+		return ''
+	}
+
+	if (value instanceof Date) {
+		return isNaN(value) ? '' : formatDate(value, format, markdown)
+	}
+
+	if (typeof value === 'number') {
+		return value.toLocaleString('en-US')
+	}
+
+	const text = String(value)
+	const maxLength = parseInt(format)
+
+	if (maxLength > 0 && text.length > maxLength) {
+		return `${text.substring(0, maxLength).trim()}...`
+	}
+
+	return text
+}
+
+/**
+ * Format a date placeholder
+ * @param {Date} date - Date
+ * @param {string} style - Date style (defaults to `short`)
+ * @param {boolean} markdown - Whether Discord timestamps can be used
+ * @returns {string} Formatted date
+ */
+function formatDate(date, style = 'short', markdown = true) {
+	if (style === 'iso') {
+		return date.toISOString()
+	}
+
+	if (markdown) {
+		return `<t:${Math.floor(date.getTime() / 1000)}:${DISCORD_TIMESTAMP_STYLES[style] || 'f'}>`
+	}
+
+	if (style === 'relative') {
+		const seconds = Math.round((date.getTime() - Date.now()) / 1000)
+		const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size) || RELATIVE_UNITS.at(-1)
+		return new Intl.RelativeTimeFormat('en', { numeric: 'auto' }).format(Math.round(seconds / size), unit)
+	}
+
+	const options = {
+		date: { dateStyle: 'medium' },
+		time: { timeStyle: 'short' },
+		full: { dateStyle: 'full', timeStyle: 'short' }
+	}[style] || { dateStyle: 'medium', timeStyle: 'short' }
+
+	return `${new Intl.DateTimeFormat('en', { ...options, timeZone: 'UTC' }).format(date)} UTC`
+}
+
+/**
+ * Apply a source's templates to an announcement
+ * @param {Object} embed - Embed built by the provider
+ * @param {Object} templates - Templates keyed by part (see TEMPLATE_PARTS)
+ * @param {Object} variables - Values from getTemplateVariables()
+ * @returns {Object} Templated embed and message text (null if not templated)
+ */
+function applyTemplates(embed, templates, variables) {
+	const result = { ...embed }
+	const render = part => {
+		const text = renderTemplate(templates[part], variables, TEMPLATE_PARTS[part]).trim()
+		return text.length > TEMPLATE_PARTS[part].limit ? `${text.substring(0, TEMPLATE_PARTS[part].limit - 3)}...` : text
+	}
+
+	if (templates.author) {
+		result.author = { ...embed.author, name: render('author') }
+	}
+
+	if (templates.title) {
+		result.title = render('title')
+	}
+
+	if (templates.description) {
+		result.description = render('description')
+	}
+
+	if (templates.footer) {
+		result.footer = { ...embed.footer, text: render('footer') }
+	}
+
+	if (templates.color) {
+		const color = parseInt(render('color').replace(/^#/, ''), 16)
+		if (!isNaN(color)) {
+			result.color = color
+		}
+	}
+
+	if (templates.image) {
+		const url = render('image')
+		result.image = /^https?:\/\//.test(url) ? { url } : undefined
+	}
+
+	// Discord rejects embed parts that are set but empty
+	for (const part of ['title', 'description']) {
+		if (result[part] === '') delete result[part]
+	}
+	if (result.author?.name === '') delete result.author
+	if (result.footer?.text === '') delete result.footer
+
+	return {
+		embed: result,
+		text: templates.content ? render('content') || null : null
+	}
+}
+
+/**
+ * Parse stored content, turning ISO date strings back into dates
+ * @param {string} json - Content serialized with JSON.stringify()
+ * @returns {Object} Content object
+ */
+function parseContent(json) {
+	return JSON.parse(json, (key, value) =>
+		typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+	)
+}
+
+export {
+	TEMPLATE_PARTS,
+	getTemplateVariables,
+	renderTemplate,
+	applyTemplates,
+	parseContent
+} 
\ No newline at end of file
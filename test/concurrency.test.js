@@ -0,0 +1,153 @@
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config/config.js'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { createLimiter, withTimeout } from '../src/utils/concurrency.js'
+import { scheduler } from '../src/utils/scheduler.js'
+import { openTestDatabase } from './helpers/database.js'
+
+/**
+ * Create a promise that can be settled from outside
+ * @returns {Object} Promise with its resolve and reject functions
+ */
+function deferred() {
+	let resolve
+	let reject
+	const promise = new Promise((res, rej) => {
+		resolve = res
+		reject = rej
+	})
+	return { promise, resolve, reject }
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+	return new Promise(resolve => setImmediate(resolve))
+}
+
+test('the limiter runs at most its limit of tasks at once, in order', async () => {
+	const limit = createLimiter(2)
+	const tasks = [deferred(), deferred(), deferred()]
+	const started = []
+
+	const results = tasks.map((task, index) => limit(() => {
+		started.push(index)
+		return task.promise
+	}))
+	await flush()
+
+	assert.deepEqual(started, [0, 1])
+	assert.equal(limit.getActiveCount(), 2)
+	assert.equal(limit.getQueuedCount(), 1)
+
+	tasks[1].reject(new Error('failed'))
+	await assert.rejects(results[1], /failed/)
+	await flush()
+	assert.deepEqual(started, [0, 1, 2])
+
+	tasks[0].resolve('first')
+	tasks[2].resolve('third')
+	assert.equal(await results[0], 'first')
+	assert.equal(await results[2], 'third')
+	assert.equal(limit.getActiveCount(), 0)
+})
+
+test('withTimeout passes results and errors through in time', async () => {
+	assert.equal(await withTimeout(Promise.resolve('done'), 1000), 'done')
+	await assert.rejects(withTimeout(Promise.reject(new Error('HTTP 500')), 1000), error => !error.timedOut && error.message === 'HTTP 500')
+})
+
+test('withTimeout gives up on a slow promise, which keeps running', async () => {
+	const slow = deferred()
+
+	await assert.rejects(withTimeout(slow.promise, 20, 'Check timed out'), error => error.timedOut === true && error.message === 'Check timed out')
+
+	slow.resolve('late')
+	assert.equal(await slow.promise, 'late')
+})
+
+test('tasks holding the same lock run one at a time, other locks are not held up', async () => {
+	const first = deferred()
+	const order = []
+
+	const a = scheduler.withLock('youtube:UCa', async () => {
+		await first.promise
+		order.push('a1')
+	})
+	const b = scheduler.withLock('youtube:UCa', async () => {
+		order.push('a2')
+	})
+	const c = scheduler.withLock('youtube:UCb', async () => {
+		order.push('b')
+	})
+
+	await c
+	assert.deepEqual(order, ['b'])
+
+	first.resolve()
+	await Promise.all([a, b])
+	assert.deepEqual(order, ['b', 'a1', 'a2'])
+})
+
+test('a failing task releases its lock', async () => {
+	await assert.rejects(scheduler.withLock('youtube:UCa', async () => {
+		throw new Error('boom')
+	}), /boom/)
+
+	assert.equal(await scheduler.withLock('youtube:UCa', async () => 'next'), 'next')
+	await flush()
+	assert.equal(scheduler.locks.size, 0)
+})
+
+test('a check that times out is not run twice and stores its late results', async t => {
+	const closeDatabase = await openTestDatabase()
+	const sourceId = 'feed:https://example.com/slow.xml'
+	const fetch = deferred()
+	const added = []
+	const timeoutSeconds = config.bot.checkTimeoutSeconds
+
+	t.after(async () => {
+		config.bot.checkTimeoutSeconds = timeoutSeconds
+		mock.restoreAll()
+		scheduler.outbox.stop()
+		await closeDatabase()
+	})
+
+	config.bot.checkTimeoutSeconds = 0.02
+	mock.method(discordService, 'getDeliveryTargets', async () => [{ guildId: 'guild-1' }])
+	mock.method(scheduler.outbox, 'add', async (guildId, item) => {
+		added.push(item.id)
+	})
+
+	const provider = {
+		id: 'feed',
+		displayName: 'Feed',
+		fetchSources: mock.fn(async () => {
+			await fetch.promise
+			await database.updateLastCheck(sourceId, 'item-1', '2024-01-02T10:00:00.000Z')
+			return { success: true, newContent: [{ id: 'item-1', sourceId }] }
+		})
+	}
+	const check = { id: sourceId, provider, sources: [{ id: sourceId, platform: 'feed' }] }
+
+	const timedOut = await scheduler.runCheck(check)
+	assert.equal(timedOut.success, false)
+	assert.match(timedOut.error, /timed out/)
+
+	const skipped = await scheduler.runCheck(check)
+	assert.equal(skipped.error, 'Previous check is still running')
+	assert.equal(provider.fetchSources.mock.callCount(), 1)
+
+	fetch.resolve()
+	for (let waited = 0; check.fetching || scheduler.locks.has(sourceId); waited++) {
+		assert.ok(waited < 100, 'late results are handled')
+		await flush()
+	}
+
+	assert.deepEqual(added, ['item-1'])
+	assert.equal((await database.getLastUpdate(sourceId)).last_content_id, 'item-1')
+}) 
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseIntervalEntry } from '../src/config/config.js'
+
+test('platform and source entries are parsed', () => {
+	assert.deepEqual(parseIntervalEntry('instagram=120'), ['instagram', 120])
+	assert.deepEqual(parseIntervalEntry(' youtube:UCabc = 10 '), ['youtube:UCabc', 10])
+})
+
+test('the scope is split off at the last =', () => {
+	assert.deepEqual(parseIntervalEntry('feed:https://example.com/feed?id=5=15'), ['feed:https://example.com/feed?id=5', 15])
+})
+
+test('entries without a scope or minutes are invalid', () => {
+	assert.equal(parseIntervalEntry('instagram'), null)
+	assert.equal(parseIntervalEntry('=30'), null)
+	assert.equal(parseIntervalEntry('instagram='), null)
+	assert.equal(parseIntervalEntry('instagram=soon'), null)
+})
+
+test('minutes have to be a whole number within bounds', () => {
+	assert.equal(parseIntervalEntry('instagram=0'), null)
+	assert.equal(parseIntervalEntry('instagram=-5'), null)
+	assert.equal(parseIntervalEntry('instagram=1.5'), null)
+	assert.equal(parseIntervalEntry('instagram=1441'), null)
+	assert.deepEqual(parseIntervalEntry('instagram=1'), ['instagram', 1])
+	assert.deepEqual(parseIntervalEntry('instagram=1440'), ['instagram', 1440])
+}) 
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sqlite3 from 'sqlite3'
+import { database } from '../src/database/database.js'
+import { openTestDatabase } from './helpers/database.js'
+
+/**
+ * Tables as the first release created them
+ */
+const BASELINE_SQL = `
+	CREATE TABLE last_updates (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		platform TEXT NOT NULL UNIQUE,
+		last_check_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+		last_content_id TEXT,
+		last_content_timestamp DATETIME,
+		created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+		updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+	);
+
+	CREATE TABLE sent_notifications (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		platform TEXT NOT NULL,
+		content_id TEXT NOT NULL,
+		content_url TEXT,
+		discord_message_id TEXT,
+		sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+		UNIQUE(platform, content_id)
+	);
+
+	CREATE TABLE bot_stats (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		stat_name TEXT NOT NULL UNIQUE,
+		stat_value TEXT,
+		updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+	);
+
+	CREATE INDEX idx_last_updates_platform ON last_updates(platform);
+	CREATE INDEX idx_sent_notifications_platform_content ON sent_notifications(platform, content_id);
+	CREATE INDEX idx_sent_notifications_sent_at ON sent_notifications(sent_at);
+
+	INSERT INTO last_updates (platform, last_content_id, last_content_timestamp) VALUES ('youtube', 'video-1', '2024-01-02T10:00:00.000Z');
+	INSERT INTO sent_notifications (platform, content_id, content_url, discord_message_id) VALUES ('youtube', 'video-1', 'https://www.youtube.com/watch?v=video-1', 'message-1');
+	INSERT INTO bot_stats (stat_name, stat_value) VALUES ('total_notifications', '1');
+`
+
+/**
+ * Create a database file with the baseline tables and a few rows
+ * @param {string} dbPath - Database file path
+ * @returns {Promise<void>}
+ */
+function createBaseline(dbPath) {
+	return new Promise((resolve, reject) => {
+		const db = new sqlite3.Database(dbPath)
+		db.exec(BASELINE_SQL, error => {
+			db.close(closeError => {
+				if (error || closeError) {
+					reject(error || closeError)
+				} else {
+					resolve()
+				}
+			})
+		})
+	})
+}
+
+const closeDatabase = await openTestDatabase(createBaseline)
+
+after(async () => {
+	await closeDatabase()
+})
+
+test('rows of a baseline database survive the migration, keyed by their platform', async () => {
+	const lastUpdate = await database.getLastUpdate('youtube')
+	assert.equal(lastUpdate.platform, 'youtube')
+	assert.equal(lastUpdate.last_content_id, 'video-1')
+
+	const sent = await database.queryAll('sentNotifications', 'SELECT * FROM sent_notifications')
+	assert.deepEqual(sent.map(row => [row.source_id, row.content_id, row.discord_message_id, row.guild_id]), [['youtube', 'video-1', 'message-1', null]])
+	assert.equal(await database.isNotificationSent('youtube', 'video-1'), true)
+
+	const stats = await database.queryAll('botStats', 'SELECT * FROM bot_stats')
+	assert.deepEqual(stats.map(row => [row.stat_name, row.stat_value]), [['total_notifications', '1']])
+})
+
+test('migrated tables take rows the baseline constraints refused', async () => {
+	await database.updateLastCheck('youtube:UCabcdefghijklmnopqrstuv', 'video-2', '2024-01-03T10:00:00.000Z')
+	await database.updateLastCheck('youtube:UCzyxwvutsrqponmlkjihgfe', 'video-3', '2024-01-03T10:00:00.000Z')
+	await database.recordSentNotification('youtube:UCabcdefghijklmnopqrstuv', 'video-2', 'https://www.youtube.com/watch?v=video-2', 'message-2', { guildId: 'guild-1' })
+	await database.recordSentNotification('youtube:UCabcdefghijklmnopqrstuv', 'video-2', 'https://www.youtube.com/watch?v=video-2', 'message-3', { guildId: 'guild-2' })
+
+	const lastUpdates = await database.queryAll('lastUpdates', 'SELECT source_id FROM last_updates ORDER BY id')
+	assert.deepEqual(lastUpdates.map(row => row.source_id), ['youtube', 'youtube:UCabcdefghijklmnopqrstuv', 'youtube:UCzyxwvutsrqponmlkjihgfe'])
+	assert.equal(await database.isNotificationSent('youtube:UCabcdefghijklmnopqrstuv', 'video-2', 'guild-2'), true)
+})
+
+test('opening a migrated database again leaves it as it is', async () => {
+	const before = await database.queryAll('sentNotifications', 'SELECT * FROM sent_notifications ORDER BY id')
+
+	await database.close()
+	await database.initialize()
+
+	assert.deepEqual(await database.queryAll('sentNotifications', 'SELECT * FROM sent_notifications ORDER BY id'), before)
+}) 
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ChannelType } from 'discord.js'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { buildDigestMessages } from '../src/utils/digest.js'
+import { openTestDatabase } from './helpers/database.js'
+
+/**
+ * Queue enough posts of a source to fill most of a message
+ * @param {string} sourceId - Source identifier
+ * @returns {Promise<void>}
+ */
+async function queuePosts(sourceId) {
+	for (let index = 0; index < 30; index++) {
+		await database.queueDigestItem('guild-1', 'channel-1', sourceId, `post-${index}`, {
+			title: `A post with a title long enough to fill the digest quickly, number ${index}`.padEnd(100, '.'),
+			url: `https://example.com/${sourceId}/${index}`
+		})
+	}
+}
+
+let closeDatabase
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	await closeDatabase()
+})
+
+beforeEach(async () => {
+	await database.execute('clearDigestItems', 'DELETE FROM digest_items')
+	discordService.isReady = true
+})
+
+afterEach(() => {
+	discordService.isReady = false
+	mock.restoreAll()
+})
+
+test('a digest too long for one message is split between platforms', async () => {
+	await queuePosts('instagram:natgeo')
+	await queuePosts('feed:https://example.com/feed.xml')
+
+	const messages = buildDigestMessages(await database.getDigestItems(), 'Digest')
+
+	assert.equal(messages.length, 2)
+	assert.match(messages[0].message.content, /60 new posts/)
+	assert.equal(messages[1].message.content, undefined)
+	assert.deepEqual(messages.map(({ items }) => [...new Set(items.map(item => item.platform))]), [['instagram'], ['feed']])
+	assert.deepEqual(messages.map(({ items }) => items.length), [30, 30])
+})
+
+test('the parts of a digest that went out are not posted again when a later one fails', async () => {
+	await queuePosts('instagram:natgeo')
+	await queuePosts('feed:https://example.com/feed.xml')
+
+	const sent = []
+	const channel = {
+		id: 'channel-1',
+		type: ChannelType.GuildText,
+		send: async message => {
+			if (sent.length > 0) {
+				throw new Error('Missing Permissions')
+			}
+			sent.push(message)
+		}
+	}
+	mock.method(discordService, 'getDigestChannel', async () => channel)
+
+	assert.deepEqual(await discordService.sendDigests('guild-1'), { posted: 30, failed: 30 })
+	assert.equal(sent.length, 1)
+
+	const left = await database.getDigestItems('guild-1')
+	assert.deepEqual([...new Set(left.map(item => item.platform))], ['feed'])
+	assert.equal(left.length, 30)
+}) 
\ No newline at end of file
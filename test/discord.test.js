@@ -0,0 +1,70 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SOURCE_ID = 'youtube:UCabcdefghijklmnopqrstuv'
+const VIDEO = { id: 'video-1', sourceId: SOURCE_ID, title: 'New video', url: 'https://www.youtube.com/watch?v=video-1', platform: 'youtube' }
+
+let closeDatabase
+let posted
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	await closeDatabase()
+})
+
+beforeEach(() => {
+	posted = []
+	discordService.isReady = true
+
+	mock.method(discordService, 'getDeliveryTargets', async () => [{ guildId: 'guild-1' }])
+	mock.method(discordService, 'resolveAnnouncementChannel', async () => ({ id: 'channel-1', type: 0, guild: {} }))
+	mock.method(discordService, 'buildAnnouncement', async () => ({ embed: { title: VIDEO.title }, text: '' }))
+	mock.method(discordService, 'getMentionTarget', async () => null)
+	mock.method(discordService, 'buildMention', () => ({}))
+	mock.method(discordService, 'resolveDelivery', async () => ({ transport: 'bot' }))
+	mock.method(discordService, 'deliver', async () => {
+		posted.push(VIDEO.id)
+		return { message: { id: `message-${posted.length}` } }
+	})
+})
+
+afterEach(() => {
+	mock.restoreAll()
+	discordService.isReady = false
+})
+
+test('a posted announcement counts as delivered when recording it fails', async () => {
+	mock.method(database, 'recordSentNotification', async () => {
+		throw new Error('SQLITE_BUSY: database is locked')
+	})
+
+	const results = await discordService.sendSocialMediaUpdate(VIDEO, 'youtube', ['guild-1'])
+
+	assert.deepEqual(results.map(result => [result.guildId, result.success]), [['guild-1', true]])
+	assert.deepEqual(posted, ['video-1'])
+})
+
+test('a posted announcement counts as delivered when finishing it fails', async () => {
+	mock.method(discordService, 'shouldOpenThread', async () => {
+		throw new Error('SQLITE_IOERR: disk I/O error')
+	})
+
+	const results = await discordService.sendSocialMediaUpdate(VIDEO, 'youtube', ['guild-1'])
+
+	assert.equal(results[0].success, true)
+	assert.equal(await database.isNotificationSent(SOURCE_ID, VIDEO.id, 'guild-1'), true)
+})
+
+test('a guild is reported as failed when nothing was posted', async () => {
+	mock.method(discordService, 'deliver', async () => {
+		throw new Error('Missing Permissions')
+	})
+
+	await assert.rejects(discordService.sendSocialMediaUpdate({ ...VIDEO, id: 'video-2' }, 'youtube', ['guild-1']), /Missing Permissions/)
+}) 
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createFilters, createRule, evaluateFilters } from '../src/utils/filters.js'
+
+/**
+ * Build filters from rules given as [list, type, value]
+ * @param {Array<Array>} rules - Rules to add
+ * @param {Object} options - Other filter options (minDuration, shorts)
+ * @returns {Object} Filters
+ */
+function buildFilters(rules = [], options = {}) {
+	const filters = { ...createFilters(), ...options }
+
+	for (const [list, type, value] of rules) {
+		filters[list].push(createRule(type, value).rule)
+	}
+
+	return filters
+}
+
+test('content passes without filters', () => {
+	assert.deepEqual(evaluateFilters(null, { title: 'Anything' }), { allowed: true })
+	assert.deepEqual(evaluateFilters(createFilters(), { title: 'Anything' }), { allowed: true })
+})
+
+test('exclude rules win over include rules', () => {
+	const filters = buildFilters([['include', 'keyword', 'release'], ['exclude', 'keyword', 'beta']])
+
+	assert.equal(evaluateFilters(filters, { title: 'New release' }).allowed, true)
+	assert.deepEqual(evaluateFilters(filters, { title: 'Beta release' }), { allowed: false, reason: 'matches exclude rule "beta"' })
+})
+
+test('one include rule has to match', () => {
+	const filters = buildFilters([['include', 'keyword', 'release'], ['include', 'hashtag', '#News']])
+
+	assert.equal(evaluateFilters(filters, { caption: 'Today in #news' }).allowed, true)
+	assert.equal(evaluateFilters(filters, { description: 'The RELEASE notes' }).allowed, true)
+	assert.deepEqual(evaluateFilters(filters, { title: 'Behind the scenes' }), { allowed: false, reason: 'matches no include rule' })
+})
+
+test('hashtags only match whole tags', () => {
+	const filters = buildFilters([['include', 'hashtag', 'news']])
+
+	assert.equal(evaluateFilters(filters, { caption: '#newsletter out now' }).allowed, false)
+	assert.equal(evaluateFilters(filters, { caption: 'Out now #news.' }).allowed, true)
+})
+
+test('regex rules match case insensitively', () => {
+	const filters = buildFilters([['exclude', 'regex', '^live:']])
+
+	assert.equal(evaluateFilters(filters, { title: 'LIVE: Q&A' }).allowed, false)
+	assert.equal(evaluateFilters(filters, { title: 'Q&A, live' }).allowed, true)
+})
+
+test('shorts modes filter on the content type', () => {
+	const only = buildFilters([], { shorts: 'only' })
+	const exclude = buildFilters([], { shorts: 'exclude' })
+
+	assert.equal(evaluateFilters(only, { type: 'short' }).allowed, true)
+	assert.deepEqual(evaluateFilters(only, { type: 'video' }), { allowed: false, reason: 'not a Short' })
+	assert.deepEqual(evaluateFilters(exclude, { type: 'short' }), { allowed: false, reason: 'is a Short' })
+	assert.equal(evaluateFilters(exclude, { type: 'video' }).allowed, true)
+})
+
+test('minimum duration only applies to content with a duration', () => {
+	const filters = buildFilters([], { minDuration: 60 })
+
+	assert.deepEqual(evaluateFilters(filters, { duration: 30 }), { allowed: false, reason: 'shorter than 60 seconds' })
+	assert.equal(evaluateFilters(filters, { duration: 60 }).allowed, true)
+	assert.equal(evaluateFilters(filters, { title: 'Photo' }).allowed, true)
+})
+
+test('invalid rules are rejected', () => {
+	assert.ok(createRule('keyword', '  ').error)
+	assert.ok(createRule('hashtag', '#two words').error)
+	assert.ok(createRule('regex', '(unclosed').error)
+	assert.ok(createRule('unknown', 'value').error)
+})
+
+test('regex rules that can backtrack catastrophically are rejected', () => {
+	for (const pattern of ['(a+)+$', '([a-z]+)*x', '(.*a){12}']) {
+		assert.match(createRule('regex', pattern).error, /nested repetition/, pattern)
+	}
+
+	assert.deepEqual(createRule('regex', '^\\[(sponsored|ad)\\]'), { rule: { type: 'regex', value: '^\\[(sponsored|ad)\\]' } })
+}) 
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { test, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { HealthTracker } from '../src/utils/health.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SOURCE_ID = 'instagram:natgeo'
+const MINUTE = 60 * 1000
+
+/**
+ * Minutes until a source's cooldown ends
+ * @param {HealthTracker} tracker - Health tracker
+ * @returns {number} Minutes, rounded
+ */
+function minutesUntilRetry(tracker) {
+	return Math.round((tracker.getRetryTime(SOURCE_ID).getTime() - Date.now()) / MINUTE)
+}
+
+let closeDatabase
+let alerts
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	mock.restoreAll()
+	await closeDatabase()
+})
+
+beforeEach(async () => {
+	await database.execute('clearSourceHealth', 'DELETE FROM source_health')
+	alerts = []
+	mock.method(discordService, 'sendSourceAlert', async (sourceId, message) => {
+		alerts.push(message)
+	})
+})
+
+test('the circuit opens after three failures in a row', async () => {
+	const tracker = new HealthTracker()
+
+	await tracker.recordFailure(SOURCE_ID, 'HTTP 429')
+	await tracker.recordFailure(SOURCE_ID, 'HTTP 429')
+	assert.equal(tracker.get(SOURCE_ID).state, 'degraded')
+	assert.equal(tracker.getRetryTime(SOURCE_ID), null)
+
+	await tracker.recordFailure(SOURCE_ID, 'HTTP 429')
+	assert.equal(tracker.get(SOURCE_ID).state, 'open')
+	assert.equal(minutesUntilRetry(tracker), 5)
+	assert.equal(alerts.length, 1)
+	assert.match(alerts[0], /stopped working: HTTP 429/)
+})
+
+test('failed probes double the cooldown up to a day without alerting again', async () => {
+	const tracker = new HealthTracker()
+
+	for (let failures = 0; failures < 4; failures++) {
+		await tracker.recordFailure(SOURCE_ID, 'HTTP 429')
+	}
+
+	assert.equal(minutesUntilRetry(tracker), 10)
+	assert.equal(alerts.length, 1)
+	assert.equal(tracker.getCooldown(5), 20 * MINUTE)
+	assert.equal(tracker.getCooldown(50), 24 * 60 * MINUTE)
+})
+
+test('a successful probe closes the circuit and reports the recovery', async () => {
+	const tracker = new HealthTracker()
+
+	for (let failures = 0; failures < 3; failures++) {
+		await tracker.recordFailure(SOURCE_ID, 'HTTP 500')
+	}
+	await tracker.recordSuccess(SOURCE_ID)
+
+	assert.deepEqual(tracker.get(SOURCE_ID), { state: 'healthy', failures: 0, lastError: null, retryAt: null })
+	assert.equal(alerts.length, 2)
+	assert.match(alerts[1], /working again after 3 failed checks/)
+})
+
+test('a success while degraded resets the failures quietly', async () => {
+	const tracker = new HealthTracker()
+
+	await tracker.recordFailure(SOURCE_ID, 'timeout')
+	await tracker.recordSuccess(SOURCE_ID)
+
+	assert.equal(tracker.get(SOURCE_ID).failures, 0)
+	assert.deepEqual(alerts, [])
+})
+
+test('cooldowns survive a restart', async () => {
+	const tracker = new HealthTracker()
+	for (let failures = 0; failures < 3; failures++) {
+		await tracker.recordFailure(SOURCE_ID, 'HTTP 429')
+	}
+
+	const restarted = new HealthTracker()
+	await restarted.load()
+
+	assert.equal(restarted.get(SOURCE_ID).state, 'open')
+	assert.equal(restarted.get(SOURCE_ID).failures, 3)
+	assert.equal(Math.round(restarted.getRetryTime(SOURCE_ID).getTime() / 1000), Math.round(tracker.getRetryTime(SOURCE_ID).getTime() / 1000))
+}) 
\ No newline at end of file
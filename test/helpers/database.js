@@ -0,0 +1,28 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { database } from '../../src/database/database.js'
+
+/**
+ * Point the database at a fresh file in a temporary directory and open it
+ * @param {Function} prepare - Called with the file path before the database is opened (optional)
+ * @returns {Promise<Function>} Closes the database and removes the directory
+ */
+async function openTestDatabase(prepare = null) {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'infobot-test-'))
+	database.dbPath = path.join(directory, 'bot.db')
+
+	if (prepare) {
+		await prepare(database.dbPath)
+	}
+
+	await database.initialize()
+
+	return async () => {
+		await database.close()
+		database.db = null
+		fs.rmSync(directory, { recursive: true, force: true })
+	}
+}
+
+export { openTestDatabase } 
\ No newline at end of file
@@ -0,0 +1,120 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { providerRegistry } from '../src/services/registry.js'
+import { youtubeService } from '../src/services/youtube.js'
+import { lifecycleTracker } from '../src/utils/lifecycle.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SOURCE_ID = 'youtube:UCabcdefghijklmnopqrstuv'
+
+/**
+ * Build a stored YouTube video
+ * @param {string} id - Video ID
+ * @param {string} type - Content type
+ * @returns {Object} Video object
+ */
+function video(id, type) {
+	return { id, sourceId: SOURCE_ID, type, title: 'Premiere', url: `https://www.youtube.com/watch?v=${id}`, publishedAt: '2024-01-02T10:00:00.000Z' }
+}
+
+/**
+ * Start tracking a video
+ * @param {Object} content - Video object
+ * @returns {Promise<void>}
+ */
+async function track(content) {
+	await database.trackContent(SOURCE_ID, content.id, content.type, JSON.stringify(content))
+}
+
+let closeDatabase
+let edited
+let cancelled
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	await closeDatabase()
+})
+
+beforeEach(async () => {
+	await database.execute('clearTrackedContent', 'DELETE FROM tracked_content')
+	edited = []
+	cancelled = []
+	discordService.isReady = true
+	mock.method(discordService, 'updateSocialMediaUpdate', async content => {
+		edited.push([content.id, content.type])
+	})
+	mock.method(discordService, 'cancelScheduledEvents', async (sourceId, contentId) => {
+		cancelled.push(contentId)
+	})
+})
+
+afterEach(() => {
+	discordService.isReady = false
+	mock.restoreAll()
+})
+
+test('announcements are edited when tracked content changes and untracked once it ends', async () => {
+	const states = { 'video-1': 'live', 'video-2': 'upcoming' }
+	mock.method(youtubeService, 'refreshContent', async videos => videos.map(stored => ({ ...stored, type: states[stored.id] })))
+	mock.method(youtubeService, 'hasApiKey', () => true)
+	await track(video('video-1', 'upcoming'))
+	await track(video('video-2', 'upcoming'))
+
+	const live = await lifecycleTracker.refresh()
+	assert.deepEqual(live, { refreshed: 2, edited: 1, finished: 0 })
+	assert.deepEqual(edited, [['video-1', 'live']])
+	assert.deepEqual((await database.getTrackedContent()).map(row => [row.content_id, row.state]), [['video-1', 'live'], ['video-2', 'upcoming']])
+
+	states['video-1'] = 'ended'
+	const ended = await lifecycleTracker.refresh()
+	assert.deepEqual(ended, { refreshed: 2, edited: 1, finished: 1 })
+	assert.deepEqual(edited.at(-1), ['video-1', 'ended'])
+	assert.deepEqual((await database.getTrackedContent()).map(row => row.content_id), ['video-2'])
+})
+
+test('content that no longer exists is untracked and its events cancelled', async () => {
+	mock.method(youtubeService, 'refreshContent', async () => [])
+	await track(video('video-1', 'upcoming'))
+
+	const summary = await lifecycleTracker.refresh()
+
+	assert.deepEqual(summary, { refreshed: 1, edited: 0, finished: 1 })
+	assert.deepEqual(cancelled, ['video-1'])
+	assert.deepEqual(edited, [])
+	assert.deepEqual(await database.getTrackedContent(), [])
+})
+
+test('content stays tracked when refreshing it fails', async () => {
+	mock.method(youtubeService, 'refreshContent', async () => {
+		throw new Error('HTTP 403')
+	})
+	await track(video('video-1', 'upcoming'))
+
+	await lifecycleTracker.refresh()
+
+	assert.equal((await database.getTrackedContent()).length, 1)
+})
+
+test('content of providers that cannot refresh it is untracked', async () => {
+	mock.method(providerRegistry, 'get', () => ({ id: 'youtube', displayName: 'YouTube' }))
+	await track(video('video-1', 'upcoming'))
+
+	await lifecycleTracker.refresh()
+
+	assert.deepEqual(await database.getTrackedContent(), [])
+})
+
+test('YouTube content is not tracked without an API key', async () => {
+	mock.method(youtubeService, 'hasApiKey', () => false)
+	await track(video('video-1', 'upcoming'))
+
+	assert.equal(youtubeService.isInFlight(video('video-2', 'live')), false)
+	await lifecycleTracker.refresh()
+
+	assert.deepEqual(await database.getTrackedContent(), [])
+}) 
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { database } from '../src/database/database.js'
+import { Outbox, MAX_ATTEMPTS, RETRY_DELAYS } from '../src/utils/outbox.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SOURCE_ID = 'youtube:UCabcdefghijklmnopqrstuv'
+
+/**
+ * Store an item in the outbox
+ * @param {string} contentId - Content ID
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object>} Outbox row
+ */
+async function enqueue(contentId, guildId = 'guild-1') {
+	await database.enqueueOutboxItem(guildId, SOURCE_ID, contentId, JSON.stringify({ id: contentId, sourceId: SOURCE_ID, title: 'Video' }))
+	const items = await database.getOutboxItems({ guildId })
+	return items.find(item => item.content_id === contentId)
+}
+
+/**
+ * Seconds until an outbox item's next attempt
+ * @param {Object} item - Outbox row
+ * @returns {number} Seconds, rounded
+ */
+function secondsUntilNextAttempt(item) {
+	return Math.round((new Date(`${item.next_attempt_at.replace(' ', 'T')}Z`).getTime() - Date.now()) / 1000)
+}
+
+let closeDatabase
+let outbox
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	await closeDatabase()
+})
+
+beforeEach(async () => {
+	await database.execute('clearOutbox', 'DELETE FROM outbox')
+})
+
+afterEach(() => {
+	outbox?.stop()
+	mock.restoreAll()
+})
+
+test('delivered items are removed from the outbox', async () => {
+	const delivered = []
+	outbox = new Outbox(async (content, platform, guildId) => {
+		delivered.push([content.id, platform, guildId])
+	})
+
+	await enqueue('video-1')
+	await outbox.process()
+
+	assert.deepEqual(delivered, [['video-1', 'youtube', 'guild-1']])
+	assert.deepEqual(await database.getOutboxItems(), [])
+})
+
+test('failed deliveries are retried with a growing delay', async () => {
+	outbox = new Outbox(async () => {
+		throw new Error('Missing Access')
+	})
+
+	const item = await enqueue('video-1')
+	await outbox.process()
+
+	const [failed] = await database.getOutboxItems()
+	assert.equal(failed.status, 'pending')
+	assert.equal(failed.attempts, 1)
+	assert.equal(failed.last_error, 'Missing Access')
+	assert.ok(Math.abs(secondsUntilNextAttempt(failed) - RETRY_DELAYS[0]) <= 2)
+	assert.ok(outbox.timer, 'a retry is scheduled')
+
+	for (const attempts of [2, 5, MAX_ATTEMPTS - 1]) {
+		await outbox.attempt({ ...item, attempts: attempts - 1 })
+		const [retried] = await database.getOutboxItems()
+		const delay = RETRY_DELAYS[Math.min(attempts - 1, RETRY_DELAYS.length - 1)]
+
+		assert.equal(retried.attempts, attempts)
+		assert.ok(Math.abs(secondsUntilNextAttempt(retried) - delay) <= 2, `attempt ${attempts} waits ${delay}s`)
+	}
+})
+
+test('items are dead after the last attempt and no longer retried', async () => {
+	outbox = new Outbox(async () => {
+		throw new Error('Unknown Channel')
+	})
+
+	const item = await enqueue('video-1')
+	await outbox.attempt({ ...item, attempts: MAX_ATTEMPTS - 1 })
+	await outbox.scheduleNext()
+
+	const [dead] = await database.getOutboxItems()
+	assert.equal(dead.status, 'dead')
+	assert.equal(dead.attempts, MAX_ATTEMPTS)
+	assert.equal(outbox.timer, null)
+	assert.deepEqual(await database.getDueOutboxItems(), [])
+
+	assert.equal(await outbox.retry(dead.id), true)
+	await outbox.running
+	const [retried] = await database.getOutboxItems()
+	assert.equal(retried.attempts, 1)
+	assert.equal(retried.status, 'pending')
+})
+
+test('a guild that fails does not hold back the others', async () => {
+	const delivered = []
+	outbox = new Outbox(async (content, platform, guildId) => {
+		if (guildId === 'guild-2') {
+			throw new Error('Missing Permissions')
+		}
+		delivered.push(guildId)
+	})
+
+	await enqueue('video-1', 'guild-1')
+	await enqueue('video-1', 'guild-2')
+	await outbox.process()
+
+	assert.deepEqual(delivered, ['guild-1'])
+	assert.deepEqual((await database.getOutboxItems()).map(item => item.guild_id), ['guild-2'])
+})
+
+test('delivery is tried again later when an attempt cannot be recorded', async () => {
+	outbox = new Outbox(async () => {
+		throw new Error('Missing Access')
+	})
+	mock.method(database, 'updateOutboxItem', async () => {
+		throw new Error('SQLITE_BUSY: database is locked')
+	})
+
+	await enqueue('video-1')
+	await outbox.process()
+
+	assert.ok(outbox.timer, 'a retry is scheduled')
+}) 
\ No newline at end of file
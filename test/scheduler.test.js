@@ -0,0 +1,102 @@
+import { test, before, after, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { config } from '../src/config/config.js'
+import { database } from '../src/database/database.js'
+import { discordService } from '../src/services/discord.js'
+import { scheduler } from '../src/utils/scheduler.js'
+import { healthTracker } from '../src/utils/health.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SOURCE_ID = 'feed:https://example.com/feed.xml'
+
+/**
+ * Create a check of a provider that records its last update and finds one item
+ * @returns {Object} Scheduled check
+ */
+function createCheck() {
+	const provider = {
+		id: 'feed',
+		displayName: 'Feed',
+		fetchSources: async () => {
+			await database.updateLastCheck(SOURCE_ID, 'item-1', '2024-01-02T10:00:00.000Z')
+			return { success: true, newContent: [{ id: 'item-1', sourceId: SOURCE_ID, title: 'Item' }] }
+		}
+	}
+
+	return { id: SOURCE_ID, provider, sources: [{ id: SOURCE_ID, platform: 'feed' }] }
+}
+
+let closeDatabase
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	scheduler.outbox.stop()
+	await closeDatabase()
+})
+
+afterEach(() => {
+	mock.restoreAll()
+})
+
+test('the last update is kept back when new content cannot be stored', async () => {
+	mock.method(discordService, 'getDeliveryTargets', async () => [{ guildId: 'guild-1' }])
+	mock.method(scheduler.outbox, 'add', async () => {
+		throw new Error('SQLITE_BUSY: database is locked')
+	})
+
+	const result = await scheduler.performCheck(createCheck())
+
+	assert.equal(result.success, false)
+	assert.match(result.error, /SQLITE_BUSY/)
+	assert.equal(await database.getLastUpdate(SOURCE_ID), undefined)
+})
+
+test('the last update is recorded once new content is stored', async () => {
+	const added = []
+	mock.method(discordService, 'getDeliveryTargets', async () => [{ guildId: 'guild-1' }])
+	mock.method(scheduler.outbox, 'add', async (guildId, item) => {
+		added.push([guildId, item.id])
+	})
+
+	const result = await scheduler.performCheck(createCheck())
+
+	assert.equal(result.success, true)
+	assert.deepEqual(added, [['guild-1', 'item-1']])
+	assert.equal((await database.getLastUpdate(SOURCE_ID)).last_content_id, 'item-1')
+})
+
+test('sources cooling down are not checked until their cooldown has passed', async () => {
+	const check = createCheck()
+	const fetchSources = mock.method(check.provider, 'fetchSources')
+	mock.method(discordService, 'getDeliveryTargets', async () => [])
+	mock.method(discordService, 'sendSourceAlert', async () => {})
+	healthTracker.sources.set(SOURCE_ID, { state: 'open', failures: 3, lastError: 'HTTP 429', retryAt: new Date(Date.now() + 60 * 1000) })
+
+	const skipped = await scheduler.runCheck(check)
+	assert.equal(skipped.success, false)
+	assert.equal(skipped.coolingDown, true)
+	assert.equal(fetchSources.mock.callCount(), 0)
+
+	healthTracker.sources.get(SOURCE_ID).retryAt = new Date(Date.now() - 1000)
+	const probe = await scheduler.runCheck(check)
+	assert.equal(probe.success, true)
+	assert.equal(fetchSources.mock.callCount(), 1)
+	assert.equal(healthTracker.get(SOURCE_ID).state, 'healthy')
+})
+
+test('the check interval can be set to anything the configuration allows', async () => {
+	const minutes = config.bot.checkIntervalMinutes
+	mock.method(scheduler, 'stop', async () => {})
+	mock.method(scheduler, 'start', async () => {})
+
+	await assert.rejects(scheduler.updateCheckInterval(0), /between 1 and 1440 minutes/)
+	await assert.rejects(scheduler.updateCheckInterval(1441), /between 1 and 1440 minutes/)
+
+	await scheduler.updateCheckInterval(1)
+	assert.equal(config.bot.checkIntervalMinutes, 1)
+	assert.equal(scheduler.start.mock.callCount(), 1)
+	config.bot.checkIntervalMinutes = minutes
+}) 
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { test, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+
+/**
+ * Stubbed Helix API and token endpoint, serving whatever the test puts in `streams`
+ */
+const helix = {
+	streams: [],
+	tokens: 0,
+	rejectNextToken: false,
+	requests: []
+}
+
+helix.server = http.createServer((req, res) => {
+	const url = new URL(req.url, 'http://localhost')
+	helix.requests.push({ method: req.method, path: url.pathname, params: url.searchParams, authorization: req.headers.authorization })
+
+	if (url.pathname === '/oauth2/token') {
+		helix.tokens++
+		res.writeHead(200, { 'Content-Type': 'application/json' })
+		res.end(JSON.stringify({ access_token: `token-${helix.tokens}`, expires_in: 3600 }))
+		return
+	}
+
+	if (helix.rejectNextToken) {
+		helix.rejectNextToken = false
+		res.writeHead(401, { 'Content-Type': 'application/json' })
+		res.end(JSON.stringify({ message: 'Invalid OAuth token' }))
+		return
+	}
+
+	const logins = url.searchParams.getAll(url.pathname === '/helix/streams' ? 'user_login' : 'login')
+	const data = url.pathname === '/helix/streams'
+		? helix.streams.filter(stream => logins.includes(stream.user_login))
+		: logins.map(login => ({ id: `id-${login}`, login, display_name: login, profile_image_url: `https://example.com/${login}.png` }))
+
+	res.writeHead(200, { 'Content-Type': 'application/json' })
+	res.end(JSON.stringify({ data }))
+})
+
+await new Promise(resolve => helix.server.listen(0, resolve))
+const { port } = helix.server.address()
+
+// The service reads these when it is created, so they are set before anything is imported
+process.env.TWITCH_CLIENT_ID = 'client-id'
+process.env.TWITCH_CLIENT_SECRET = 'client-secret'
+process.env.TWITCH_CHANNELS = 'somestreamer'
+process.env.TWITCH_API_URL = `http://127.0.0.1:${port}/helix`
+process.env.TWITCH_AUTH_URL = `http://127.0.0.1:${port}/oauth2/token`
+
+const { database } = await import('../src/database/database.js')
+const { TwitchService } = await import('../src/services/twitch.js')
+const { openTestDatabase } = await import('./helpers/database.js')
+
+const SOURCE_ID = 'twitch:somestreamer'
+
+/**
+ * Build a Helix stream entry
+ * @param {string} id - Stream ID
+ * @returns {Object} Stream as /streams returns it
+ */
+function liveStream(id) {
+	return {
+		id,
+		user_id: 'id-somestreamer',
+		user_login: 'somestreamer',
+		user_name: 'SomeStreamer',
+		game_name: 'Chess',
+		type: 'live',
+		title: `Stream ${id}`,
+		viewer_count: 42,
+		started_at: '2024-01-02T10:00:00Z',
+		thumbnail_url: 'https://example.com/preview-{width}x{height}.jpg'
+	}
+}
+
+let closeDatabase
+let service
+
+before(async () => {
+	closeDatabase = await openTestDatabase()
+})
+
+after(async () => {
+	await closeDatabase()
+	await new Promise(resolve => helix.server.close(resolve))
+})
+
+beforeEach(async () => {
+	await database.execute('clearLastUpdates', 'DELETE FROM last_updates')
+	await database.execute('clearSentNotifications', 'DELETE FROM sent_notifications')
+	mock.restoreAll()
+	helix.streams = []
+	helix.tokens = 0
+	helix.requests = []
+	service = new TwitchService()
+})
+
+test('TWITCH_API_URL and TWITCH_AUTH_URL point the service at another API', async () => {
+	await service.checkForNewStreams()
+
+	assert.equal(service.baseUrl, process.env.TWITCH_API_URL)
+	assert.deepEqual(helix.requests.map(request => `${request.method} ${request.path}`), ['POST /oauth2/token', 'GET /helix/streams'])
+	assert.deepEqual(helix.requests[1].params.getAll('user_login'), ['somestreamer'])
+})
+
+test('the app token is reused until it is about to expire', async () => {
+	await service.checkForNewStreams()
+	await service.checkForNewStreams()
+	assert.equal(helix.tokens, 1)
+
+	service.tokenExpiresAt = Date.now() + 30 * 1000
+	await service.checkForNewStreams()
+	assert.equal(helix.tokens, 2)
+	assert.equal(helix.requests.at(-1).authorization, 'Bearer token-2')
+})
+
+test('a rejected token is replaced and the request retried once', async () => {
+	await service.getAccessToken()
+	helix.rejectNextToken = true
+
+	const result = await service.checkForNewStreams()
+
+	assert.equal(result.success, true)
+	assert.equal(helix.tokens, 2)
+	assert.equal(helix.requests.filter(request => request.path === '/helix/streams').length, 2)
+})
+
+test('a stream is announced when it starts and not again while it runs', async () => {
+	helix.streams = [liveStream('stream-1')]
+
+	const started = await service.checkForNewStreams()
+	assert.deepEqual(started.newContent.map(stream => [stream.id, stream.sourceId, stream.profileImage]), [['stream-1', SOURCE_ID, 'https://example.com/somestreamer.png']])
+	assert.equal((await database.getLastUpdate(SOURCE_ID)).last_content_id, 'stream-1')
+
+	await database.recordSentNotification(SOURCE_ID, 'stream-1', started.newContent[0].url, 'message-1', { guildId: 'guild-1' })
+	const updateLastCheck = mock.method(database, 'updateLastCheck')
+
+	const running = await service.checkForNewStreams()
+	assert.deepEqual(running.newContent, [])
+	assert.equal(updateLastCheck.mock.callCount(), 0)
+})
+
+test('an ended stream leaves the state alone and the next one is announced', async () => {
+	helix.streams = [liveStream('stream-1')]
+	await service.checkForNewStreams()
+	await database.recordSentNotification(SOURCE_ID, 'stream-1', 'https://www.twitch.tv/somestreamer', 'message-1', { guildId: 'guild-1' })
+
+	helix.streams = []
+	const updateLastCheck = mock.method(database, 'updateLastCheck')
+	const ended = await service.checkForNewStreams()
+	assert.equal(ended.success, true)
+	assert.deepEqual(ended.newContent, [])
+	assert.equal(updateLastCheck.mock.callCount(), 0)
+
+	helix.streams = [liveStream('stream-2')]
+	const next = await service.checkForNewStreams()
+	assert.deepEqual(next.newContent.map(stream => stream.id), ['stream-2'])
+	assert.equal(updateLastCheck.mock.callCount(), 1)
+	assert.equal((await database.getLastUpdate(SOURCE_ID)).last_content_id, 'stream-2')
+}) 
\ No newline at end of file
@@ -0,0 +1,265 @@
+import { test, describe, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import http from 'http'
+import { config } from '../src/config/config.js'
+import { WebSubService } from '../src/services/websub.js'
+import { youtubeService } from '../src/services/youtube.js'
+import { discordService } from '../src/services/discord.js'
+import { scheduler } from '../src/utils/scheduler.js'
+import { createSource } from '../src/utils/sources.js'
+import { openTestDatabase } from './helpers/database.js'
+
+const SECRET = 'websub-secret'
+const BODY = Buffer.from('<feed></feed>')
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv'
+const TOPIC = `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${CHANNEL_ID}`
+
+/**
+ * Create a service with a known secret
+ * @returns {WebSubService} Service
+ */
+function createService() {
+	const service = new WebSubService()
+	service.secret = SECRET
+	return service
+}
+
+/**
+ * Sign a body the way the hub does
+ * @param {string} algorithm - Hash algorithm
+ * @param {Buffer} body - Request body
+ * @param {string} secret - Shared secret
+ * @returns {string} X-Hub-Signature header value
+ */
+function sign(algorithm, body, secret = SECRET) {
+	return `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`
+}
+
+/**
+ * Build the Atom notification YouTube pushes for an upload
+ * @param {string} videoId - Video ID
+ * @param {string} published - Publish date
+ * @returns {string} Atom document
+ */
+function buildNotification(videoId, published) {
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+	<at:deleted-entry ref="yt:video:gone" when="2024-01-01T00:00:00+00:00"/>
+	<entry>
+		<id>yt:video:${videoId}</id>
+		<yt:videoId>${videoId}</yt:videoId>
+		<yt:channelId>${CHANNEL_ID}</yt:channelId>
+		<title>New video</title>
+		<link rel="alternate" href="https://www.youtube.com/watch?v=${videoId}"/>
+		<author><name>Channel</name></author>
+		<published>${published}</published>
+	</entry>
+</feed>`
+}
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} Port
+ */
+async function getFreePort() {
+	const server = http.createServer()
+	await new Promise(resolve => server.listen(0, resolve))
+	const { port } = server.address()
+	await new Promise(resolve => server.close(resolve))
+	return port
+}
+
+/**
+ * Start a minimal hub that verifies (un)subscription requests against the callback like a real one
+ * @returns {Promise<Object>} Hub with its URL, the requests it got and the answers to its verifications
+ */
+async function startHub() {
+	const hub = { requests: [], verifications: [], waiting: [] }
+
+	/**
+	 * Send a verification request to a callback
+	 * @param {string} callback - Callback URL
+	 * @param {Object} query - Verification parameters
+	 * @returns {Promise<Object>} Status and body of the answer, and the challenge that was sent
+	 */
+	hub.verify = async (callback, query) => {
+		const challenge = crypto.randomBytes(8).toString('hex')
+		const response = await fetch(`${callback}?${new URLSearchParams({ ...query, 'hub.challenge': challenge })}`)
+		return { status: response.status, body: await response.text(), challenge }
+	}
+
+	/**
+	 * Wait until the hub has verified a number of requests
+	 * @param {number} count - Verifications to wait for
+	 * @returns {Promise<void>}
+	 */
+	hub.waitForVerifications = async count => {
+		while (hub.verifications.length < count) {
+			await new Promise(resolve => hub.waiting.push(resolve))
+		}
+	}
+
+	hub.server = http.createServer((req, res) => {
+		let body = ''
+		req.on('data', chunk => {
+			body += chunk
+		})
+		req.on('end', async () => {
+			res.writeHead(202)
+			res.end()
+
+			const params = new URLSearchParams(body)
+			hub.requests.push(params)
+
+			const verification = await hub.verify(params.get('hub.callback'), {
+				'hub.mode': params.get('hub.mode'),
+				'hub.topic': params.get('hub.topic'),
+				'hub.lease_seconds': params.get('hub.lease_seconds') || ''
+			})
+			hub.verifications.push(verification)
+			hub.waiting.splice(0).forEach(resolve => resolve())
+		})
+	})
+
+	await new Promise(resolve => hub.server.listen(0, resolve))
+	hub.url = `http://127.0.0.1:${hub.server.address().port}/subscribe`
+
+	return hub
+}
+
+test('signatures made with the secret are accepted', () => {
+	const service = createService()
+
+	for (const algorithm of ['sha1', 'sha256', 'sha384', 'sha512']) {
+		assert.equal(service.verifySignature(BODY, sign(algorithm, BODY)), true, algorithm)
+	}
+})
+
+test('signatures of another body or secret are rejected', () => {
+	const service = createService()
+
+	assert.equal(service.verifySignature(Buffer.from('<feed>changed</feed>'), sign('sha1', BODY)), false)
+	assert.equal(service.verifySignature(BODY, sign('sha1', BODY, 'other-secret')), false)
+})
+
+test('missing, malformed and unsupported signatures are rejected', () => {
+	const service = createService()
+
+	assert.equal(service.verifySignature(BODY, undefined), false)
+	assert.equal(service.verifySignature(BODY, ''), false)
+	assert.equal(service.verifySignature(BODY, 'sha1='), false)
+	assert.equal(service.verifySignature(BODY, 'sha1=abc'), false)
+	assert.equal(service.verifySignature(BODY, sign('md5', BODY)), false)
+})
+
+test('notifications are parsed and deleted entries skipped', () => {
+	const entries = createService().parseNotification(buildNotification('abc123', '2024-01-02T10:00:00+00:00'))
+
+	assert.deepEqual(entries, [{
+		videoId: 'abc123',
+		channelId: CHANNEL_ID,
+		title: 'New video',
+		link: 'https://www.youtube.com/watch?v=abc123',
+		author: 'Channel',
+		published: new Date('2024-01-02T10:00:00Z')
+	}])
+})
+
+describe('callback server against a hub', () => {
+	const service = new WebSubService()
+	const websub = config.socialMedia.youtube.websub
+	const announced = []
+	let hub
+	let closeDatabase
+	let callbackUrl
+
+	before(async () => {
+		closeDatabase = await openTestDatabase()
+		hub = await startHub()
+
+		const port = await getFreePort()
+		callbackUrl = `http://127.0.0.1:${port}/websub/youtube`
+		Object.assign(websub, { enabled: true, callbackUrl: `http://127.0.0.1:${port}/`, port, hubUrl: hub.url, secret: SECRET, leaseSeconds: 5 * 24 * 60 * 60 })
+
+		mock.method(youtubeService, 'getSources', () => [createSource('youtube', CHANNEL_ID)])
+		mock.method(youtubeService, 'getPushedVideo', async (entry, source) => ({
+			id: entry.videoId,
+			title: entry.title,
+			publishedAt: entry.published,
+			url: entry.link,
+			sourceId: source.id,
+			platform: 'youtube'
+		}))
+		mock.method(discordService, 'getDeliveryTargets', async () => [{ guildId: 'guild-1' }])
+		mock.method(discordService, 'sendSocialMediaUpdate', async (content, platform, guildIds) => {
+			announced.push({ content, platform, guildIds })
+			return guildIds.map(guildId => ({ guildId, success: true }))
+		})
+
+		await service.start()
+		await hub.waitForVerifications(1)
+	})
+
+	after(async () => {
+		await service.stop()
+		scheduler.outbox.stop()
+		await new Promise(resolve => hub.server.close(resolve))
+		await closeDatabase()
+		mock.restoreAll()
+	})
+
+	test('subscribes monitored channels and echoes the hub challenge', () => {
+		const [request] = hub.requests
+		const [verification] = hub.verifications
+
+		assert.equal(request.get('hub.mode'), 'subscribe')
+		assert.equal(request.get('hub.topic'), TOPIC)
+		assert.equal(request.get('hub.callback'), callbackUrl)
+		assert.equal(request.get('hub.secret'), SECRET)
+		assert.deepEqual({ status: verification.status, body: verification.body }, { status: 200, body: verification.challenge })
+		assert.ok(youtubeService.pushLeases.get(CHANNEL_ID) > Date.now() + 4 * 24 * 60 * 60 * 1000)
+	})
+
+	test('refuses verifications it did not ask for', async () => {
+		const unknown = await hub.verify(callbackUrl, { 'hub.mode': 'subscribe', 'hub.topic': `${TOPIC}x`, 'hub.lease_seconds': '60' })
+		const wrongMode = await hub.verify(callbackUrl, { 'hub.mode': 'unsubscribe', 'hub.topic': TOPIC })
+
+		assert.equal(unknown.status, 404)
+		assert.equal(wrongMode.status, 404)
+	})
+
+	test('renews leases only when they are about to expire', async () => {
+		await service.syncSubscriptions()
+		assert.equal(hub.requests.length, 1)
+
+		service.subscriptions.get(TOPIC).expiresAt = Date.now() + 60 * 60 * 1000
+		await service.syncSubscriptions()
+		await hub.waitForVerifications(2)
+
+		assert.equal(hub.requests.length, 2)
+		assert.equal(hub.requests[1].get('hub.mode'), 'subscribe')
+		assert.equal(hub.verifications[1].status, 200)
+		assert.ok(service.subscriptions.get(TOPIC).expiresAt > Date.now() + 4 * 24 * 60 * 60 * 1000)
+	})
+
+	test('announces a signed push and ignores an unsigned one', async () => {
+		const published = new Date(Date.now() - 60 * 1000).toISOString()
+
+		const unsigned = await fetch(callbackUrl, { method: 'POST', body: buildNotification('unsigned1', published) })
+		assert.equal(unsigned.status, 202)
+
+		const body = buildNotification('pushed1', published)
+		const signed = await fetch(callbackUrl, { method: 'POST', body, headers: { 'X-Hub-Signature': sign('sha1', Buffer.from(body)) } })
+		assert.equal(signed.status, 204)
+
+		for (let waited = 0; announced.length === 0 && waited < 5000; waited += 20) {
+			await new Promise(resolve => setTimeout(resolve, 20))
+		}
+
+		assert.equal(announced.length, 1)
+		assert.equal(announced[0].content.id, 'pushed1')
+		assert.equal(announced[0].platform, 'youtube')
+		assert.deepEqual(announced[0].guildIds, ['guild-1'])
+	})
+}) 
\ No newline at end of file